@@ -1,6 +1,7 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Notification } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
+const { watchFile, readFileSync } = require('fs');
 
 // Simple development check
 const isDev = process.env.NODE_ENV === 'development' || !app.isPackaged;
@@ -106,6 +107,205 @@ ipcMain.handle('save-phone-numbers', async (event, phoneData) => {
   }
 });
 
+// Data files the bot keeps next to outbound/bot.js, at the paths config.json names for them
+// (e.g. optOut.file), resolved the same way the bot resolves them
+function getBotFilePath(settingPath, defaultFile) {
+  const outboundDir = path.join(__dirname, '..', 'outbound');
+  try {
+    const configPath = path.join(__dirname, '..', 'shared', 'config', 'config.json');
+    const configData = JSON.parse(readFileSync(configPath, 'utf8'));
+    const file = settingPath.split('.').reduce((value, key) => value?.[key], configData);
+    return path.resolve(outboundDir, file || defaultFile);
+  } catch (error) {
+    console.error('Error reading config for bot file paths:', error);
+    return path.resolve(outboundDir, defaultFile);
+  }
+}
+
+// Numbers that opted out - read only, the bot maintains the list
+ipcMain.handle('load-do-not-contact', async () => {
+  try {
+    const listPath = getBotFilePath('optOut.file', 'do_not_contact.json');
+    return JSON.parse(await fs.readFile(listPath, 'utf8'));
+  } catch (error) {
+    // Nobody has opted out yet
+    return {};
+  }
+});
+
+// IPC handlers for conversation transcripts (written by the bot, see shared/transcripts)
+const TranscriptStore = require('../shared/transcripts/transcriptStore');
+
+async function getTranscriptStore() {
+  const configPath = path.join(__dirname, '..', 'shared', 'config', 'config.json');
+  const configData = JSON.parse(await fs.readFile(configPath, 'utf8'));
+  return new TranscriptStore(configData.transcripts || {}, path.join(__dirname, '..', 'outbound'));
+}
+
+ipcMain.handle('list-transcripts', async () => {
+  try {
+    return (await getTranscriptStore()).listContacts();
+  } catch (error) {
+    console.error('Error listing transcripts:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('load-transcript', async (event, phoneNumber, filter) => {
+  try {
+    return (await getTranscriptStore()).getTranscript(phoneNumber, filter || {});
+  } catch (error) {
+    console.error('Error loading transcript:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('export-transcript', async (event, phoneNumber, format) => {
+  try {
+    const extensions = { json: 'json', csv: 'csv', text: 'txt' };
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Transcript',
+      defaultPath: `transcript-${phoneNumber}.${extensions[format]}`,
+      filters: [
+        { name: format.toUpperCase(), extensions: [extensions[format]] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+
+    if (!result.canceled) {
+      const transcript = (await getTranscriptStore()).export(phoneNumber, format);
+      await fs.writeFile(result.filePath, transcript, 'utf8');
+      return { success: true, filePath: result.filePath };
+    }
+
+    return { success: false, canceled: true };
+  } catch (error) {
+    console.error('Error exporting transcript:', error);
+    throw error;
+  }
+});
+
+// IPC handlers for conversations handed over to an operator
+const handoffsPath = getBotFilePath('handoff.file', 'handoffs.json');
+
+async function readHandoffs() {
+  try {
+    return JSON.parse(await fs.readFile(handoffsPath, 'utf8'));
+  } catch (error) {
+    // No handoffs yet
+    return {};
+  }
+}
+
+ipcMain.handle('load-handoffs', async () => {
+  try {
+    const handoffs = Object.values(await readHandoffs()).filter(handoff => handoff.status === 'open');
+
+    // States the operator can hand a conversation back to
+    const flowPath = path.join(__dirname, '..', 'shared', 'config', 'conversation_flow.json');
+    const flow = JSON.parse(await fs.readFile(flowPath, 'utf8'));
+    const states = Object.entries(flow.states)
+      .filter(([, state]) => !['handoff', 'clarification'].includes(state.type))
+      .map(([name]) => name);
+
+    return { handoffs, states };
+  } catch (error) {
+    console.error('Error loading handoffs:', error);
+    throw error;
+  }
+});
+
+// Operator actions go to the running bot over its stdin pipe
+function sendOperatorCommand(command) {
+  if (!botProcess) {
+    throw new Error('Bot is not running');
+  }
+  botProcess.stdin.write(`${JSON.stringify(command)}\n`);
+  return { success: true };
+}
+
+ipcMain.handle('send-operator-reply', async (event, phoneNumber, text) => {
+  return sendOperatorCommand({ action: 'reply', phoneNumber, text });
+});
+
+ipcMain.handle('resume-conversation', async (event, phoneNumber, state) => {
+  return sendOperatorCommand({ action: 'resume', phoneNumber, state });
+});
+
+// Tell the operators when a contact is handed over or writes while waiting
+let knownHandoffs = {};
+readHandoffs().then(handoffs => { knownHandoffs = handoffs; });
+
+watchFile(handoffsPath, { interval: 2000 }, async () => {
+  const handoffs = await readHandoffs();
+
+  for (const handoff of Object.values(handoffs)) {
+    const previous = knownHandoffs[handoff.phoneNumber];
+    if (handoff.status === 'open' && (!previous || previous.openedAt !== handoff.openedAt) && Notification.isSupported()) {
+      new Notification({
+        title: 'Conversation needs an operator',
+        body: `${handoff.phoneNumber}: ${handoff.messages[handoff.messages.length - 1]?.text || handoff.reason}`
+      }).show();
+    }
+  }
+  knownHandoffs = handoffs;
+
+  if (mainWindow) {
+    mainWindow.webContents.send('handoff-update', Object.values(handoffs).filter(handoff => handoff.status === 'open'));
+  }
+});
+
+// IPC handlers for the bot's outbound queue - read only here, retries and discards go through the bot
+async function readOutboundQueue() {
+  try {
+    const queuePath = getBotFilePath('outboundQueue.file', 'outbound_queue.json');
+    const queue = JSON.parse(await fs.readFile(queuePath, 'utf8'));
+    return { messages: queue.messages || [], deadLetters: queue.deadLetters || [] };
+  } catch (error) {
+    // Nothing queued yet
+    return { messages: [], deadLetters: [] };
+  }
+}
+
+ipcMain.handle('load-outbound-queue', async () => {
+  return readOutboundQueue();
+});
+
+ipcMain.handle('retry-dead-letter', async (event, id) => {
+  return sendOperatorCommand({ action: 'retry-dead-letter', id });
+});
+
+ipcMain.handle('discard-dead-letter', async (event, id) => {
+  return sendOperatorCommand({ action: 'discard-dead-letter', id });
+});
+
+watchFile(getBotFilePath('outboundQueue.file', 'outbound_queue.json'), { interval: 2000 }, async () => {
+  if (mainWindow) {
+    mainWindow.webContents.send('outbound-queue-update', await readOutboundQueue());
+  }
+});
+
+// Delivery funnel and numbers flagged as probably invalid (receipts are written by the bot)
+const DeliveryTracker = require('../shared/messaging/deliveryTracker');
+
+ipcMain.handle('load-delivery-stats', async () => {
+  try {
+    const configPath = path.join(__dirname, '..', 'shared', 'config', 'config.json');
+    const configData = JSON.parse(await fs.readFile(configPath, 'utf8'));
+    const tracker = new DeliveryTracker(configData.delivery || {}, path.join(__dirname, '..', 'outbound'));
+    tracker.load();
+
+    return {
+      funnel: tracker.getFunnel(),
+      probablyInvalid: Object.fromEntries(tracker.getProbablyInvalid()
+        .map(phoneNumber => [phoneNumber, tracker.contacts[phoneNumber].probablyInvalidAt]))
+    };
+  } catch (error) {
+    console.error('Error loading delivery stats:', error);
+    throw error;
+  }
+});
+
 // Bot GUI Bridge
 const { spawn } = require('child_process');
 let botProcess = null;
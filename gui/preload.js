@@ -17,6 +17,23 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Phone number management
   loadPhoneNumbers: () => ipcRenderer.invoke('load-phone-numbers'),
   savePhoneNumbers: (phoneData) => ipcRenderer.invoke('save-phone-numbers', phoneData),
+  loadDoNotContact: () => ipcRenderer.invoke('load-do-not-contact'),
+
+  // Conversation transcripts
+  listTranscripts: () => ipcRenderer.invoke('list-transcripts'),
+  loadTranscript: (phoneNumber, filter) => ipcRenderer.invoke('load-transcript', phoneNumber, filter),
+  exportTranscript: (phoneNumber, format) => ipcRenderer.invoke('export-transcript', phoneNumber, format),
+
+  // Operator handoffs
+  loadHandoffs: () => ipcRenderer.invoke('load-handoffs'),
+  sendOperatorReply: (phoneNumber, text) => ipcRenderer.invoke('send-operator-reply', phoneNumber, text),
+  resumeConversation: (phoneNumber, state) => ipcRenderer.invoke('resume-conversation', phoneNumber, state),
+
+  // Outbound message queue
+  loadOutboundQueue: () => ipcRenderer.invoke('load-outbound-queue'),
+  retryDeadLetter: (id) => ipcRenderer.invoke('retry-dead-letter', id),
+  discardDeadLetter: (id) => ipcRenderer.invoke('discard-dead-letter', id),
+  loadDeliveryStats: () => ipcRenderer.invoke('load-delivery-stats'),
 
   // QR Code management
   getQRCode: () => ipcRenderer.invoke('get-qr-code'),
@@ -39,6 +56,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('bot-log', (event, log) => callback(log));
   },
 
+  onHandoffUpdate: (callback) => {
+    ipcRenderer.on('handoff-update', (event, handoffs) => callback(handoffs));
+  },
+
+  onOutboundQueueUpdate: (callback) => {
+    ipcRenderer.on('outbound-queue-update', (event, queue) => callback(queue));
+  },
+
   // Remove listeners
   removeAllListeners: (channel) => {
     ipcRenderer.removeAllListeners(channel);
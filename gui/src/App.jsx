@@ -21,12 +21,18 @@ import {
   Stop as StopIcon,
   Download as DownloadIcon,
   Upload as UploadIcon,
+  SupportAgent as SupportAgentIcon,
+  Forum as ForumIcon,
+  Outbox as OutboxIcon,
 } from '@mui/icons-material';
 
 import ConfigEditor from './components/ConfigEditor';
 import QRCodeScanner from './components/QRCodeScanner';
 import PhoneNumberManager from './components/PhoneNumberManager';
 import BotStatus from './components/BotStatus';
+import HandoffInbox from './components/HandoffInbox';
+import TranscriptViewer from './components/TranscriptViewer';
+import OutboundQueue from './components/OutboundQueue';
 
 function TabPanel({ children, value, index, ...other }) {
   return (
@@ -229,6 +235,8 @@ function App() {
           <Tabs 
             value={tabValue} 
             onChange={handleTabChange}
+            variant="scrollable"
+            scrollButtons="auto"
             sx={{ 
               borderBottom: 1, 
               borderColor: 'rgba(102, 126, 234, 0.2)',
@@ -263,6 +271,24 @@ function App() {
               iconPosition="start"
               sx={{ minWidth: 200 }}
             />
+            <Tab 
+              icon={<SupportAgentIcon />} 
+              label="Operator Inbox" 
+              iconPosition="start"
+              sx={{ minWidth: 200 }}
+            />
+            <Tab 
+              icon={<ForumIcon />} 
+              label="Transcripts" 
+              iconPosition="start"
+              sx={{ minWidth: 200 }}
+            />
+            <Tab 
+              icon={<OutboxIcon />} 
+              label="Outbound Queue" 
+              iconPosition="start"
+              sx={{ minWidth: 200 }}
+            />
           </Tabs>
 
           <TabPanel value={tabValue} index={0}>
@@ -288,6 +314,26 @@ function App() {
               onNotification={showNotification}
             />
           </TabPanel>
+
+          <TabPanel value={tabValue} index={3}>
+            <HandoffInbox 
+              botStatus={botStatus}
+              onNotification={showNotification}
+            />
+          </TabPanel>
+
+          <TabPanel value={tabValue} index={4}>
+            <TranscriptViewer 
+              onNotification={showNotification}
+            />
+          </TabPanel>
+
+          <TabPanel value={tabValue} index={5}>
+            <OutboundQueue 
+              botStatus={botStatus}
+              onNotification={showNotification}
+            />
+          </TabPanel>
         </Paper>
       </Container>
 
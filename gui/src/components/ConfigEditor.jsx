@@ -9,13 +9,15 @@ import {
   Alert,
   Accordion,
   AccordionSummary,
-  AccordionDetails
+  AccordionDetails,
+  MenuItem
 } from '@mui/material';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
 
 const ConfigEditor = ({ config, onSave, onNotification }) => {
   const [editedConfig, setEditedConfig] = useState(config || {});
   const [validationErrors, setValidationErrors] = useState([]);
+  const [messageLanguage, setMessageLanguage] = useState('en');
 
   useEffect(() => {
     setEditedConfig(config || {});
@@ -41,11 +43,16 @@ const ConfigEditor = ({ config, onSave, onNotification }) => {
     return path.split('.').reduce((current, key) => current?.[key], obj) || '';
   };
 
+  // Messages are kept per language (messages.en, messages.hi, ...)
+  const messagePath = (path, language = messageLanguage) => `messages.${language}.${path}`;
+  const languages = editedConfig.languages?.supported || ['en'];
+  const defaultLanguage = editedConfig.languages?.default || 'en';
+
   const validateConfig = () => {
     const errors = [];
     
     // Required field validations based on actual config structure
-    if (!getNestedValue(editedConfig, 'messages.welcome.initial')) {
+    if (!getNestedValue(editedConfig, messagePath('welcome.initial', defaultLanguage))) {
       errors.push('Welcome initial message is required');
     }
     
@@ -97,6 +104,22 @@ const ConfigEditor = ({ config, onSave, onNotification }) => {
         Bot Configuration
       </Typography>
 
+      <TextField
+        select
+        label="Message Language"
+        value={messageLanguage}
+        onChange={(e) => setMessageLanguage(e.target.value)}
+        margin="normal"
+        variant="outlined"
+        sx={{ minWidth: 200, mb: 2 }}
+      >
+        {languages.map((language) => (
+          <MenuItem key={language} value={language}>
+            {language}{language === defaultLanguage ? ' (default)' : ''}
+          </MenuItem>
+        ))}
+      </TextField>
+
       {validationErrors.length > 0 && (
         <Alert severity="error" sx={{ mb: 2 }}>
           <ul style={{ margin: 0, paddingLeft: '20px' }}>
@@ -113,7 +136,7 @@ const ConfigEditor = ({ config, onSave, onNotification }) => {
         </Typography>
         <Grid container spacing={2}>
           <Grid item xs={12}>
-            {renderTextField('Initial Welcome Message', 'messages.welcome.initial', true, 3)}
+            {renderTextField('Initial Welcome Message', messagePath('welcome.initial'), true, 3)}
           </Grid>
         </Grid>
       </Paper>
@@ -124,19 +147,19 @@ const ConfigEditor = ({ config, onSave, onNotification }) => {
         </Typography>
         <Grid container spacing={2}>
           <Grid item xs={12}>
-            {renderTextField('Ask Call Time', 'messages.questions.askCallTime', true, 2)}
+            {renderTextField('Ask Call Time', messagePath('questions.askCallTime'), true, 2)}
           </Grid>
           <Grid item xs={12}>
-            {renderTextField('Ask Reason', 'messages.questions.askReason', true, 2)}
+            {renderTextField('Ask Reason', messagePath('questions.askReason'), true, 2)}
           </Grid>
           <Grid item xs={12}>
-            {renderTextField('Ask Clarification', 'messages.questions.askClarification', true, 2)}
+            {renderTextField('Ask Clarification', messagePath('questions.askClarification'), true, 2)}
           </Grid>
           <Grid item xs={12}>
-            {renderTextField('Ask Time for Date', 'messages.questions.askTimeForDate', true, 3)}
+            {renderTextField('Ask Time for Date', messagePath('questions.askTimeForDate'), true, 3)}
           </Grid>
           <Grid item xs={12}>
-            {renderTextField('Ask Date for Time', 'messages.questions.askDateForTime', true, 3)}
+            {renderTextField('Ask Date for Time', messagePath('questions.askDateForTime'), true, 3)}
           </Grid>
         </Grid>
       </Paper>
@@ -147,7 +170,7 @@ const ConfigEditor = ({ config, onSave, onNotification }) => {
         </Typography>
         <Grid container spacing={2}>
           <Grid item xs={12}>
-            {renderTextField('Schedule Confirmation', 'messages.confirmations.scheduleConfirm', true, 2)}
+            {renderTextField('Schedule Confirmation', messagePath('confirmations.scheduleConfirm'), true, 2)}
           </Grid>
         </Grid>
       </Paper>
@@ -158,16 +181,16 @@ const ConfigEditor = ({ config, onSave, onNotification }) => {
         </Typography>
         <Grid container spacing={2}>
           <Grid item xs={12}>
-            {renderTextField('Call Scheduled', 'messages.success.callScheduled', true, 2)}
+            {renderTextField('Call Scheduled', messagePath('success.callScheduled'), true, 2)}
           </Grid>
           <Grid item xs={12}>
-            {renderTextField('Immediate Call Scheduled', 'messages.success.immediateCallScheduled', true, 2)}
+            {renderTextField('Immediate Call Scheduled', messagePath('success.immediateCallScheduled'), true, 2)}
           </Grid>
           <Grid item xs={12}>
-            {renderTextField('Polite End', 'messages.success.politeEnd', true, 2)}
+            {renderTextField('Polite End', messagePath('success.politeEnd'), true, 2)}
           </Grid>
           <Grid item xs={12}>
-            {renderTextField('Thank You', 'messages.success.thankYou')}
+            {renderTextField('Thank You', messagePath('success.thankYou'))}
           </Grid>
         </Grid>
       </Paper>
@@ -178,19 +201,19 @@ const ConfigEditor = ({ config, onSave, onNotification }) => {
         </Typography>
         <Grid container spacing={2}>
           <Grid item xs={12}>
-            {renderTextField('Clarification Needed', 'messages.errors.clarificationNeeded', true, 2)}
+            {renderTextField('Clarification Needed', messagePath('errors.clarificationNeeded'), true, 2)}
           </Grid>
           <Grid item xs={12}>
-            {renderTextField('Still Unclear', 'messages.errors.stillUnclear', true, 2)}
+            {renderTextField('Still Unclear', messagePath('errors.stillUnclear'), true, 2)}
           </Grid>
           <Grid item xs={12}>
-            {renderTextField('Parse Error', 'messages.errors.parseError', true, 2)}
+            {renderTextField('Parse Error', messagePath('errors.parseError'), true, 2)}
           </Grid>
           <Grid item xs={12}>
-            {renderTextField('Past Date Time', 'messages.errors.pastDateTime', true, 2)}
+            {renderTextField('Past Date Time', messagePath('errors.pastDateTime'), true, 2)}
           </Grid>
           <Grid item xs={12}>
-            {renderTextField('Confirmation Needed', 'messages.errors.confirmationNeeded', true, 2)}
+            {renderTextField('Confirmation Needed', messagePath('errors.confirmationNeeded'), true, 2)}
           </Grid>
         </Grid>
       </Paper>
@@ -201,7 +224,7 @@ const ConfigEditor = ({ config, onSave, onNotification }) => {
         </Typography>
         <Grid container spacing={2}>
           <Grid item xs={12}>
-            {renderTextField('Provide Date and Time', 'messages.prompts.provideDateAndTime', true, 2)}
+            {renderTextField('Provide Date and Time', messagePath('prompts.provideDateAndTime'), true, 2)}
           </Grid>
         </Grid>
       </Paper>
@@ -212,7 +235,7 @@ const ConfigEditor = ({ config, onSave, onNotification }) => {
         </Typography>
         <Grid container spacing={2}>
           <Grid item xs={12}>
-            {renderTextField('Session Ended', 'messages.timeout.sessionEnded', true, 2)}
+            {renderTextField('Session Ended', messagePath('timeout.sessionEnded'), true, 2)}
           </Grid>
         </Grid>
       </Paper>
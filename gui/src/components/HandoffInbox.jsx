@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Chip,
+  Grid,
+  Alert,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel
+} from '@mui/material';
+import {
+  SupportAgent as SupportAgentIcon,
+  Send as SendIcon,
+  SmartToy as SmartToyIcon
+} from '@mui/icons-material';
+
+const REASON_LABELS = {
+  requested: 'Asked for a person',
+  clarification_limit: 'Bot could not understand'
+};
+
+const HandoffInbox = ({ botStatus, onNotification }) => {
+  const [handoffs, setHandoffs] = useState([]);
+  const [states, setStates] = useState([]);
+  const [replies, setReplies] = useState({});
+  // Flow state each conversation is handed back at, chosen by the operator
+  const [resumeStates, setResumeStates] = useState({});
+
+  useEffect(() => {
+    loadHandoffs();
+    window.electronAPI.onHandoffUpdate(setHandoffs);
+
+    return () => {
+      window.electronAPI.removeAllListeners('handoff-update');
+    };
+  }, []);
+
+  const loadHandoffs = async () => {
+    try {
+      const result = await window.electronAPI.loadHandoffs();
+      setHandoffs(result.handoffs);
+      setStates(result.states);
+    } catch (error) {
+      console.error('Error loading handoffs:', error);
+      onNotification('Failed to load handed over conversations', 'error');
+    }
+  };
+
+  const sendReply = async (phoneNumber) => {
+    const text = (replies[phoneNumber] || '').trim();
+    if (!text) {
+      return;
+    }
+
+    try {
+      await window.electronAPI.sendOperatorReply(phoneNumber, text);
+      setReplies({ ...replies, [phoneNumber]: '' });
+    } catch (error) {
+      console.error('Error sending operator reply:', error);
+      onNotification('Failed to send reply - is the bot running?', 'error');
+    }
+  };
+
+  // Where the conversation left off, unless that state can't be handed back to
+  const getResumeState = (handoff) => {
+    if (resumeStates[handoff.phoneNumber]) {
+      return resumeStates[handoff.phoneNumber];
+    }
+    return states.includes(handoff.fromState) ? handoff.fromState : states[0] || '';
+  };
+
+  const handBack = async (handoff) => {
+    const state = getResumeState(handoff);
+
+    try {
+      await window.electronAPI.resumeConversation(handoff.phoneNumber, state);
+      onNotification(`${handoff.phoneNumber} handed back to the bot`, 'success');
+    } catch (error) {
+      console.error('Error handing conversation back:', error);
+      onNotification('Failed to hand the conversation back - is the bot running?', 'error');
+    }
+  };
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
+        <SupportAgentIcon sx={{ mr: 2, fontSize: 32, color: 'primary.main' }} />
+        <Typography variant="h4" gutterBottom>
+          Operator Inbox
+        </Typography>
+      </Box>
+
+      {!botStatus.running && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          Start the bot to reply to contacts or hand conversations back.
+        </Alert>
+      )}
+
+      {handoffs.length === 0 ? (
+        <Paper sx={{ p: 3, textAlign: 'center' }}>
+          <SupportAgentIcon sx={{ fontSize: 64, color: 'text.disabled', mb: 2 }} />
+          <Typography variant="body1" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+            No conversations are waiting for an operator
+          </Typography>
+        </Paper>
+      ) : (
+        handoffs.map(handoff => (
+          <Paper key={handoff.phoneNumber} sx={{ p: 3, mb: 3 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+              <Typography variant="h6" sx={{ fontFamily: 'monospace' }}>
+                {handoff.phoneNumber}
+              </Typography>
+              <Chip label={REASON_LABELS[handoff.reason] || handoff.reason} color="warning" size="small" />
+              <Typography variant="caption" color="text.secondary">
+                since {new Date(handoff.openedAt).toLocaleString()}
+              </Typography>
+            </Box>
+
+            <Box sx={{ mb: 2 }}>
+              {handoff.messages.map((entry, index) => (
+                <Typography
+                  key={index}
+                  variant="body2"
+                  sx={{ textAlign: entry.from === 'operator' ? 'right' : 'left', mb: 0.5 }}
+                >
+                  <strong>{entry.from === 'operator' ? 'You' : 'Contact'}:</strong> {entry.text}
+                </Typography>
+              ))}
+            </Box>
+
+            <Grid container spacing={2}>
+              <Grid item xs={12} sm={8}>
+                <TextField
+                  fullWidth
+                  label="Reply"
+                  value={replies[handoff.phoneNumber] || ''}
+                  onChange={(e) => setReplies({ ...replies, [handoff.phoneNumber]: e.target.value })}
+                  onKeyPress={(e) => e.key === 'Enter' && sendReply(handoff.phoneNumber)}
+                  variant="outlined"
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <Button
+                  fullWidth
+                  variant="contained"
+                  onClick={() => sendReply(handoff.phoneNumber)}
+                  startIcon={<SendIcon />}
+                  sx={{ height: '56px' }}
+                  disabled={!botStatus.running || !(replies[handoff.phoneNumber] || '').trim()}
+                >
+                  Send
+                </Button>
+              </Grid>
+              <Grid item xs={12} sm={8}>
+                <FormControl fullWidth>
+                  <InputLabel>Hand back at</InputLabel>
+                  <Select
+                    value={getResumeState(handoff)}
+                    label="Hand back at"
+                    onChange={(e) => setResumeStates({ ...resumeStates, [handoff.phoneNumber]: e.target.value })}
+                  >
+                    {states.map(state => (
+                      <MenuItem key={state} value={state}>{state}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <Button
+                  fullWidth
+                  variant="outlined"
+                  onClick={() => handBack(handoff)}
+                  startIcon={<SmartToyIcon />}
+                  sx={{ height: '56px' }}
+                  disabled={!botStatus.running}
+                >
+                  Hand Back to Bot
+                </Button>
+              </Grid>
+            </Grid>
+          </Paper>
+        ))
+      )}
+    </Box>
+  );
+};
+
+export default HandoffInbox;
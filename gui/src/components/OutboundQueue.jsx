@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Chip,
+  Alert,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import {
+  Outbox as OutboxIcon,
+  Replay as ReplayIcon,
+  Delete as DeleteIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material';
+
+const REASON_LABELS = {
+  welcome: 'Welcome',
+  reminder: 'Reminder',
+  follow_up: 'Follow-up',
+  operator: 'Operator reply',
+  hand_back: 'Hand-back',
+  calendar_invite: 'Calendar invite',
+  session_timeout: 'Session ended'
+};
+
+// Stages of the delivery funnel, each a subset of the one before
+const FUNNEL_STAGES = [
+  { id: 'contacted', label: 'Contacted' },
+  { id: 'delivered', label: 'Delivered' },
+  { id: 'read', label: 'Read' },
+  { id: 'replied', label: 'Replied' },
+  { id: 'booked', label: 'Booked' }
+];
+
+const OutboundQueue = ({ botStatus, onNotification }) => {
+  const [queue, setQueue] = useState({ messages: [], deadLetters: [] });
+  const [delivery, setDelivery] = useState({ funnel: {}, probablyInvalid: {} });
+
+  useEffect(() => {
+    loadQueue();
+    window.electronAPI.onOutboundQueueUpdate(setQueue);
+
+    return () => {
+      window.electronAPI.removeAllListeners('outbound-queue-update');
+    };
+  }, []);
+
+  const loadQueue = async () => {
+    try {
+      setQueue(await window.electronAPI.loadOutboundQueue());
+      setDelivery(await window.electronAPI.loadDeliveryStats());
+    } catch (error) {
+      console.error('Error loading outbound queue:', error);
+      onNotification('Failed to load the outbound queue', 'error');
+    }
+  };
+
+  const retry = async (id) => {
+    try {
+      await window.electronAPI.retryDeadLetter(id);
+      onNotification('Message queued again', 'success');
+    } catch (error) {
+      console.error('Error retrying message:', error);
+      onNotification('Failed to retry - is the bot running?', 'error');
+    }
+  };
+
+  const discard = async (id) => {
+    try {
+      await window.electronAPI.discardDeadLetter(id);
+    } catch (error) {
+      console.error('Error discarding message:', error);
+      onNotification('Failed to discard - is the bot running?', 'error');
+    }
+  };
+
+  const describeReason = (message) => (
+    <Chip
+      label={REASON_LABELS[message.reason] || message.reason || 'Message'}
+      size="small"
+      color={message.priority === 'high' ? 'primary' : 'default'}
+      variant="outlined"
+    />
+  );
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
+        <OutboxIcon sx={{ mr: 2, fontSize: 32, color: 'primary.main' }} />
+        <Typography variant="h4" gutterBottom>
+          Outbound Queue
+        </Typography>
+        <Button variant="outlined" onClick={loadQueue} startIcon={<RefreshIcon />} sx={{ ml: 'auto' }}>
+          Refresh
+        </Button>
+      </Box>
+
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Delivery Funnel
+        </Typography>
+        <Grid container spacing={2}>
+          {FUNNEL_STAGES.map(stage => {
+            const count = delivery.funnel[stage.id] || 0;
+            const contacted = delivery.funnel.contacted || 0;
+
+            return (
+              <Grid item xs={6} sm key={stage.id}>
+                <Typography variant="h4">{count}</Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {stage.label}
+                  {stage.id !== 'contacted' && contacted > 0 && ` (${Math.round((count / contacted) * 100)}%)`}
+                </Typography>
+              </Grid>
+            );
+          })}
+        </Grid>
+        {Object.keys(delivery.probablyInvalid).length > 0 && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            Nothing was ever delivered to {Object.keys(delivery.probablyInvalid).join(', ')} - probably not on WhatsApp.
+          </Alert>
+        )}
+      </Paper>
+
+      {!botStatus.running && queue.messages.length > 0 && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          Queued messages go out once the bot is started.
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Waiting to Send ({queue.messages.length})
+        </Typography>
+        {queue.messages.length === 0 ? (
+          <Typography variant="body1" color="text.secondary" sx={{ fontStyle: 'italic', textAlign: 'center' }}>
+            Nothing waiting to be sent
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Contact</TableCell>
+                <TableCell>Type</TableCell>
+                <TableCell>Message</TableCell>
+                <TableCell>Sends After</TableCell>
+                <TableCell>Attempts</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {queue.messages.map(message => (
+                <TableRow key={message.id}>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>{message.phoneNumber}</TableCell>
+                  <TableCell>{describeReason(message)}</TableCell>
+                  <TableCell sx={{ maxWidth: 320, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {message.text}
+                  </TableCell>
+                  <TableCell>{new Date(message.sendAt).toLocaleString()}</TableCell>
+                  <TableCell>
+                    {message.attempts}
+                    {message.lastError && (
+                      <Typography variant="caption" color="error" display="block">{message.lastError}</Typography>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </Paper>
+
+      <Paper sx={{ p: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Failed ({queue.deadLetters.length})
+        </Typography>
+        {queue.deadLetters.length === 0 ? (
+          <Typography variant="body1" color="text.secondary" sx={{ fontStyle: 'italic', textAlign: 'center' }}>
+            No messages have run out of retries
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Contact</TableCell>
+                <TableCell>Type</TableCell>
+                <TableCell>Message</TableCell>
+                <TableCell>Failed</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {queue.deadLetters.map(message => (
+                <TableRow key={message.id}>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>{message.phoneNumber}</TableCell>
+                  <TableCell>{describeReason(message)}</TableCell>
+                  <TableCell sx={{ maxWidth: 320, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {message.text}
+                  </TableCell>
+                  <TableCell>
+                    {new Date(message.failedAt).toLocaleString()}
+                    <Typography variant="caption" color="error" display="block">{message.lastError}</Typography>
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Button size="small" onClick={() => retry(message.id)} startIcon={<ReplayIcon />} disabled={!botStatus.running}>
+                      Retry
+                    </Button>
+                    <Button size="small" color="error" onClick={() => discard(message.id)} startIcon={<DeleteIcon />} disabled={!botStatus.running}>
+                      Discard
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default OutboundQueue;
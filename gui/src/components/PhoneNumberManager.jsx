@@ -16,11 +16,19 @@ import {
   Save as SaveIcon,
   Refresh as RefreshIcon,
   Clear as ClearIcon,
-  Phone as PhoneIcon
+  Phone as PhoneIcon,
+  Block as BlockIcon,
+  PortableWifiOff as UndeliveredIcon
 } from '@mui/icons-material';
 
 const PhoneNumberManager = ({ onNotification }) => {
   const [phoneNumbers, setPhoneNumbers] = useState([]);
+  // Per-contact settings (e.g. time zone overrides) stored alongside the numbers
+  const [contacts, setContacts] = useState({});
+  // Numbers that replied STOP - the bot never messages them, even if they are in the list
+  const [doNotContact, setDoNotContact] = useState({});
+  // Numbers none of the bot's messages were ever delivered to
+  const [probablyInvalid, setProbablyInvalid] = useState({});
   const [newPhoneNumber, setNewPhoneNumber] = useState('');
   const [loading, setLoading] = useState(false);
 
@@ -33,6 +41,9 @@ const PhoneNumberManager = ({ onNotification }) => {
       setLoading(true);
       const phoneData = await window.electronAPI.loadPhoneNumbers();
       setPhoneNumbers(phoneData.targetPhoneNumbers || []);
+      setContacts(phoneData.contacts || {});
+      setDoNotContact(await window.electronAPI.loadDoNotContact());
+      setProbablyInvalid((await window.electronAPI.loadDeliveryStats()).probablyInvalid);
     } catch (error) {
       console.error('Error loading phone numbers:', error);
       onNotification('Failed to load phone numbers', 'error');
@@ -58,8 +69,15 @@ const PhoneNumberManager = ({ onNotification }) => {
 
   const savePhoneNumbers = async (numbers) => {
     try {
+      // Keep settings only for numbers that are still in the list
+      const remainingContacts = Object.fromEntries(
+        Object.entries(contacts).filter(([number]) => numbers.includes(number))
+      );
+      setContacts(remainingContacts);
+
       await window.electronAPI.savePhoneNumbers({
-        targetPhoneNumbers: numbers
+        targetPhoneNumbers: numbers,
+        contacts: remainingContacts
       });
       onNotification('Phone numbers updated successfully!', 'success');
     } catch (error) {
@@ -134,6 +152,12 @@ const PhoneNumberManager = ({ onNotification }) => {
             This phone number is already in the list.
           </Alert>
         )}
+
+        {doNotContact[newPhoneNumber.trim()] && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            This number opted out on {new Date(doNotContact[newPhoneNumber.trim()].optedOutAt).toLocaleDateString()}. The bot will not message it.
+          </Alert>
+        )}
       </Paper>
 
       <Paper sx={{ p: 3 }}>
@@ -160,11 +184,17 @@ const PhoneNumberManager = ({ onNotification }) => {
               {phoneNumbers.map((number, index) => (
                 <Chip
                   key={index}
-                  label={number}
+                  icon={doNotContact[number] ? <BlockIcon /> : probablyInvalid[number] ? <UndeliveredIcon /> : undefined}
+                  label={[
+                    number,
+                    contacts[number]?.timeZone && `(${contacts[number].timeZone})`,
+                    doNotContact[number] && '- opted out',
+                    !doNotContact[number] && probablyInvalid[number] && '- never delivered'
+                  ].filter(Boolean).join(' ')}
                   onDelete={() => removePhoneNumber(number)}
                   deleteIcon={<DeleteIcon />}
                   variant="outlined"
-                  color="primary"
+                  color={doNotContact[number] ? 'error' : probablyInvalid[number] ? 'warning' : 'primary'}
                   size="medium"
                   sx={{ 
                     fontSize: '0.9rem',
@@ -179,6 +209,21 @@ const PhoneNumberManager = ({ onNotification }) => {
           </Box>
         )}
       </Paper>
+
+      <Paper sx={{ p: 3, mt: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Opted Out ({Object.keys(doNotContact).length})
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Contacts who asked not to be messaged again (e.g. by replying STOP). The bot skips them even if they are in the list above.
+        </Typography>
+        {Object.entries(doNotContact).map(([number, entry]) => (
+          <Typography key={number} variant="body2" sx={{ mb: 0.5 }}>
+            <strong style={{ fontFamily: 'monospace' }}>{number}</strong>
+            {' '}- {new Date(entry.optedOutAt).toLocaleString()}{entry.text && ` ("${entry.text}")`}
+          </Typography>
+        ))}
+      </Paper>
     </Box>
   );
 };
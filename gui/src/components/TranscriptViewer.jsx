@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Chip,
+  Grid,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel
+} from '@mui/material';
+import {
+  Forum as ForumIcon,
+  Download as DownloadIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material';
+
+const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON' },
+  { id: 'csv', label: 'CSV' },
+  { id: 'text', label: 'Text' }
+];
+
+const TranscriptViewer = ({ onNotification }) => {
+  const [contacts, setContacts] = useState([]);
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [entries, setEntries] = useState([]);
+  // Show only messages, or state transitions as well
+  const [showTransitions, setShowTransitions] = useState(false);
+
+  useEffect(() => {
+    loadContacts();
+  }, []);
+
+  useEffect(() => {
+    if (phoneNumber) {
+      loadTranscript(phoneNumber);
+    }
+  }, [phoneNumber, showTransitions]);
+
+  const loadContacts = async () => {
+    try {
+      setContacts(await window.electronAPI.listTranscripts());
+    } catch (error) {
+      console.error('Error listing transcripts:', error);
+      onNotification('Failed to load transcripts', 'error');
+    }
+  };
+
+  const loadTranscript = async (number) => {
+    try {
+      const types = showTransitions ? null : ['inbound', 'outbound'];
+      setEntries(await window.electronAPI.loadTranscript(number, types ? { types } : {}));
+    } catch (error) {
+      console.error('Error loading transcript:', error);
+      onNotification('Failed to load transcript', 'error');
+    }
+  };
+
+  const exportTranscript = async (format) => {
+    try {
+      const result = await window.electronAPI.exportTranscript(phoneNumber, format);
+      if (result.success && !result.canceled) {
+        onNotification(`Transcript exported to ${result.filePath}`, 'success');
+      }
+    } catch (error) {
+      console.error('Error exporting transcript:', error);
+      onNotification('Failed to export transcript', 'error');
+    }
+  };
+
+  const describeEntry = (entry) => {
+    if (entry.type === 'transition') {
+      return `${entry.from || 'start'} → ${entry.to}`;
+    }
+    return entry.text;
+  };
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
+        <ForumIcon sx={{ mr: 2, fontSize: 32, color: 'primary.main' }} />
+        <Typography variant="h4" gutterBottom>
+          Conversation Transcripts
+        </Typography>
+      </Box>
+
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} sm={6}>
+            <FormControl fullWidth>
+              <InputLabel>Contact</InputLabel>
+              <Select
+                value={phoneNumber}
+                label="Contact"
+                onChange={(e) => setPhoneNumber(e.target.value)}
+              >
+                {contacts.map(number => (
+                  <MenuItem key={number} value={number} sx={{ fontFamily: 'monospace' }}>{number}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+              <Button variant="outlined" onClick={loadContacts} startIcon={<RefreshIcon />}>
+                Refresh
+              </Button>
+              <Button
+                variant={showTransitions ? 'contained' : 'outlined'}
+                onClick={() => setShowTransitions(!showTransitions)}
+              >
+                State Changes
+              </Button>
+              {EXPORT_FORMATS.map(format => (
+                <Button
+                  key={format.id}
+                  variant="outlined"
+                  onClick={() => exportTranscript(format.id)}
+                  startIcon={<DownloadIcon />}
+                  disabled={!phoneNumber}
+                >
+                  {format.label}
+                </Button>
+              ))}
+            </Box>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      <Paper sx={{ p: 3 }}>
+        {!phoneNumber || entries.length === 0 ? (
+          <Typography variant="body1" color="text.secondary" sx={{ fontStyle: 'italic', textAlign: 'center' }}>
+            {phoneNumber ? 'Nothing recorded for this contact yet' : 'Choose a contact to see their conversation'}
+          </Typography>
+        ) : (
+          entries.map((entry, index) => (
+            <Box
+              key={index}
+              sx={{ mb: 1, textAlign: entry.type === 'outbound' ? 'right' : 'left', opacity: entry.type === 'transition' ? 0.6 : 1 }}
+            >
+              <Typography variant="caption" color="text.secondary">
+                {new Date(entry.at).toLocaleString()}
+                {entry.state && ` · ${entry.state}`}
+              </Typography>
+              {entry.sentiment && (
+                <Chip label={entry.sentiment} size="small" variant="outlined" sx={{ ml: 1, height: 18 }} />
+              )}
+              <Typography variant="body2" sx={{ whiteSpace: 'pre-line', fontStyle: entry.type === 'transition' ? 'italic' : 'normal' }}>
+                {describeEntry(entry)}
+              </Typography>
+            </Box>
+          ))
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default TranscriptViewer;
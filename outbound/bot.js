@@ -1,25 +1,118 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
 const chokidar = require('chokidar');
-const { pipeline } = require('@xenova/transformers');
 const moment = require('moment');
 const ConfigLoader = require('../shared/config/configLoader');
 const botUtils = require('../shared/utils/botUtils');
+const { createTransport } = require('../shared/transport/transportFactory');
+const ConversationFlow = require('../shared/flow/conversationFlow');
+const AnswerValidator = require('../shared/flow/answerValidator');
+const ReminderScheduler = require('../shared/scheduling/reminderScheduler');
+const FollowUpScheduler = require('../shared/scheduling/followUpScheduler');
+const SendWindow = require('../shared/scheduling/sendWindow');
+const BusinessHours = require('../shared/scheduling/businessHours');
+const AgentRoster = require('../shared/scheduling/agentRoster');
+const CallTypes = require('../shared/scheduling/callTypes');
+const IcsExporter = require('../shared/calendar/icsExporter');
+const BusyCalendar = require('../shared/calendar/busyCalendar');
+const TimeWindowParser = require('../shared/scheduling/timeWindowParser');
+const RelativeDateResolver = require('../shared/scheduling/relativeDateResolver');
+const LlmTimeExtractor = require('../shared/scheduling/llmTimeExtractor');
+const LanguageSupport = require('../shared/language/languageSupport');
+const HandoffDesk = require('../shared/handoff/handoffDesk');
+const DoNotContactList = require('../shared/contacts/doNotContactList');
+const TranscriptStore = require('../shared/transcripts/transcriptStore');
+const DeclineReasons = require('../shared/transcripts/declineReasons');
+const OutboundQueue = require('../shared/messaging/outboundQueue');
+const DeliveryTracker = require('../shared/messaging/deliveryTracker');
+const timeZoneUtils = require('../shared/utils/timeZoneUtils');
 
 // Initialize config loader for this instance
 const config = new ConfigLoader(__dirname);
 
+// Directory holding contacts, sessions, bookings and the other data files
+// (BOT_DATA_DIR points a test run at a scratch directory)
+const DATA_DIR = process.env.BOT_DATA_DIR || __dirname;
+
 // File paths
-const TARGET_NUMBERS_FILE = path.join(__dirname, 'target_numbers.json');
-const SESSIONS_FILE = path.join(__dirname, 'sessions.json');
-const CALL_SCHEDULE_FILE = path.join(__dirname, 'call_schedule.json');
+const TARGET_NUMBERS_FILE = path.join(DATA_DIR, 'target_numbers.json');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const CALL_SCHEDULE_FILE = path.join(DATA_DIR, 'call_schedule.json');
 
 // Initialize configuration
 config.loadConfig();
 console.log('📋 Configuration loaded successfully');
 
+// Run in the business time zone: opening hours, bookings and agents' times are all kept in it,
+// while each contact's own time zone is only used to read and show times
+const BUSINESS_TIME_ZONE = config.getSetting('timeZones.business', null);
+if (BUSINESS_TIME_ZONE) {
+  process.env.TZ = BUSINESS_TIME_ZONE;
+}
+
+// Load the declarative conversation flow (states, prompts and transitions)
+const conversationFlow = new ConversationFlow(
+  path.join(__dirname, '..', 'shared', 'config', config.getSetting('flow.file', 'conversation_flow.json'))
+);
+conversationFlow.loadFlow();
+
+// Opening hours, holidays and minimum lead time enforced when booking calls
+const businessHours = new BusinessHours(config.getSetting('businessHours', {}));
+
+// Agents who take the calls - bookings only conflict when no agent is free
+const agentRoster = new AgentRoster(config.getSetting('agents', {}));
+
+// Kinds of call (intro, counselling, ...) with their durations and buffer times
+const callTypes = new CallTypes(config.getSetting('callTypes', {}));
+
+// iCalendar export of bookings (per-booking invites and a combined feed)
+const icsExporter = new IcsExporter({
+  outputDir: path.join(DATA_DIR, config.getSetting('calendar.outputDir', 'calendar')),
+  calendarName: config.getSetting('calendar.calendarName', 'Booked calls'),
+  callTypes
+});
+
+// Other meetings imported from local .ics files, treated as busy time when booking
+const busyCalendar = new BusyCalendar(config.getSetting('busyCalendars', {}), DATA_DIR);
+
+// Time ranges and windows in replies ("between 2 and 4pm", "any evening next week")
+const timeWindowParser = new TimeWindowParser(config.getSetting('timeWindows', {}));
+
+// Dates in replies, resolved against today ("next Monday", "the 25th", "25/12")
+const dateResolver = new RelativeDateResolver(config.getSetting('dateParsing', {}));
+
+// TinyLlama date/time extraction next to the patterns (regex, llm or hybrid)
+const llmTimeExtractor = new LlmTimeExtractor(config.getSetting('timeParsing', {}));
+
+// Languages contacts are answered in (messages.<language> catalogs), detected from their replies
+const languageSupport = new LanguageSupport(config.getSetting('languages', {}));
+
+// Conversations handed over to a human operator (handoff in config.json)
+const handoffDesk = new HandoffDesk(config.getSetting('handoff', {}), DATA_DIR);
+
+// Numbers that opted out (optOut in config.json) - never messaged again
+const doNotContactList = new DoNotContactList(config.getSetting('optOut', {}), DATA_DIR);
+
+// Every message in and out, per contact (transcripts in config.json)
+const transcriptStore = new TranscriptStore(config.getSetting('transcripts', {}), DATA_DIR);
+
+// Categories for the reasons leads give when they say no (declineReasons in config.json)
+const declineReasons = new DeclineReasons(config.getSetting('declineReasons', {}));
+
+// Hours the bot may message leads unprompted, on their clock (sendWindows in config.json)
+const sendWindow = new SendWindow(config.getSetting('sendWindows.enabled', false) ? config.getSetting('sendWindows', {}) : {});
+
+// Paced, rate-limited and retried delivery of everything the bot sends on its own (outboundQueue in config.json)
+const outboundQueue = new OutboundQueue(config.getSetting('outboundQueue', {}), DATA_DIR);
+
+// Delivery/read receipts and the contacted → booked funnel (delivery in config.json)
+const deliveryTracker = new DeliveryTracker(config.getSetting('delivery', {}), DATA_DIR);
+
+// Checks answers to the flow's qualification questions against each state's "answer" spec
+const answerValidator = new AnswerValidator();
+
 // AI Models for sentiment analysis and time parsing
 let sentimentAnalyzer = null;
 let timeParsingLLM = null;
@@ -29,13 +122,21 @@ async function initializeAIModels() {
   try {
     console.log('🤖 Initializing AI models...');
     
+    // Loaded here rather than at the top so requiring the bot (as the tests do) doesn't need the
+    // model runtime; if it can't load, the catch below falls back to keywords and regex
+    const { pipeline } = require('@xenova/transformers');
+    
     // Initialize modern Twitter-trained sentiment analysis model
     sentimentAnalyzer = await pipeline('text-classification', 'Xenova/twitter-roberta-base-sentiment-latest');
     console.log('✅ Modern Twitter-trained sentiment analysis model loaded (RoBERTa)');
     
-    // Initialize TinyLlama for intelligent date/time parsing
-    timeParsingLLM = await pipeline('text-generation', 'Xenova/TinyLlama-1.1B-Chat-v1.0');
-    console.log('✅ TinyLlama model loaded for intelligent date/time parsing');
+    // Initialize TinyLlama for intelligent date/time parsing (not needed with regex-only parsing)
+    if (llmTimeExtractor.usesModel()) {
+      timeParsingLLM = await pipeline('text-generation', llmTimeExtractor.model);
+      console.log(`✅ TinyLlama model loaded for intelligent date/time parsing (${llmTimeExtractor.mode} mode)`);
+    } else {
+      console.log('ℹ️ Time parsing set to regex only, TinyLlama not loaded');
+    }
     
   } catch (error) {
     console.error('❌ Error initializing AI models:', error);
@@ -45,8 +146,18 @@ async function initializeAIModels() {
 }
 
 // Sentiment analysis function with modern Twitter-trained model
-async function analyzeSentiment(text, context = 'general') {
+async function analyzeSentiment(text, context = 'general', language = null) {
   try {
+    // The models and keyword lists below are English - try the contact's own language first,
+    // then the reply's if it reads differently ("abhi nahi" from a contact who started in English)
+    for (const replyLanguage of new Set([language, languageSupport.detect(text)].filter(Boolean))) {
+      const languageSentiment = languageSupport.matchYesNo(text, replyLanguage);
+      if (languageSentiment) {
+        console.log(`🌐 Keyword Analysis (${replyLanguage}): "${text}" -> ${languageSentiment.toUpperCase()}`);
+        return languageSentiment;
+      }
+    }
+    
     if (!sentimentAnalyzer) {
       console.log('⚠️ Sentiment analyzer not loaded, using keyword fallback');
       return analyzeKeywordSentiment(text, context);
@@ -180,6 +291,16 @@ function analyzeKeywordSentiment(text, context = 'general') {
 function analyzeYesNoKeywords(text) {
   const lowerText = text.toLowerCase().trim();
   
+  // Hinglish/Hindi replies ("haan ji", "kyun nahi", "abhi nahi", "हाँ") have their own phrase
+  // list - the lists below would take the "nahi" in "kyun nahi" (why not) as a no
+  if (languageSupport.detect(lowerText) === 'hi') {
+    const hindiSentiment = languageSupport.matchYesNo(lowerText, 'hi');
+    if (hindiSentiment) {
+      console.log(`🇮🇳 Hinglish ${hindiSentiment.toUpperCase()} detected`);
+      return hindiSentiment;
+    }
+  }
+  
   // Strong affirmative responses (high confidence)
   const strongYes = /\b(yes|yeah|yep|yup|absolutely|definitely|of course|certainly|sure thing|for sure|count me in|let's do it|sounds good|i'm in|i want|i would like|interested|please|go ahead|perfect|excellent|great|awesome|fantastic)\b/i;
   
@@ -491,10 +612,10 @@ class ComprehensiveKeywordDetector {
     
     for (const pattern of cancellationPatterns) {
       if (pattern.test(lowerText)) {
-        if (pattern.source.includes('reschedule|postpone|move|shift|change|different time')) {
+        if (pattern.source.includes('reschedule|postpone')) {
           actionType = 'reschedule';
           confidence = 0.9;
-        } else if (pattern.source.includes('cancel|abort|stop|quit')) {
+        } else if (pattern.source.includes('cancel|cancelled') || pattern.source.includes('need to cancel')) {
           actionType = 'cancel';
           confidence = 0.95;
         } else {
@@ -681,9 +802,20 @@ function analyzeComprehensiveSentiment(text, context = 'general') {
 
 
 // Parse time expressions using TinyLlama AI model with interactive prompting
-async function parseTimeExpression(text, currentDateTime = new Date()) {
+async function parseTimeExpression(text, currentDateTime = new Date(), language = null) {
   console.log(`🕐 Parsing time expression: "${text}"`);
   
+  // The parsers below read English - "mañana a las 5" becomes "tomorrow at 5" first, in the
+  // contact's language or the reply's own ("kal shaam 5 baje" from a contact who started in English)
+  const replyLanguage = languageSupport.detect(text);
+  for (const code of new Set([language, replyLanguage].filter(Boolean))) {
+    const normalizedText = languageSupport.normalizeDateTime(text, code);
+    if (normalizedText.toLowerCase() !== text.toLowerCase()) {
+      console.log(`🌐 Read as (${code}): "${normalizedText}"`);
+      text = normalizedText;
+    }
+  }
+  
   // Check for immediate "now" keywords first
   const lowerText = text.toLowerCase();
   const immediateKeywords = [
@@ -729,8 +861,46 @@ async function parseTimeExpression(text, currentDateTime = new Date()) {
     };
   }
   
-  // Use TinyLlama for intelligent parsing
-  const result = await parseTimeWithTinyLlama(text, currentDateTime);
+  // In "llm" mode the model goes first and the patterns only cover for it
+  let result = llmTimeExtractor.mode === 'llm' ? await parseTimeWithTinyLlama(text, currentDateTime) : null;
+  
+  if (!result) {
+    result = await parseTimeWithPatterns(text, currentDateTime);
+    
+    // In "hybrid" mode the model gets the replies the patterns can't read at all or read more
+    // than one way; without a usable answer from it the contact is asked which reading was meant
+    const readNothing = !result.success || (!result.window && !result.hasDate && !result.hasTime);
+    const isAmbiguous = result.success && result.ambiguities && result.ambiguities.length > 0;
+    if (llmTimeExtractor.mode === 'hybrid' && (readNothing || isAmbiguous)) {
+      result = await parseTimeWithTinyLlama(text, currentDateTime) || result;
+    }
+  }
+  
+  if (result.success && result.window) {
+    console.log(`🪟 Time window parsed: ${timeWindowParser.describe(result.window)}`);
+    return {
+      success: true,
+      window: result.window,
+      hasDate: Boolean(result.window.startDate),
+      hasTime: result.window.hasTimeRange,
+      complete: false
+    };
+  }
+  
+  if (result.success && result.ambiguities && result.ambiguities.length > 0) {
+    // "at 5", "3/4" - the conversation checks which reading was meant
+    console.log(`❓ Ambiguous time: ${result.ambiguities.map(ambiguity => ambiguity.candidates.map(candidate => candidate.date || candidate.time).join(' / ')).join('; ')}`);
+    return {
+      success: true,
+      date: result.date,
+      time: result.time,
+      hasDate: result.hasDate,
+      hasTime: result.hasTime,
+      ambiguities: result.ambiguities,
+      ambiguous: true,
+      complete: false
+    };
+  }
   
   if (result.success) {
     // Check if we have both date and time
@@ -772,8 +942,60 @@ async function parseTimeExpression(text, currentDateTime = new Date()) {
   }
 }
 
-// Enhanced date/time parsing with better natural language support
+// Ask the local TinyLlama model for the date/time, in the same shape as parseTimeWithPatterns.
+// Returns null when the model isn't loaded, is too slow or gives nothing usable.
 async function parseTimeWithTinyLlama(text, currentDateTime = new Date()) {
+  const extracted = await llmTimeExtractor.extract(timeParsingLLM, text, currentDateTime);
+  
+  if (!extracted) {
+    return null;
+  }
+  
+  if (extracted.range) {
+    const window = timeWindowParser.fromTimes(extracted.range.start, extracted.range.end);
+    return { success: true, window: extracted.date ? timeWindowParser.onDate(window, extracted.date) : window };
+  }
+  
+  const hasDate = Boolean(extracted.date);
+  const hasTime = Boolean(extracted.time);
+  return {
+    success: true,
+    date: extracted.date,
+    time: extracted.time,
+    hasDate,
+    hasTime,
+    needsDate: !hasDate,
+    needsTime: !hasTime,
+    partial: hasDate !== hasTime,
+    formatted: hasDate && hasTime ? `${extracted.date}::${extracted.time}` : null
+  };
+}
+
+// Enhanced date/time parsing with better natural language support
+async function parseTimeWithPatterns(text, currentDateTime = new Date()) {
+  // Ranges and windows are searched for the first free slot rather than read as one time
+  const windowMatch = timeWindowParser.parse(text, currentDateTime);
+  
+  if (windowMatch) {
+    // The rest of the reply may still name a single day ("tomorrow") or time ("at 3pm")
+    const rest = windowMatch.remainder ? await parseTimeWithPatterns(windowMatch.remainder, currentDateTime) : null;
+    let window = windowMatch.window;
+    
+    if (!window.startDate && rest && rest.hasDate) {
+      window = timeWindowParser.onDate(window, rest.date);
+    }
+    if (!window.startDate && rest && rest.window && rest.window.startDate) {
+      // "tomorrow afternoon between 2 and 4" - the days come with the second window
+      const { startDate, endDate, weekdays, dayLabel } = rest.window;
+      window = { ...window, startDate, endDate, weekdays, dayLabel };
+    }
+    if (!window.hasTimeRange && rest && rest.hasTime) {
+      window = timeWindowParser.atTime(window, rest.time);
+    }
+    
+    return { success: true, window };
+  }
+  
   try {
     const now = moment(currentDateTime);
     const lowerText = text.toLowerCase().trim();
@@ -782,53 +1004,7 @@ async function parseTimeWithTinyLlama(text, currentDateTime = new Date()) {
     let parsedTime = null;
     let hasDate = false;
     let hasTime = false;
-
-    // Enhanced date parsing patterns
-    const datePatterns = [
-      // Relative dates
-      { pattern: /\b(yesterday|yest)\b/, handler: () => now.subtract(1, 'day').format('DD/MM/YYYY') },
-      { pattern: /\b(today|tod)\b/, handler: () => now.format('DD/MM/YYYY') },
-      { pattern: /\b(tomorrow|tmrw|tom)\b/, handler: () => now.add(1, 'day').format('DD/MM/YYYY') },
-      { pattern: /\b(day after tomorrow|overmorrow)\b/, handler: () => now.add(2, 'days').format('DD/MM/YYYY') },
-      
-      // Day names
-      { pattern: /\b(monday|mon)\b/, handler: () => getNextWeekday(now, 1) },
-      { pattern: /\b(tuesday|tue|tues)\b/, handler: () => getNextWeekday(now, 2) },
-      { pattern: /\b(wednesday|wed)\b/, handler: () => getNextWeekday(now, 3) },
-      { pattern: /\b(thursday|thu|thurs)\b/, handler: () => getNextWeekday(now, 4) },
-      { pattern: /\b(friday|fri)\b/, handler: () => getNextWeekday(now, 5) },
-      { pattern: /\b(saturday|sat)\b/, handler: () => getNextWeekday(now, 6) },
-      { pattern: /\b(sunday|sun)\b/, handler: () => getNextWeekday(now, 0) },
-      
-      // Specific dates
-      { pattern: /\b(\d{1,2})(st|nd|rd|th)?\s*(jan|january)\b/, handler: (match) => formatDate(match[1], 1, now.year()) },
-      { pattern: /\b(\d{1,2})(st|nd|rd|th)?\s*(feb|february)\b/, handler: (match) => formatDate(match[1], 2, now.year()) },
-      { pattern: /\b(\d{1,2})(st|nd|rd|th)?\s*(mar|march)\b/, handler: (match) => formatDate(match[1], 3, now.year()) },
-      { pattern: /\b(\d{1,2})(st|nd|rd|th)?\s*(apr|april)\b/, handler: (match) => formatDate(match[1], 4, now.year()) },
-      { pattern: /\b(\d{1,2})(st|nd|rd|th)?\s*(may)\b/, handler: (match) => formatDate(match[1], 5, now.year()) },
-      { pattern: /\b(\d{1,2})(st|nd|rd|th)?\s*(jun|june)\b/, handler: (match) => formatDate(match[1], 6, now.year()) },
-      { pattern: /\b(\d{1,2})(st|nd|rd|th)?\s*(jul|july)\b/, handler: (match) => formatDate(match[1], 7, now.year()) },
-      { pattern: /\b(\d{1,2})(st|nd|rd|th)?\s*(aug|august)\b/, handler: (match) => formatDate(match[1], 8, now.year()) },
-      { pattern: /\b(\d{1,2})(st|nd|rd|th)?\s*(sep|september)\b/, handler: (match) => formatDate(match[1], 9, now.year()) },
-      { pattern: /\b(\d{1,2})(st|nd|rd|th)?\s*(oct|october)\b/, handler: (match) => formatDate(match[1], 10, now.year()) },
-      { pattern: /\b(\d{1,2})(st|nd|rd|th)?\s*(nov|november)\b/, handler: (match) => formatDate(match[1], 11, now.year()) },
-      { pattern: /\b(\d{1,2})(st|nd|rd|th)?\s*(dec|december)\b/, handler: (match) => formatDate(match[1], 12, now.year()) },
-      
-      // Numeric dates
-      { pattern: /\b(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})\b/, handler: (match) => {
-        const day = match[1].padStart(2, '0');
-        const month = match[2].padStart(2, '0');
-        const year = match[3].length === 2 ? '20' + match[3] : match[3];
-        return `${day}/${month}/${year}`;
-      }},
-      { pattern: /\b(\d{1,2})(st|nd|rd|th)?\b/, handler: (match) => {
-        const day = parseInt(match[1]);
-        if (day >= 1 && day <= 31) {
-          return formatDate(day, now.month() + 1, now.year());
-        }
-        return null;
-      }}
-    ];
+    const ambiguities = []; // readings to check with the contact before going on
 
     // Enhanced time parsing patterns
     const timePatterns = [
@@ -948,15 +1124,13 @@ async function parseTimeWithTinyLlama(text, currentDateTime = new Date()) {
       
       // Business context expressions
       { pattern: /\b(during business hours|in office hours|during work hours|during working hours)\b/i, handler: () => {
-        const currentMoment = moment(currentDateTime);
-        const hour = currentMoment.hour();
-        if (hour < 9) {
-          return currentMoment.hour(9).minute(0).format('HH:mm');
-        } else if (hour >= 17) {
-          return currentMoment.add(1, 'day').hour(9).minute(0).format('HH:mm');
-        } else {
-          return currentMoment.format('HH:mm');
-        }
+        // First bookable time inside the configured opening hours (on the parsed date if any),
+        // long enough for a call of the default type
+        const earliest = businessHours.getEarliestBookableTime(currentDateTime, callTypes.getType());
+        const nextOpen = parsedDate
+          ? businessHours.getNextOpenTime(moment.max(moment(parsedDate, 'DD/MM/YYYY'), earliest || moment(currentDateTime)), callTypes.getType())
+          : earliest;
+        return nextOpen ? nextOpen.format('HH:mm') : null;
       }},
       
       // Colloquial expressions
@@ -985,21 +1159,34 @@ async function parseTimeWithTinyLlama(text, currentDateTime = new Date()) {
       }}
     ];
 
-    // Parse date
-    for (const datePattern of datePatterns) {
-      const match = lowerText.match(datePattern.pattern);
-      if (match) {
-        const result = datePattern.handler(match);
-        if (result) {
-          parsedDate = result;
-          hasDate = true;
-          break;
-        }
+    // Parse date ("next Monday", "the 25th", "5th January" rolling into next year)
+    const resolvedDate = dateResolver.resolve(lowerText, now);
+    if (resolvedDate && resolvedDate.alternative) {
+      // "friday" on a Friday, "3/4" - ask rather than pick one
+      ambiguities.push(describeDateAmbiguity(resolvedDate));
+    } else if (resolvedDate) {
+      parsedDate = resolvedDate.date;
+      hasDate = true;
+    } else if (/\b(during business hours|in office hours|during work hours|during working hours)\b/i.test(lowerText)) {
+      // Next working day when only "during business hours" is given
+      const nextOpen = businessHours.getEarliestBookableTime(currentDateTime, callTypes.getType());
+      if (nextOpen) {
+        parsedDate = nextOpen.format('DD/MM/YYYY');
+        hasDate = true;
       }
     }
 
+    // "at 5" / "5:30" without am or pm could be either half of the day
+    const bareHour = findBareHour(lowerText);
+    if (bareHour && bareHour.time) {
+      parsedTime = bareHour.time;
+      hasTime = true;
+    } else if (bareHour) {
+      ambiguities.push(bareHour.ambiguity);
+    }
+
     // Parse time
-    for (const timePattern of timePatterns) {
+    for (const timePattern of (bareHour ? [] : timePatterns)) {
       const match = lowerText.match(timePattern.pattern);
       if (match) {
         const result = timePattern.handler(match);
@@ -1011,7 +1198,7 @@ async function parseTimeWithTinyLlama(text, currentDateTime = new Date()) {
       }
     }
 
-    console.log(`🔍 Enhanced parsing: "${text}" -> Date: ${parsedDate} (has: ${hasDate}), Time: ${parsedTime} (has: ${hasTime})`);
+    console.log(`🔍 Enhanced parsing: "${text}" -> Date: ${parsedDate} (has: ${hasDate}), Time: ${parsedTime} (has: ${hasTime})${ambiguities.length ? `, ambiguous: ${ambiguities.map(a => a.kind).join(', ')}` : ''}`);
 
     return {
       success: true,
@@ -1022,7 +1209,8 @@ async function parseTimeWithTinyLlama(text, currentDateTime = new Date()) {
       needsDate: !hasDate,
       needsTime: !hasTime,
       partial: hasDate !== hasTime, // true if only one is found
-      formatted: hasDate && hasTime ? `${parsedDate}::${parsedTime}` : null
+      formatted: hasDate && hasTime ? `${parsedDate}::${parsedTime}` : null,
+      ambiguities
     };
 
   } catch (error) {
@@ -1031,16 +1219,83 @@ async function parseTimeWithTinyLlama(text, currentDateTime = new Date()) {
   }
 }
 
-// Helper functions
-function getNextWeekday(now, targetDay) {
-  const currentDay = now.day();
-  let daysToAdd = targetDay - currentDay;
-  if (daysToAdd <= 0) daysToAdd += 7; // Next occurrence
-  return now.clone().add(daysToAdd, 'days').format('DD/MM/YYYY');
+// Find an hour given without am/pm ("at 5", "5 o'clock", "5:30"). Words like "evening"
+// settle it ({ time }); otherwise both readings are returned as an ambiguity.
+function findBareHour(lowerText) {
+  const match = lowerText.match(/\b(?:at|around|about|by)\s*(\d{1,2})(?::(\d{2}))?(?![:\d]|\s*(?:am|pm|a\.m|p\.m))\b|\b(\d{1,2})(?::(\d{2}))?\s*o'?clock\b|(?<![\d:/.])\b(\d{1,2}):(\d{2})\b(?!\s*(?:am|pm|a\.m|p\.m))/);
+  if (!match) {
+    return null;
+  }
+  
+  const hourText = match[1] || match[3] || match[5];
+  const minute = match[2] || match[4] || match[6] || '00';
+  const hour = parseInt(hourText, 10);
+  
+  // "17:00", "05:30" and "12" (noon) can only be read one way
+  if (hour === 0 || hour >= 12 || hourText.startsWith('0')) {
+    return hour <= 23 ? { time: `${String(hour).padStart(2, '0')}:${minute}` } : null;
+  }
+  
+  const am = `${String(hour).padStart(2, '0')}:${minute}`;
+  const pm = `${hour + 12}:${minute}`;
+  
+  if (/\b(morning|morn|breakfast)\b/.test(lowerText)) {
+    return { time: am };
+  }
+  if (/\b(afternoon|evening|eve|night|tonight)\b/.test(lowerText)) {
+    return { time: pm };
+  }
+  
+  return {
+    ambiguity: {
+      kind: 'meridiem',
+      candidates: [
+        { time: am, keywords: ['am', 'a.m', 'morning'] },
+        { time: pm, keywords: ['pm', 'p.m', 'afternoon', 'evening', 'night'] }
+      ]
+    }
+  };
+}
+
+// Both readings of an ambiguous date from the date resolver, in the order they are offered
+function describeDateAmbiguity(resolvedDate) {
+  const primary = moment(resolvedDate.date, 'DD/MM/YYYY');
+  const alternative = moment(resolvedDate.alternative, 'DD/MM/YYYY');
+  
+  if (resolvedDate.ambiguity === 'weekday') {
+    // Today first, then the same day next week
+    return {
+      kind: 'weekday',
+      candidates: [
+        { date: resolvedDate.alternative, relative: 'today', keywords: ['today', 'this', 'tonight'] },
+        { date: resolvedDate.date, relative: 'nextWeek', keywords: ['next', 'following'] }
+      ]
+    };
+  }
+  
+  return {
+    kind: resolvedDate.ambiguity,
+    candidates: [primary, alternative].map(date => ({
+      date: date.format('DD/MM/YYYY'),
+      keywords: [date.format('MMMM').toLowerCase(), date.format('MMM').toLowerCase()]
+    }))
+  };
 }
 
-function formatDate(day, month, year) {
-  return botUtils.formatDate(day, month, year);
+// How one reading of an ambiguous reply is offered to the contact, in their language
+function describeReading(candidate, phoneNumber) {
+  if (candidate.time) {
+    return formatForContact(moment(candidate.time, 'HH:mm'), 'time', phoneNumber);
+  }
+  
+  const date = moment(candidate.date, 'DD/MM/YYYY');
+  if (candidate.relative) {
+    return config.getMessage(`messages.clarifications.${candidate.relative}`, {
+      weekday: formatForContact(date, 'weekday', phoneNumber),
+      date: formatForContact(date, candidate.relative === 'today' ? 'date' : 'monthDay', phoneNumber)
+    }, getContactLanguage(phoneNumber));
+  }
+  return formatForContact(date, 'date', phoneNumber);
 }
 
 // Validation function to check if date/time is in the past
@@ -1067,17 +1322,12 @@ function isDateTimeInPast(date, time, currentDateTime = new Date(), originalText
 }
 
 // Helper function to handle past date/time validation and user redirection
-async function handlePastDateTimeValidation(message, date, time, currentDateTime, originalText) {
+async function handlePastDateTimeValidation(message, session, date, time, currentDateTime, originalText) {
   if (isDateTimeInPast(date, time, currentDateTime, originalText)) {
-    const targetDateTime = moment(`${date} ${time}`, 'DD/MM/YYYY HH:mm');
-    const formattedDateTime = targetDateTime.format('dddd, MMMM Do [at] h:mm A');
+    const formattedDateTime = formatScheduleDateTime(date, time, extractPhoneNumber(message.from));
     
-    await message.reply(config.getMessage('messages.errors.pastDateTime').replace('{datetime}', formattedDateTime));
-    
-    // Reset user to post-greeting stage (asking for call time)
-    createOrUpdateSession(message.from, {
-      state: CONVERSATION_STATES.ASKING_CALL_TIME,
-      currentQuestion: 'call_time',
+    // Follow the flow's "past" transition (by default back to asking for call time)
+    await advanceFlow(message, session, 'past', {
       pendingSchedule: null,
       partialSchedule: null,
       pastDateAttempt: {
@@ -1085,13 +1335,273 @@ async function handlePastDateTimeValidation(message, date, time, currentDateTime
         originalText: originalText,
         timestamp: new Date().toISOString()
       }
-    });
+    }, { datetime: formattedDateTime });
     
     return true; // Indicates past date was detected and handled
   }
   return false; // No past date detected
 }
 
+// Helper function to refuse slots outside business hours, on holidays or without enough
+// notice, proposing the nearest valid alternatives instead
+async function handleBusinessHoursValidation(message, session, date, time, currentDateTime, options = {}) {
+  const requested = moment(`${date} ${time}`, 'DD/MM/YYYY HH:mm');
+  const slotCheck = businessHours.checkSlot(requested, currentDateTime, {
+    ignoreLeadTime: options.immediate,
+    callType: callTypes.getType(session.callType)
+  });
+  
+  if (slotCheck.allowed) {
+    return false; // Slot is within business hours
+  }
+  
+  console.log(`🏢 Requested slot ${date} ${time} refused: ${slotCheck.reason}`);
+  
+  const phoneNumber = extractPhoneNumber(message.from);
+  const suggestedSlots = findSuggestedSlots(requested, currentDateTime, phoneNumber, session.callType);
+  
+  // Opening hours are in our time zone - say so to contacts in another one
+  const contactOffset = timeZoneUtils.getOffsetMinutes(requested.toDate(), getContactTimeZone(phoneNumber));
+  const hours = contactOffset === requested.utcOffset() || !slotCheck.hours
+    ? slotCheck.hours
+    : `${slotCheck.hours} ${timeZoneUtils.getZoneAbbreviation(requested.toDate(), Intl.DateTimeFormat().resolvedOptions().timeZone)}`;
+  
+  await advanceFlow(message, session, 'outside_hours', {
+    pendingSchedule: null,
+    partialSchedule: null,
+    suggestedSlots
+  }, {
+    datetime: formatScheduleDateTime(date, time, phoneNumber),
+    reason: getContactMessage(message.from, `messages.businessHours.reasons.${slotCheck.reason}`, {
+      ...slotCheck,
+      hours,
+      day: formatForContact(requested, 'weekday', phoneNumber)
+    }),
+    options: formatSuggestedSlots(suggestedSlots, phoneNumber)
+  });
+  
+  return true; // Slot refused and alternatives proposed
+}
+
+// Find the nearest free, bookable slots around a requested time (both directions),
+// skipping anything outside business hours or clashing with an existing booking
+function findSuggestedSlots(requested, currentDateTime, phoneNumber, callType = null) {
+  // The search can probe hundreds of slots - read the bookings once, not once per slot
+  const allSchedules = loadCallSchedules();
+  const alternatives = businessHours.findAlternatives(requested, currentDateTime, {
+    count: config.getSetting('businessHours.alternativesToSuggest', 3),
+    callType: callTypes.getType(callType),
+    isAvailable: (slot) => !checkTimeConflict(slot.format('DD/MM/YYYY'), slot.format('HH:mm'), phoneNumber, callType, allSchedules).hasConflict
+  });
+  
+  return alternatives.map(slot => ({
+    date: slot.format('DD/MM/YYYY'),
+    time: slot.format('HH:mm')
+  }));
+}
+
+// Render suggested slots as a numbered list the contact can pick from ("1", "2", ...)
+function formatSuggestedSlots(suggestedSlots, phoneNumber = null) {
+  if (!suggestedSlots || suggestedSlots.length === 0) {
+    return config.getMessage('messages.businessHours.noAlternatives', {}, phoneNumber ? getContactLanguage(phoneNumber) : null);
+  }
+  
+  return suggestedSlots
+    .map((slot, index) => `${index + 1}. ${formatScheduleDateTime(slot.date, slot.time, phoneNumber)}`)
+    .join('\n');
+}
+
+// First free, bookable slot inside a time window, searching day by day on the contact's clock
+function findSlotInWindow(window, currentDateTime, phoneNumber, callType = null) {
+  const [startHour, startMinute] = window.startTime.split(':').map(Number);
+  const [endHour, endMinute] = window.endTime.split(':').map(Number);
+  const lastDay = moment(window.endDate, 'DD/MM/YYYY');
+  const allSchedules = loadCallSchedules();
+  
+  for (const day = moment(window.startDate, 'DD/MM/YYYY'); !day.isAfter(lastDay, 'day'); day.add(1, 'day')) {
+    if (window.weekdays && !window.weekdays.includes(day.day())) {
+      continue;
+    }
+    
+    for (let minute = startHour * 60 + startMinute; minute < endHour * 60 + endMinute; minute += businessHours.slotIntervalMinutes) {
+      const time = `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
+      const slot = toBusinessDateTime(phoneNumber, day.format('DD/MM/YYYY'), time);
+      const slotTime = moment(`${slot.date} ${slot.time}`, 'DD/MM/YYYY HH:mm');
+      
+      if (businessHours.checkSlot(slotTime, currentDateTime, { callType: callTypes.getType(callType) }).allowed &&
+          !checkTimeConflict(slot.date, slot.time, phoneNumber, callType, allSchedules).hasConflict) {
+        return slot;
+      }
+    }
+  }
+  
+  return null;
+}
+
+// Helper function to book into a time window: propose its first free slot for confirmation,
+// or the nearest free slots around it when the whole window is taken or closed
+async function handleTimeWindow(message, session, window, body, currentDateTime = new Date()) {
+  const phoneNumber = extractPhoneNumber(message.from);
+  const slot = findSlotInWindow(window, currentDateTime, phoneNumber, session.callType);
+  const description = describeWindowForContact(window, phoneNumber);
+  
+  if (slot) {
+    console.log(`🪟 First free slot ${description}: ${slot.date} ${slot.time}`);
+    
+    await advanceFlow(message, session, 'window', {
+      pendingSchedule: {
+        date: slot.date,
+        time: slot.time,
+        formatted: slot.formatted,
+        originalText: session.partialSchedule ? `${session.partialSchedule.originalText} + ${body}` : body
+      },
+      partialSchedule: null
+    }, {
+      formattedTime: formatScheduleDateTime(slot.date, slot.time, phoneNumber),
+      window: description
+    });
+    return;
+  }
+  
+  console.log(`🪟 No free slot ${description}`);
+  
+  const windowStart = toBusinessDateTime(phoneNumber, window.startDate, window.startTime === '24:00' ? '23:59' : window.startTime);
+  const suggestedSlots = findSuggestedSlots(moment(`${windowStart.date} ${windowStart.time}`, 'DD/MM/YYYY HH:mm'), currentDateTime, phoneNumber, session.callType);
+  
+  await advanceFlow(message, session, 'window_full', {
+    pendingSchedule: null,
+    partialSchedule: null,
+    suggestedSlots
+  }, {
+    window: description,
+    options: formatSuggestedSlots(suggestedSlots, phoneNumber)
+  });
+}
+
+// Whether one reading of an ambiguous reply could be booked at all: the slot itself when it
+// has a date and time, otherwise any free slot on that day / at that time in the coming days
+function isViableReading(reading, phoneNumber, currentDateTime, callType = null) {
+  if (reading.date && reading.time) {
+    const slot = toBusinessDateTime(phoneNumber, reading.date, reading.time);
+    return businessHours.checkSlot(moment(`${slot.date} ${slot.time}`, 'DD/MM/YYYY HH:mm'), currentDateTime, { callType: callTypes.getType(callType) }).allowed &&
+      !checkTimeConflict(slot.date, slot.time, phoneNumber, callType).hasConflict;
+  }
+  
+  const wholeDay = timeWindowParser.fromTimes('00:00', '24:00');
+  const window = reading.date
+    ? timeWindowParser.onDate(wholeDay, reading.date)
+    : timeWindowParser.atTime(timeWindowParser.fromToday(wholeDay, getContactNow(phoneNumber, currentDateTime)), reading.time);
+  
+  return findSlotInWindow(window, currentDateTime, phoneNumber, callType) !== null;
+}
+
+// Helper function for replies with more than one reading ("at 5", "3/4", "monday" on a Monday):
+// readings that can't be booked are dropped, and if only one is left it is used without asking
+async function handleAmbiguousDateTime(message, session, known, ambiguities, originalText, currentDateTime = new Date()) {
+  const phoneNumber = extractPhoneNumber(message.from);
+  const [ambiguity, ...remaining] = ambiguities;
+  const readings = ambiguity.candidates.map(candidate => ({
+    date: candidate.date || known.date || null,
+    time: candidate.time || known.time || null
+  }));
+  
+  const viable = ambiguity.candidates.filter((candidate, index) => isViableReading(readings[index], phoneNumber, currentDateTime, session.callType));
+  
+  if (viable.length === 1) {
+    console.log(`❓ Ambiguous ${ambiguity.kind}, only "${describeReading(viable[0], phoneNumber)}" is bookable`);
+    await continueWithReading(message, session, { ...known, ...pickReading(viable[0]) }, remaining, originalText, currentDateTime);
+    return;
+  }
+  
+  // Nothing bookable either way - still ask, the answer is checked like any other time
+  const candidates = viable.length > 1 ? viable : ambiguity.candidates;
+  const [first, second] = candidates.map(candidate => describeReading(candidate, phoneNumber));
+  console.log(`❓ Ambiguous ${ambiguity.kind}: ${first} / ${second}`);
+  
+  await advanceFlow(message, session, 'ambiguous', {
+    partialSchedule: null,
+    pendingSchedule: null,
+    clarification: {
+      known,
+      ambiguities: [{ ...ambiguity, candidates }, ...remaining],
+      originalText
+    }
+  }, { first, second });
+}
+
+// The date and/or time a clarification candidate stands for
+function pickReading(candidate) {
+  const reading = {};
+  if (candidate.date) reading.date = candidate.date;
+  if (candidate.time) reading.time = candidate.time;
+  return reading;
+}
+
+// Carry on once one reading is settled: ask about the next ambiguity, if any, otherwise
+// treat it like a normal reply - confirm a full date and time or ask for the missing part
+async function continueWithReading(message, session, reading, remaining, originalText, currentDateTime = new Date()) {
+  if (remaining.length > 0) {
+    await handleAmbiguousDateTime(message, session, reading, remaining, originalText, currentDateTime);
+    return;
+  }
+  
+  const known = { date: reading.date || null, time: reading.time || null };
+  
+  if (known.date && known.time) {
+    await proposeCallTime(message, session, known, originalText, currentDateTime);
+  } else {
+    await askForMissingDateOrTime(message, session, { ...known, hasDate: !!known.date, hasTime: !!known.time }, originalText);
+  }
+}
+
+// Helper function to handle a requested slot that is already booked: offer the nearest
+// free slots as numbered options instead of just asking for another time
+async function handleSlotConflict(message, session, date, time, conflictCheck, currentDateTime = new Date()) {
+  const requested = moment(`${date} ${time}`, 'DD/MM/YYYY HH:mm');
+  const phoneNumber = extractPhoneNumber(message.from);
+  const suggestedSlots = findSuggestedSlots(requested, currentDateTime, phoneNumber, session.callType);
+  
+  console.log(`📅 Slot ${date} ${time} taken, suggesting ${suggestedSlots.length} alternative(s)`);
+  
+  await advanceFlow(message, session, 'conflict', {
+    partialSchedule: null,
+    pendingSchedule: null,
+    suggestedSlots
+  }, {
+    datetime: formatScheduleDateTime(date, time, phoneNumber),
+    conflictingDateTime: conflictCheck.conflictingDateTime,
+    options: formatSuggestedSlots(suggestedSlots, phoneNumber)
+  });
+}
+
+// Work out which numbered option a reply picks ("2", "option 2", "the second one"),
+// returning its index or null when the reply is not one of the offered options
+function parseOptionChoice(text, optionCount) {
+  const lowerText = text.toLowerCase().trim();
+  let choice = null;
+  
+  const numberMatch = lowerText.match(/^(?:option|number|no\.?|#)?\s*(\d{1,2})\s*[.)]?$/);
+  if (numberMatch) {
+    choice = parseInt(numberMatch[1], 10);
+  } else if (!/\d/.test(lowerText)) {
+    // Ordinals are checked before cardinals so "the second one" is not read as "one"
+    const choiceWords = [
+      ['first', 'second', 'third', 'fourth', 'fifth'],
+      ['one', 'two', 'three', 'four', 'five']
+    ];
+    
+    for (const words of choiceWords) {
+      const index = words.findIndex(word => new RegExp(`\\b${word}\\b`).test(lowerText));
+      if (index !== -1) {
+        choice = index + 1;
+        break;
+      }
+    }
+  }
+  
+  return choice >= 1 && choice <= optionCount ? choice - 1 : null;
+}
+
 // Simple time parsing fallback
 function parseTimeSimple(text, currentDateTime = new Date()) {
   const lowerText = text.toLowerCase().trim();
@@ -1187,113 +1697,393 @@ function parseTimeSimple(text, currentDateTime = new Date()) {
   };
 }
 
+// Function to read all call schedules from file
+function loadCallSchedules() {
+  if (!fs.existsSync(CALL_SCHEDULE_FILE)) {
+    return {};
+  }
+  
+  try {
+    const fileContent = fs.readFileSync(CALL_SCHEDULE_FILE, 'utf8');
+    return JSON.parse(fileContent);
+  } catch (error) {
+    console.error('Error reading call schedule file:', error);
+    return {};
+  }
+}
+
+// Function to write all call schedules back to file
+function writeCallSchedules(allSchedules) {
+  try {
+    fs.writeFileSync(CALL_SCHEDULE_FILE, JSON.stringify(allSchedules, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving call schedule:', error);
+    return false;
+  }
+}
+
 // Function to save call schedule
 function saveCallSchedule(phoneNumber, scheduleData) {
-  let allSchedules = {};
+  const allSchedules = loadCallSchedules();
   
-  // Read existing schedules
-  if (fs.existsSync(CALL_SCHEDULE_FILE)) {
-    try {
-      const fileContent = fs.readFileSync(CALL_SCHEDULE_FILE, 'utf8');
-      allSchedules = JSON.parse(fileContent);
-    } catch (error) {
-      console.error('Error reading call schedule file:', error);
-      allSchedules = {};
-    }
+  // Assign the call to a free agent when a roster is configured
+  const agent = assignAgent(phoneNumber, scheduleData.date, scheduleData.time, scheduleData.callType);
+  
+  if (agentRoster.hasAgents() && !agent) {
+    console.warn(`⚠️ No agent free for ${phoneNumber} at ${scheduleData.date} ${scheduleData.time}, saving unassigned`);
   }
   
-  // Add new schedule
+  // Add new schedule (date/time in business time, plus the exact instant and the contact's zone)
   allSchedules[phoneNumber] = {
     ...scheduleData,
+    startUtc: moment(`${scheduleData.date} ${scheduleData.time}`, 'DD/MM/YYYY HH:mm').toISOString(),
+    contactTimeZone: getContactTimeZone(phoneNumber),
+    ...(agent && { agentId: agent.id, agentName: agent.name }),
     createdAt: new Date().toISOString(),
     status: 'scheduled'
   };
   
+  deliveryTracker.recordBooked(phoneNumber);
+  
   // Write back to file
-  try {
-    fs.writeFileSync(CALL_SCHEDULE_FILE, JSON.stringify(allSchedules, null, 2));
-    console.log(`Call scheduled for ${phoneNumber}: ${scheduleData.date} at ${scheduleData.time}`);
-  } catch (error) {
-    console.error('Error saving call schedule:', error);
+  if (writeCallSchedules(allSchedules)) {
+    console.log(`Call scheduled for ${phoneNumber}: ${scheduleData.date} at ${scheduleData.time}${agent ? ` with ${agent.name || agent.id}` : ''}`);
   }
+  
+  return allSchedules[phoneNumber];
 }
 
-// Function to check for time conflicts with existing bookings
-function checkTimeConflict(newDate, newTime, excludePhoneNumber = null) {
-  try {
-    // Read existing schedules
-    if (!fs.existsSync(CALL_SCHEDULE_FILE)) {
-      return { hasConflict: false }; // No existing schedules
-    }
-    
-    const fileContent = fs.readFileSync(CALL_SCHEDULE_FILE, 'utf8');
-    const allSchedules = JSON.parse(fileContent);
-    
-    // Parse the new appointment time
-    const newDateTime = moment(`${newDate} ${newTime}`, 'DD/MM/YYYY HH:mm');
-    
-    if (!newDateTime.isValid()) {
-      console.error('Invalid date/time format for conflict check:', newDate, newTime);
-      return { hasConflict: false };
-    }
-    
-    // Check against all existing appointments
-    for (const [phoneNumber, schedule] of Object.entries(allSchedules)) {
-      // Skip if this is the same phone number (for rescheduling scenarios)
-      if (excludePhoneNumber && phoneNumber === excludePhoneNumber) {
-        continue;
-      }
-      
-      // Skip cancelled or completed appointments
-      if (schedule.status && (schedule.status === 'cancelled' || schedule.status === 'completed')) {
-        continue;
-      }
-      
-      // Parse existing appointment time
-      const existingDateTime = moment(`${schedule.date} ${schedule.time}`, 'DD/MM/YYYY HH:mm');
-      
-      if (!existingDateTime.isValid()) {
-        console.warn('Invalid existing appointment time format:', schedule.date, schedule.time);
-        continue;
-      }
-      
-      // Calculate time difference in minutes
-      const timeDifference = Math.abs(newDateTime.diff(existingDateTime, 'minutes'));
-      
-      // Check if appointments are within 15 minutes of each other
-      if (timeDifference < 15) {
-        const conflictDetails = {
-          hasConflict: true,
-          conflictingPhone: phoneNumber,
-          conflictingDateTime: existingDateTime.format('dddd, MMMM Do [at] h:mm A'),
-          conflictingDate: schedule.date,
-          conflictingTime: schedule.time,
-          timeDifference: timeDifference
-        };
-        
-        console.log(`⚠️ Time conflict detected: New appointment (${newDateTime.format('DD/MM/YYYY HH:mm')}) conflicts with existing appointment for ${phoneNumber} (${existingDateTime.format('DD/MM/YYYY HH:mm')}) - ${timeDifference} minutes apart`);
-        
-        return conflictDetails;
-      }
-    }
-    
-    console.log(`✅ No time conflicts found for ${newDateTime.format('dddd, MMMM Do [at] h:mm A')}`);
-    return { hasConflict: false };
-    
-  } catch (error) {
-    console.error('Error checking time conflicts:', error);
-    return { hasConflict: false }; // Default to no conflict on error
+// Function to update fields (e.g. status) of an existing call schedule
+function updateCallSchedule(phoneNumber, updates) {
+  const allSchedules = loadCallSchedules();
+  
+  if (!allSchedules[phoneNumber]) {
+    console.warn(`No call schedule found for ${phoneNumber} to update`);
+    return null;
+  }
+  
+  allSchedules[phoneNumber] = {
+    ...allSchedules[phoneNumber],
+    ...updates,
+    updatedAt: new Date().toISOString()
+  };
+  
+  if (writeCallSchedules(allSchedules)) {
+    console.log(`Call schedule updated for ${phoneNumber}: ${JSON.stringify(updates)}`);
   }
+  return allSchedules[phoneNumber];
 }
 
-// Smart Session Manager Class
-class SmartSessionManager {
-  constructor() {
-    this.saveQueue = new Map();
-    this.saveTimeout = null;
-    this.debounceDelay = 2000; // 2 seconds debounce
-    this.maxBatchSize = 10;
-    this.lastSaveTime = null;
+// Function to find a contact's upcoming booking (not cancelled, completed or already past)
+function getActiveBooking(phoneNumber) {
+  const booking = loadCallSchedules()[phoneNumber];
+  
+  if (!booking || booking.status === 'cancelled' || booking.status === 'completed') {
+    return null;
+  }
+  
+  if (isDateTimeInPast(booking.date, booking.time)) {
+    return null;
+  }
+  
+  return booking;
+}
+
+// Time zone of a contact: the contact list override, else inferred from the phone country code
+function getContactTimeZone(phoneNumber) {
+  const override = contactSettings[phoneNumber] && contactSettings[phoneNumber].timeZone;
+  
+  if (override) {
+    if (timeZoneUtils.isValidTimeZone(override)) {
+      return override;
+    }
+    console.warn(`⚠️ Unknown time zone "${override}" for ${phoneNumber}, inferring from the number`);
+  }
+  
+  return timeZoneUtils.getTimeZoneForPhoneNumber(phoneNumber, config.getSetting('timeZones.countryCodes', {}))
+    || config.getSetting('timeZones.default', null)
+    || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Language of a contact: the contact list override, else the one detected from their replies
+function getContactLanguage(phoneNumber) {
+  const override = contactSettings[phoneNumber] && contactSettings[phoneNumber].language;
+  
+  if (override) {
+    if (languageSupport.isSupported(override)) {
+      return override;
+    }
+    console.warn(`⚠️ Unsupported language "${override}" for ${phoneNumber}, using the detected one`);
+  }
+  
+  const session = userSessions.get(`${phoneNumber}@c.us`);
+  return (session && session.language) || languageSupport.defaultLanguage;
+}
+
+// A config message in the contact's language
+function getContactMessage(whatsappId, messagePath, variables = {}) {
+  return config.getMessage(messagePath, variables, getContactLanguage(extractPhoneNumber(whatsappId)));
+}
+
+// A date/time formatted for the contact's language with one of the messages.formats patterns
+function formatForContact(dateTime, formatName, phoneNumber = null) {
+  const language = phoneNumber ? getContactLanguage(phoneNumber) : languageSupport.defaultLanguage;
+  return moment(dateTime).locale(language).format(config.getMessage(`messages.formats.${formatName}`, {}, language));
+}
+
+// A time window described in the contact's language ("between 2:00 PM and 4:00 PM next week")
+function describeWindowForContact(window, phoneNumber) {
+  const language = getContactLanguage(phoneNumber);
+  return timeWindowParser.describe(window, {
+    labels: {
+      ...config.getSetting(`messages.${languageSupport.defaultLanguage}.timeWindows.labels`, {}),
+      ...config.getSetting(`messages.${language}.timeWindows.labels`, {})
+    },
+    formatTime: minutes => formatForContact(moment().startOf('day').add(minutes, 'minutes'), 'time', phoneNumber),
+    formatDate: date => formatForContact(moment(date, 'DD/MM/YYYY'), 'date', phoneNumber),
+    weekdayName: day => moment().locale(language).day(day).format('dddd')
+  });
+}
+
+// Current time on a contact's clock, as a Date whose local fields show that clock,
+// so the time parsers read "tomorrow at 5pm" in the contact's zone
+function getContactNow(phoneNumber, now = new Date()) {
+  return timeZoneUtils.toZonedMoment(now, getContactTimeZone(phoneNumber)).toDate();
+}
+
+// Convert a DD/MM/YYYY date and HH:mm time on the contact's clock to business time
+function toBusinessDateTime(phoneNumber, date, time) {
+  const contactDateTime = moment(`${date} ${time}`, 'DD/MM/YYYY HH:mm');
+  const instant = timeZoneUtils.fromZonedTime({
+    year: contactDateTime.year(),
+    month: contactDateTime.month() + 1,
+    day: contactDateTime.date(),
+    hour: contactDateTime.hours(),
+    minute: contactDateTime.minutes()
+  }, getContactTimeZone(phoneNumber));
+  const businessDateTime = moment(instant);
+  
+  return {
+    date: businessDateTime.format('DD/MM/YYYY'),
+    time: businessDateTime.format('HH:mm'),
+    formatted: businessDateTime.format('DD/MM/YYYY::HH:mm')
+  };
+}
+
+// Format a DD/MM/YYYY date and HH:mm time (business time) for messages, on the
+// contact's clock when a phone number is given and their zone differs from ours
+function formatScheduleDateTime(date, time, phoneNumber = null) {
+  const businessDateTime = moment(`${date} ${time}`, 'DD/MM/YYYY HH:mm');
+  
+  if (!phoneNumber) {
+    return formatForContact(businessDateTime, 'dateTime');
+  }
+  
+  const timeZone = getContactTimeZone(phoneNumber);
+  if (timeZoneUtils.getOffsetMinutes(businessDateTime.toDate(), timeZone) === businessDateTime.utcOffset()) {
+    return formatForContact(businessDateTime, 'dateTime', phoneNumber);
+  }
+  
+  const contactDateTime = timeZoneUtils.toZonedMoment(businessDateTime.toDate(), timeZone);
+  return `${formatForContact(contactDateTime, 'dateTime', phoneNumber)} (${timeZoneUtils.getZoneAbbreviation(businessDateTime.toDate(), timeZone)})`;
+}
+
+// Extra schedule fields recorded when a booking is moved to a new slot
+function getRescheduleDetails(session) {
+  if (!session.rescheduling) {
+    return {};
+  }
+  
+  return {
+    rescheduledFrom: session.rescheduling,
+    rescheduledAt: new Date().toISOString()
+  };
+}
+
+// Function to collect active bookings and the ones whose time (including buffers) overlaps a new appointment
+// (allSchedules lets a search over many slots read call_schedule.json once)
+function findOverlappingBookings(newDateTime, excludePhoneNumber = null, callType = null, allSchedules = loadCallSchedules()) {
+  const activeBookings = [];
+  const overlappingBookings = [];
+  
+  for (const [phoneNumber, schedule] of Object.entries(allSchedules)) {
+    // Skip if this is the same phone number (for rescheduling scenarios)
+    if (excludePhoneNumber && phoneNumber === excludePhoneNumber) {
+      continue;
+    }
+    
+    // Skip cancelled or completed appointments
+    if (schedule.status && (schedule.status === 'cancelled' || schedule.status === 'completed')) {
+      continue;
+    }
+    
+    // Parse existing appointment time
+    const existingDateTime = moment(`${schedule.date} ${schedule.time}`, 'DD/MM/YYYY HH:mm');
+    
+    if (!existingDateTime.isValid()) {
+      console.warn('Invalid existing appointment time format:', schedule.date, schedule.time);
+      continue;
+    }
+    
+    const booking = { ...schedule, phoneNumber, existingDateTime };
+    activeBookings.push(booking);
+    
+    // Calculate time difference in minutes
+    booking.timeDifference = Math.abs(newDateTime.diff(existingDateTime, 'minutes'));
+    
+    // Compare the blocked intervals of both calls (duration plus buffers of their call types)
+    if (callTypes.overlaps(newDateTime, callType, existingDateTime, schedule.callType)) {
+      overlappingBookings.push(booking);
+    }
+  }
+  
+  // Meetings from external calendars block their agent, or everyone when not tied to one
+  const interval = callTypes.getInterval(newDateTime, callType);
+  for (const block of busyCalendar.getBusyBlocks(interval.start.toDate(), interval.end.toDate())) {
+    const existingDateTime = moment(block.start);
+    
+    overlappingBookings.push({
+      external: true,
+      phoneNumber: null,
+      agentId: block.agentId,
+      blocksAllAgents: !block.agentId,
+      summary: block.summary,
+      date: existingDateTime.format('DD/MM/YYYY'),
+      time: existingDateTime.format('HH:mm'),
+      existingDateTime,
+      timeDifference: Math.abs(newDateTime.diff(existingDateTime, 'minutes'))
+    });
+  }
+  
+  return { activeBookings, overlappingBookings };
+}
+
+// Function to regenerate the .ics files from call_schedule.json
+function exportCalendar() {
+  if (!config.getSetting('calendar.enabled', false)) {
+    return;
+  }
+  
+  try {
+    const count = icsExporter.exportAll(loadCallSchedules());
+    console.log(`📆 Exported ${count} booking(s) to ${icsExporter.outputDir}`);
+  } catch (error) {
+    console.error('❌ Error exporting calendar:', error.message);
+  }
+}
+
+// Function to send a contact the .ics file for their booking (invite, or cancellation
+// once the booking is cancelled) as a WhatsApp document
+async function sendCalendarInvite(whatsappId, phoneNumber) {
+  if (!config.getSetting('calendar.enabled', false) || !config.getSetting('calendar.attachToConfirmation', false)) {
+    return;
+  }
+  
+  const booking = loadCallSchedules()[phoneNumber];
+  if (!booking) {
+    return;
+  }
+  
+  try {
+    const filePath = icsExporter.writeBookingFile(phoneNumber, booking);
+    const captionPath = booking.status === 'cancelled' ? 'messages.calendar.cancelCaption' : 'messages.calendar.inviteCaption';
+    
+    sendToContact(whatsappId, getContactMessage(whatsappId, captionPath, {
+      formattedTime: formatScheduleDateTime(booking.date, booking.time, phoneNumber)
+    }), { filePath, reason: 'calendar_invite', priority: 'high' });
+    console.log(`📆 Calendar file sent to ${phoneNumber}`);
+  } catch (error) {
+    console.error(`❌ Failed to send calendar file to ${phoneNumber}:`, error.message);
+  }
+}
+
+// Call type fields stored on a booking, with the lead's qualification answers for the counsellor
+function getCallTypeDetails(session) {
+  const callType = callTypes.getType(session.callType);
+  
+  return {
+    callType: callType.id,
+    durationMinutes: callType.durationMinutes,
+    qualification: session.qualification || null
+  };
+}
+
+// Function to check for time conflicts with existing bookings
+function checkTimeConflict(newDate, newTime, excludePhoneNumber = null, callType = null, allSchedules = loadCallSchedules()) {
+  try {
+    // Parse the new appointment time
+    const newDateTime = moment(`${newDate} ${newTime}`, 'DD/MM/YYYY HH:mm');
+    
+    if (!newDateTime.isValid()) {
+      console.error('Invalid date/time format for conflict check:', newDate, newTime);
+      return { hasConflict: false };
+    }
+    
+    const { activeBookings, overlappingBookings } = findOverlappingBookings(newDateTime, excludePhoneNumber, callType, allSchedules);
+    const conflictingBooking = overlappingBookings[0];
+    
+    const conflictDetails = conflictingBooking ? {
+      hasConflict: true,
+      conflictingPhone: conflictingBooking.phoneNumber,
+      conflictingDateTime: conflictingBooking.existingDateTime.format('dddd, MMMM Do [at] h:mm A'),
+      conflictingDate: conflictingBooking.date,
+      conflictingTime: conflictingBooking.time,
+      timeDifference: conflictingBooking.timeDifference
+    } : { hasConflict: true };
+    
+    if (agentRoster.hasAgents()) {
+      // With a team of agents the slot is only taken when nobody is free for it
+      const freeAgents = agentRoster.getFreeAgents(newDateTime, overlappingBookings, activeBookings, callTypes.getType(callType));
+      
+      if (freeAgents.length === 0) {
+        console.log(`⚠️ Time conflict detected: no agent free at ${newDateTime.format('DD/MM/YYYY HH:mm')} (${overlappingBookings.length} overlapping call(s))`);
+        return { ...conflictDetails, noAgentAvailable: true };
+      }
+      
+      console.log(`✅ ${freeAgents.length} agent(s) free for ${newDateTime.format('dddd, MMMM Do [at] h:mm A')}`);
+      return { hasConflict: false, freeAgents: freeAgents.map(agent => agent.id) };
+    }
+    
+    if (conflictingBooking) {
+      const conflictingWith = conflictingBooking.external
+        ? `busy calendar event "${conflictingBooking.summary}"`
+        : `existing appointment for ${conflictingBooking.phoneNumber}`;
+      console.log(`⚠️ Time conflict detected: New appointment (${newDateTime.format('DD/MM/YYYY HH:mm')}) conflicts with ${conflictingWith} (${conflictingBooking.existingDateTime.format('DD/MM/YYYY HH:mm')}) - ${conflictingBooking.timeDifference} minutes apart`);
+      
+      return conflictDetails;
+    }
+    
+    console.log(`✅ No time conflicts found for ${newDateTime.format('dddd, MMMM Do [at] h:mm A')}`);
+    return { hasConflict: false };
+    
+  } catch (error) {
+    console.error('Error checking time conflicts:', error);
+    return { hasConflict: false }; // Default to no conflict on error
+  }
+}
+
+// Function to pick the agent for a booking (round-robin or least-loaded among free agents)
+function assignAgent(phoneNumber, date, time, callType = null) {
+  if (!agentRoster.hasAgents()) {
+    return null;
+  }
+  
+  const callDateTime = moment(`${date} ${time}`, 'DD/MM/YYYY HH:mm');
+  const { activeBookings, overlappingBookings } = findOverlappingBookings(callDateTime, phoneNumber, callType);
+  const freeAgents = agentRoster.getFreeAgents(callDateTime, overlappingBookings, activeBookings, callTypes.getType(callType));
+  
+  return agentRoster.chooseAgent(freeAgents, callDateTime, activeBookings);
+}
+
+// Smart Session Manager Class
+class SmartSessionManager {
+  constructor() {
+    this.saveQueue = new Map();
+    this.saveTimeout = null;
+    this.debounceDelay = 2000; // 2 seconds debounce
+    this.maxBatchSize = 10;
+    this.lastSaveTime = null;
   }
 
   // Mark session for saving (debounced)
@@ -1407,6 +2197,17 @@ class SmartSessionManager {
       lastActivity: session.lastActivity.toISOString(),
       waitingForFreeText: session.waitingForFreeText || false,
       freeTextContext: session.freeTextContext || null,
+      // Scheduling context so interrupted conversations can resume mid-booking
+      clarificationAttempts: session.clarificationAttempts || 0,
+      partialSchedule: session.partialSchedule || null,
+      pendingSchedule: session.pendingSchedule || null,
+      rescheduling: session.rescheduling || null,
+      suggestedSlots: session.suggestedSlots || null,
+      clarification: session.clarification || null,
+      language: session.language || null,
+      followUps: session.followUps || null,
+      callType: session.callType || null,
+      qualification: session.qualification || null,
       metadata: {
         saveCount: (session.metadata?.saveCount || 0) + 1,
         lastSaved: new Date().toISOString()
@@ -1428,7 +2229,7 @@ const sessionManager = new SmartSessionManager();
 // Strict validation function - only accepts exact option letters
 
 
-// Conversation states for simplified flow
+// Conversation state names - prompts and transitions live in shared/config/conversation_flow.json
 const CONVERSATION_STATES = {
   IDLE: 'idle',
   GREETING: 'greeting',
@@ -1462,6 +2263,10 @@ async function loadTargetNumbers() {
   try {
     const data = await fs.promises.readFile(TARGET_NUMBERS_FILE, 'utf8');
     const config = JSON.parse(data);
+    
+    // Per-contact settings (e.g. { "15551234567": { "timeZone": "America/Chicago", "language": "es" } })
+    contactSettings = config.contacts || {};
+    
     return config.targetPhoneNumbers || [];
   } catch (error) {
     console.error('Error loading target numbers from JSON file:', error.message);
@@ -1473,6 +2278,15 @@ async function loadTargetNumbers() {
 // List of target phone numbers to automatically send welcome message to
 let TARGET_PHONE_NUMBERS = [];
 
+// Replace the target list with the one in target_numbers.json
+async function reloadTargetNumbers() {
+  TARGET_PHONE_NUMBERS = await loadTargetNumbers();
+  return TARGET_PHONE_NUMBERS;
+}
+
+// Per-contact settings from the contact list, keyed by phone number
+let contactSettings = {};
+
 // Track which numbers have already received welcome messages to prevent duplicates
 const welcomeSentNumbers = new Set();
 
@@ -1489,12 +2303,26 @@ function createOrUpdateSession(whatsappId, updates = {}) {
   const now = new Date();
   const existingSession = userSessions.get(whatsappId);
   
+  if (updates.state && updates.state !== existingSession?.state) {
+    transcriptStore.record(extractPhoneNumber(whatsappId), {
+      type: 'transition',
+      from: existingSession?.state || null,
+      to: updates.state
+    });
+  }
+
   if (existingSession) {
     // Update existing session
+    const stateChanged = updates.state && updates.state !== existingSession.state;
     Object.assign(existingSession, updates, {
       lastActivity: now
     });
     
+    // Follow-up ladders count the silence in each state from the moment it was entered
+    if (stateChanged) {
+      followUpScheduler.resetLadder(existingSession, now);
+    }
+    
     // Mark for save with appropriate reason
     const saveReason = getSaveReason(updates);
     sessionManager.markForSave(whatsappId, saveReason);
@@ -1533,13 +2361,112 @@ function getSaveReason(updates) {
   return 'activity';
 }
 
+// Messages the bot starts itself (welcomes, reminders, invites, operator replies) go
+// through the outbound queue, and never to numbers on the do-not-contact list
+// (priority 'high' for messages someone is waiting for, sendAt to hold one back)
+function sendToContact(whatsappId, content, { filePath = null, reason = null, priority = 'normal', sendAt = new Date() } = {}) {
+  const phoneNumber = extractPhoneNumber(whatsappId);
+
+  if (doNotContactList.has(phoneNumber)) {
+    console.log(`🔕 BLOCKED: Not messaging ${whatsappId} - opted out`);
+    return null;
+  }
+
+  return outboundQueue.enqueue(phoneNumber, { text: content, filePath, reason, priority, sendAt });
+}
+
+// Actually send a message from the outbound queue - a failure is thrown so the queue retries it
+async function deliverOutboundMessage(queued) {
+  const whatsappId = `${queued.phoneNumber}@c.us`;
+
+  // The contact may have opted out while the message was waiting
+  if (doNotContactList.has(queued.phoneNumber)) {
+    console.log(`🔕 BLOCKED: Dropping queued ${queued.reason || 'message'} for ${whatsappId} - opted out`);
+    return;
+  }
+
+  const sent = queued.filePath
+    ? await client.sendFile(whatsappId, queued.filePath, { caption: queued.text })
+    : await client.sendMessage(whatsappId, queued.text);
+
+  // The message is out - failing to record it must not make the queue send it again
+  try {
+    deliveryTracker.recordSent(queued.phoneNumber, sent?.id?._serialized, queued.reason);
+
+    transcriptStore.record(queued.phoneNumber, {
+      type: 'outbound',
+      text: queued.text,
+      state: userSessions.get(whatsappId)?.state || null,
+      ...(queued.filePath && { filePath: queued.filePath })
+    });
+  } catch (error) {
+    console.error(`❌ Sent ${queued.reason || 'message'} to ${whatsappId} but failed to record it:`, error.message);
+  }
+}
+
+// Replies to a contact's message, checked and recorded like every other message
+async function replyToContact(message, content) {
+  const phoneNumber = extractPhoneNumber(message.from);
+
+  // Stand-ins for messages the contact never sent (see asIncomingMessage) are unprompted sends
+  if (message.standIn) {
+    return sendToContact(message.from, content, { reason: message.standIn, priority: 'high' });
+  }
+
+  if (doNotContactList.has(phoneNumber)) {
+    console.log(`🔕 BLOCKED: Not replying to ${message.from} - opted out`);
+    return null;
+  }
+
+  const sent = await message.reply(content);
+  outboundQueue.noteSent();
+  deliveryTracker.recordSent(phoneNumber, sent?.id?._serialized, 'reply');
+
+  transcriptStore.record(phoneNumber, {
+    type: 'outbound',
+    text: content,
+    state: userSessions.get(message.from)?.state || null
+  });
+  return sent;
+}
+
+// Messages the bot starts unprompted (welcomes, session timeouts) are held until the
+// contact's send window opens; replies and time-critical messages like reminders aren't
+function sendWithinWindow(whatsappId, content, reason) {
+  const phoneNumber = extractPhoneNumber(whatsappId);
+  const waitMs = sendWindow.msUntilOpen(getContactNow(phoneNumber));
+
+  if (waitMs === 0) {
+    return sendToContact(whatsappId, content, { reason });
+  }
+
+  // sendWindows.hours has no open hours on any day - nothing unprompted may go out
+  if (!Number.isFinite(waitMs)) {
+    console.warn(`🌙 Not sending ${reason} to ${phoneNumber} - the send window never opens (check sendWindows.hours in config.json)`);
+    return null;
+  }
+
+  const queued = sendToContact(whatsappId, content, { reason, sendAt: new Date(Date.now() + waitMs) });
+  if (queued) {
+    console.log(`🌙 Holding ${reason} for ${phoneNumber} until ${queued.sendAt} - outside their send window`);
+  }
+  return queued;
+}
+
 // Function to automatically send welcome message to target users
-async function sendAutoWelcomeMessage(whatsappId) {
+// (immediate: the contact wrote first, so this is a reply rather than a cold message)
+async function sendAutoWelcomeMessage(whatsappId, { immediate = false } = {}) {
   // ✅ STRONGER GUARD: Double-check with atomic operation
   if (welcomeSentNumbers.has(whatsappId)) {
     console.log(`🚫 BLOCKED: Skipping ${whatsappId} - welcome already sent`);
     return false;
   }
+
+  // Opted-out numbers stay opted out, even when they are added to the target list again
+  if (doNotContactList.has(extractPhoneNumber(whatsappId))) {
+    console.log(`🚫 BLOCKED: Skipping ${whatsappId} - opted out`);
+    return false;
+  }
   
   if (userSessions.has(whatsappId)) {
     console.log(`🚫 BLOCKED: Skipping ${whatsappId} - active session exists`);
@@ -1547,19 +2474,28 @@ async function sendAutoWelcomeMessage(whatsappId) {
   }
 
   try {
-    const greeting = config.getMessage('messages.welcome.initial');
+    const initialStep = conversationFlow.getInitialState();
+    const greeting = getContactMessage(whatsappId, initialStep.prompt);
 
     console.log(`📤 SENDING welcome to ${whatsappId}`);
     
     // Mark as sent IMMEDIATELY to prevent any other calls
     welcomeSentNumbers.add(whatsappId);
     
-    await client.sendMessage(whatsappId, greeting);
+    const queued = immediate
+      ? sendToContact(whatsappId, greeting, { reason: 'welcome', priority: 'high' })
+      : sendWithinWindow(whatsappId, greeting, 'welcome');
+
+    // Not sent (no send window ever opens) - leave the number for a later round
+    if (!queued) {
+      welcomeSentNumbers.delete(whatsappId);
+      return false;
+    }
 
     // Create session
     createOrUpdateSession(whatsappId, {
-      state: CONVERSATION_STATES.WAITING_INITIAL_RESPONSE,
-      currentQuestion: 'initial_response'
+      state: initialStep.name,
+      currentQuestion: initialStep.question
     });
 
     console.log(`✅ SUCCESS: Auto welcome sent to ${whatsappId}`);
@@ -1612,15 +2548,20 @@ async function cleanupExpiredSessions() {
   const sessionTimeoutDays = config.getNumber('numbers.sessionTimeoutDays');
   const maxAge = sessionTimeoutDays * 24 * 60 * 60 * 1000; // Convert days to milliseconds
   
+  const closedAfterFollowUps = conversationFlow.getIntentState('noReply')?.name;
+  
   for (const [whatsappId, session] of userSessions.entries()) {
     if (now - session.lastActivity > maxAge) {
-      try {
-        // Send session ended message before cleanup
-        const sessionEndedMessage = config.getMessage('messages.timeout.sessionEnded');
-        await client.sendMessage(whatsappId, sessionEndedMessage);
-        console.log(`📤 Sent session timeout message to ${whatsappId}`);
-      } catch (error) {
-        console.error(`❌ Failed to send timeout message to ${whatsappId}:`, error.message);
+      // Conversations closed by the follow-up ladder have already said goodbye
+      if (session.state !== closedAfterFollowUps) {
+        try {
+          // Send session ended message before cleanup
+          const sessionEndedMessage = getContactMessage(whatsappId, 'messages.timeout.sessionEnded');
+          sendWithinWindow(whatsappId, sessionEndedMessage, 'session_timeout');
+          console.log(`📤 Sent session timeout message to ${whatsappId}`);
+        } catch (error) {
+          console.error(`❌ Failed to send timeout message to ${whatsappId}:`, error.message);
+        }
       }
       
       userSessions.delete(whatsappId);
@@ -1654,6 +2595,7 @@ async function resumeInterruptedConversations() {
     try {
       // SILENT RESUME - Don't send any resume messages
       // Just update the last activity time and let the user continue naturally
+      // (follow-ups keep counting from followUps.since, so the restart doesn't reset them)
       session.lastActivity = new Date();
       resumedCount++;
       
@@ -1674,11 +2616,10 @@ async function sendWelcomeToNewTargetNumbers() {
     try {
       const whatsappId = `${phoneNumber}@c.us`;
       
-      // Only send if no active session AND welcome not sent
-      if (!userSessions.has(whatsappId) && !welcomeSentNumbers.has(whatsappId)) {
+      // Only send if no active session AND welcome not sent AND the number hasn't opted out
+      if (!userSessions.has(whatsappId) && !welcomeSentNumbers.has(whatsappId) && !doNotContactList.has(phoneNumber)) {
         await sendAutoWelcomeMessage(whatsappId);
         sentCount++;
-        await delay(2000);
       } else {
         skippedCount++;
       }
@@ -1690,6 +2631,13 @@ async function sendWelcomeToNewTargetNumbers() {
   console.log(`📊 WELCOME SUMMARY - New: ${sentCount}, Existing: ${skippedCount}`);
 }
 
+// Flag numbers none of our messages were ever delivered to - probably not on WhatsApp
+function flagUndeliveredNumbers() {
+  for (const phoneNumber of deliveryTracker.flagUndelivered()) {
+    console.warn(`📵 Nothing delivered to ${phoneNumber} after ${deliveryTracker.undeliveredAfterHours}h - probably an invalid number`);
+  }
+}
+
 // Smart shutdown handler
 function setupGracefulShutdown() {
   const shutdownSignals = ['SIGINT', 'SIGTERM', 'SIGUSR2'];
@@ -1711,33 +2659,54 @@ function setupGracefulShutdown() {
 }
 
 // Emergency save on uncaught exceptions
-process.on('uncaughtException', (error) => {
-  console.error('💥 Uncaught Exception:', error);
-  console.log('🚨 Attempting emergency save...');
-  sessionManager.forceSave();
-  process.exit(1);
-});
+function setupEmergencySave() {
+  process.on('uncaughtException', (error) => {
+    console.error('💥 Uncaught Exception:', error);
+    console.log('🚨 Attempting emergency save...');
+    sessionManager.forceSave();
+    process.exit(1);
+  });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
-  console.log('🚨 Attempting emergency save...');
-  sessionManager.forceSave();
-});
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
+    console.log('🚨 Attempting emergency save...');
+    sessionManager.forceSave();
+  });
+}
 
 // Helper function for delay
 function delay(ms) {
   return botUtils.delay(ms);
 }
 
-// Initialize WhatsApp client
-const client = new Client({
-  authStrategy: new LocalAuth({
-    dataPath: path.join(__dirname, '..', 'auth_data')
-  }),
-  puppeteer: {
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox']
-  }
+// Reminder scheduler for booked calls (rules and reminder texts live in config.json)
+const reminderScheduler = new ReminderScheduler({
+  rules: config.getSetting('reminders.rules', []),
+  checkIntervalMinutes: config.getSetting('reminders.checkIntervalMinutes', 5),
+  loadSchedules: loadCallSchedules,
+  updateSchedule: updateCallSchedule,
+  sendReminder: sendBookingReminder
+});
+
+// Follow-ups for leads who go quiet mid-booking (ladders and texts live in config.json)
+const followUpScheduler = new FollowUpScheduler({
+  ladders: config.getSetting('followUps.states', {}),
+  maxNudges: config.getSetting('followUps.maxNudges', 2),
+  quietHours: config.getSetting('followUps.quietHours', null),
+  checkIntervalMinutes: config.getSetting('followUps.checkIntervalMinutes', 15),
+  getSessions: () => userSessions.entries(),
+  getLocalTime: (whatsappId, now) => getContactNow(extractPhoneNumber(whatsappId), now),
+  canSendAt: (whatsappId, now) => sendWindow.isOpen(getContactNow(extractPhoneNumber(whatsappId), now)),
+  sendFollowUp: sendFollowUp,
+  saveSession: whatsappId => sessionManager.markForSave(whatsappId, 'follow_up')
+});
+
+// Initialize messaging transport - the real WhatsApp client by default, or the
+// in-process simulator (BOT_TRANSPORT=simulator) for running the flow without a phone
+const simulatorScript = process.env.BOT_SIMULATOR_SCRIPT || config.getSetting('transport.simulator.scriptFile');
+const client = createTransport(process.env.BOT_TRANSPORT || config.getSetting('transport.type', 'whatsapp-web'), {
+  authDataPath: path.join(__dirname, '..', 'auth_data'),
+  scriptFile: simulatorScript ? path.resolve(__dirname, simulatorScript) : null
 });
 
 // QR code generation
@@ -1756,12 +2725,16 @@ client.on('ready', async () => {
   // Initialize smart session management
   setupGracefulShutdown();
   
-  // Load persistent data FIRST
+  // Load persistent data FIRST (the queue before sessions, whose cleanup may add to it)
+  console.log(`📬 ${outboundQueue.load()} message(s) waiting in the outbound queue`);
+  console.log(`🧾 Delivery receipts loaded for ${deliveryTracker.load()} contact(s)`);
   await loadSessionsFromFile();
+  console.log(`🙋 ${handoffDesk.load()} conversation(s) waiting for an operator`);
+  console.log(`🔕 ${doNotContactList.load()} number(s) on the do-not-contact list`);
   restoreWelcomeSentTracking();
   
   // Then load target numbers
-  TARGET_PHONE_NUMBERS = await loadTargetNumbers();
+  await reloadTargetNumbers();
   console.log(`Loaded ${TARGET_PHONE_NUMBERS.length} target phone numbers from JSON file`);
   
   // SILENTLY resume conversations for active sessions (no messages sent)
@@ -1770,6 +2743,23 @@ client.on('ready', async () => {
   // Then send welcome to new numbers
   await sendWelcomeToNewTargetNumbers();
   
+  // Start sending reminders ahead of booked calls
+  if (config.getSetting('reminders.enabled', false)) {
+    reminderScheduler.start();
+  }
+  
+  // Start working through the outbound queue (welcomes above included)
+  outboundQueue.start(deliverOutboundMessage);
+  
+  // Flag numbers our messages never reach, now and then every hour
+  flagUndeliveredNumbers();
+  setInterval(flagUndeliveredNumbers, 60 * 60 * 1000);
+  
+  // Start nudging leads who stopped replying mid-booking
+  if (config.getSetting('followUps.enabled', false)) {
+    followUpScheduler.start();
+  }
+  
   // Set up file watcher for target_numbers.json to dynamically reload numbers
   const watcher = chokidar.watch(TARGET_NUMBERS_FILE, {
     persistent: true,
@@ -1801,7 +2791,6 @@ client.on('ready', async () => {
             // OR has already received a welcome message
             if (!userSessions.has(whatsappId) && !welcomeSentNumbers.has(whatsappId)) {
               await sendAutoWelcomeMessage(whatsappId);
-              await new Promise(resolve => setTimeout(resolve, 2000)); // Rate limiting
             } else {
               console.log(`⏭️  Skipping ${phoneNumber} - already has active session or welcome sent`);
             }
@@ -1815,10 +2804,36 @@ client.on('ready', async () => {
     }
   });
   
+  // Load busy times from external calendars and reload them when the files change
+  busyCalendar.load();
+  busyCalendar.watch();
+  
+  // Keep the .ics feed in sync with call_schedule.json, whoever edits it
+  if (config.getSetting('calendar.enabled', false)) {
+    exportCalendar();
+    
+    const scheduleWatcher = chokidar.watch(CALL_SCHEDULE_FILE, {
+      persistent: true,
+      ignoreInitial: true
+    });
+    
+    scheduleWatcher.on('add', exportCalendar);
+    scheduleWatcher.on('change', exportCalendar);
+  }
+  
   console.log(`\n👀 Watching ${TARGET_NUMBERS_FILE} for changes...`);
   console.log('🚀 Smart session management activated');
 });
 
+// Delivery and read receipts for the messages we sent
+client.on('message_ack', (message, ack) => {
+  const receipt = deliveryTracker.recordAck(message.id._serialized, ack);
+  
+  if (receipt && receipt.status === 'failed') {
+    console.warn(`📵 Message to ${receipt.phoneNumber} failed to send`);
+  }
+});
+
 // Enhanced message handler with comprehensive keyword analysis
 client.on('message', async (message) => {
   try {
@@ -1834,6 +2849,7 @@ client.on('message', async (message) => {
     if (!isTargetPhoneNumber(from)) {
       return;
     }
+
     
     // 🔍 COMPREHENSIVE KEYWORD ANALYSIS
     console.log(`\n📨 Processing message from ${extractPhoneNumber(from)}: "${body}"`);
@@ -1847,6 +2863,31 @@ client.on('message', async (message) => {
     console.log(`   Sentiment: ${comprehensiveAnalysis.sentiment} (confidence: ${comprehensiveAnalysis.confidence})`);
     console.log(`   Tone: ${keywordData.overall.tone}`);
     console.log(`   Characteristics: ${JSON.stringify(keywordData.overall, null, 2)}`);
+
+    deliveryTracker.recordReply(extractPhoneNumber(from));
+    transcriptStore.record(extractPhoneNumber(from), {
+      type: 'inbound',
+      text: body,
+      state: userSessions.get(from)?.state || null,
+      sentiment: comprehensiveAnalysis.sentiment,
+      keywords: keywordData.overall
+    });
+
+    // Opted-out contacts are never answered, not even by restarting the conversation
+    if (doNotContactList.has(extractPhoneNumber(from))) {
+      console.log(`🔕 Ignoring message from opted-out ${extractPhoneNumber(from)}`);
+      return;
+    }
+
+    // STOP and friends win over everything else, whatever state the conversation is in
+    if (languageSupport.wantsOptOut(body)) {
+      await optOutContact(message);
+      return;
+    }
+
+    // A contact who writes while messages wait for their send window gets those now,
+    // and their message is still answered below
+    outboundQueue.release(extractPhoneNumber(from));
     
     // Handle special keyword-based responses
     if (keywordData.overall.isGreeting && !keywordData.overall.hasReason) {
@@ -1870,7 +2911,6 @@ client.on('message', async (message) => {
     
     if (keywordData.overall.needsCancellation) {
       console.log(`📅 Cancellation/rescheduling request detected`);
-      // Could add cancellation handling logic here
     }
     
     let session = userSessions.get(from);
@@ -1878,6 +2918,7 @@ client.on('message', async (message) => {
     // Update session activity and message count
     if (session) {
       session.lastActivity = new Date();
+      followUpScheduler.resetLadder(session, session.lastActivity);
       session.metadata.messageCount = (session.metadata.messageCount || 0) + 1;
       
       // Save on important milestones (every 5 messages)
@@ -1888,7 +2929,7 @@ client.on('message', async (message) => {
       }
     } else if (!welcomeSentNumbers.has(from)) {
       // This is a target number that hasn't received welcome yet
-      await sendAutoWelcomeMessage(from);
+      await sendAutoWelcomeMessage(from, { immediate: true });
       return;
     }
     
@@ -1897,290 +2938,652 @@ client.on('message', async (message) => {
       return;
     }
     
-    // Check if user has an IDLE session (said "no" previously) and wants to restart
-    if (session.state === CONVERSATION_STATES.IDLE) {
+    const phoneNumber = extractPhoneNumber(from);
+    session = detectContactLanguage(from, body) || session;
+    
+    const currentStep = conversationFlow.getState(session.state);
+
+    // Contacts with an operator get no bot replies - their messages are kept for the operator
+    if (currentStep && currentStep.type === 'handoff') {
+      handoffDesk.record(phoneNumber, 'contact', body);
+      console.log(`🙋 Message for the operator from ${phoneNumber}: "${body}"`);
+      return;
+    }
+
+    // Asking for a person hands the conversation over straight away
+    if (languageSupport.wantsHuman(body) && await handOffToOperator(message, session, 'requested')) {
+      return;
+    }
+
+    // Cancel/reschedule requests re-open finished conversations for contacts with a booked call
+    if (keywordData.overall.needsCancellation && (!currentStep || currentStep.type === 'terminal')) {
+      if (await handleBookingChangeRequest(message, session, body, keywordData.cancellation.action)) {
+        return;
+      }
+    }
+    
+    // Check if user has an IDLE session (said "no" previously) and wants to restart,
+    // or is coming back to a conversation the follow-ups closed
+    if (session.state === CONVERSATION_STATES.IDLE ||
+        session.state === conversationFlow.getIntentState('noReply')?.name) {
       // User with IDLE session sent a message - restart the conversation
       await handleGreeting(message);
       return;
     }
 
-    // Handle conversation flow for existing sessions
-    switch (session.state) {
-      case CONVERSATION_STATES.GREETING:
-        await handleInitialResponse(message, session, body);
-        break;
-      case CONVERSATION_STATES.WAITING_INITIAL_RESPONSE:
-        await handleInitialResponse(message, session, body);
-        break;
-      case CONVERSATION_STATES.CLARIFYING_RESPONSE:
-        await handleClarificationResponse(message, session, body);
-        break;
-      case CONVERSATION_STATES.ASKING_REASON:
-        await handleReasonResponse(message, session, body);
-        break;
-      case CONVERSATION_STATES.ASKING_CALL_TIME:
-        await handleCallTimeResponse(message, session, body);
-        break;
-      case CONVERSATION_STATES.ASKING_DATE:
-        await handleDateResponse(message, session, body);
-        break;
-      case CONVERSATION_STATES.ASKING_TIME:
-        await handleTimeResponse(message, session, body);
-        break;
-      case CONVERSATION_STATES.CONFIRMING_SCHEDULE:
-        await handleScheduleConfirmation(message, session, body);
-        break;
-      default:
-        // Ignore messages in unknown states
-        break;
+    // Pick up the call type whenever the lead mentions one, so it doesn't have to be asked
+    if (!session.callType) {
+      const inferredCallType = callTypes.inferType(body);
+      if (inferredCallType) {
+        console.log(`📞 Call type inferred: ${inferredCallType.id}`);
+        session = createOrUpdateSession(from, { callType: inferredCallType.id });
+      }
+    }
+
+    // Keep what the lead says the call is about (educational, business, support...) with their answers
+    if (keywordData.callReason.detected && !(session.qualification && session.qualification.callReason)) {
+      session = createOrUpdateSession(from, {
+        qualification: { ...session.qualification, callReason: keywordData.callReason.primary }
+      });
+    }
+
+    // Handle conversation flow for existing sessions using the declarative flow definition
+    if (!currentStep) {
+      console.warn(`⚠️ Session ${from} is in state "${session.state}" which is not defined in the conversation flow`);
+      return;
+    }
+
+    const stepHandler = FLOW_STEP_HANDLERS[currentStep.type];
+    if (stepHandler) {
+      await stepHandler(message, session, body);
     }
 
   } catch (error) {
     console.error('Error handling message:', error);
     // Don't reveal server issues to users
-    await message.reply('Please try again.');
+    await replyToContact(message, getContactMessage(message.from, 'messages.errors.tryAgain'));
   }
 });
 
-// Greeting handler for restarting conversations
-async function handleGreeting(message) {
-  const greeting = `👋 Hi, this is your assistant from CovanEdu.com. We'd like to schedule a call to discuss how we can help you. May I ask a few quick questions to schedule the best time for you?\n\nPlease reply with *yes* to continue.`;
-  
-  await message.reply(greeting);
-  
+// Move a session along the conversation flow: resolve the transition for the outcome,
+// reply with the transition message (or the target state's prompt) and update the session
+async function advanceFlow(message, session, outcome, updates = {}, variables = {}) {
+  const transition = conversationFlow.getTransition(session.state, outcome);
+
+  if (!transition) {
+    console.warn(`⚠️ No "${outcome}" transition defined for state ${session.state}`);
+    return null;
+  }
+
+  console.log(`🧭 Flow: ${session.state} --${outcome}--> ${transition.to}`);
+  return enterFlowState(message, transition.to, transition.message, updates, variables);
+}
+
+// Put a session into a flow state, replying with the given message path or the state's prompt
+async function enterFlowState(message, stateName, messageOverride = null, updates = {}, variables = {}) {
+  const targetStep = conversationFlow.getState(stateName);
+
+  // States with "skipWhenSet" are passed over once the session already holds that answer
+  if (targetStep.skipWhenSet) {
+    const session = { ...userSessions.get(message.from), ...updates };
+    if (session[targetStep.skipWhenSet]) {
+      const transition = conversationFlow.getTransition(targetStep.name, 'skipped');
+      console.log(`🧭 Flow: ${targetStep.name} --skipped--> ${transition.to}`);
+      return enterFlowState(message, transition.to, transition.message, updates, variables);
+    }
+  }
+
+  const messagePath = messageOverride || targetStep.prompt;
+
+  if (messagePath) {
+    await replyToContact(message, getContactMessage(message.from, messagePath, {
+      callTypeOptions: callTypes.describeOptions(),
+      ...variables
+    }));
+  }
+
   createOrUpdateSession(message.from, {
-    state: CONVERSATION_STATES.WAITING_INITIAL_RESPONSE,
-    currentQuestion: 'initial_response'
+    state: targetStep.name,
+    currentQuestion: targetStep.question || targetStep.name,
+    ...updates
+  });
+
+  if (targetStep.type === 'terminal') {
+    // Mark session as completed
+    sessionManager.markForSave(message.from, 'completion');
+  }
+
+  return targetStep.name;
+}
+
+// Hand a message straight to another flow state's step handler without prompting first,
+// for replies that already answer that state's question
+async function delegateToFlowState(message, stateName, body, updates = {}) {
+  const targetStep = conversationFlow.getState(stateName);
+
+  const updatedSession = createOrUpdateSession(message.from, {
+    state: targetStep.name,
+    currentQuestion: targetStep.question || targetStep.name,
+    ...updates
+  });
+
+  const stepHandler = FLOW_STEP_HANDLERS[targetStep.type];
+  if (stepHandler) {
+    await stepHandler(message, updatedSession, body);
+  }
+
+  return targetStep.name;
+}
+
+// Handle cancel/reschedule requests from contacts with a booked call.
+// Completed sessions re-enter the flow through the flow file's "intents".
+async function handleBookingChangeRequest(message, session, body, action) {
+  const phoneNumber = extractPhoneNumber(message.from);
+  const booking = getActiveBooking(phoneNumber);
+
+  if (!booking) {
+    console.log(`📅 No active booking for ${phoneNumber} - ignoring ${action} request`);
+    return false;
+  }
+
+  const intent = action === 'cancel' ? 'cancel' : 'reschedule';
+  const targetStep = conversationFlow.getIntentState(intent);
+
+  if (!targetStep) {
+    console.warn(`⚠️ No "${intent}" intent defined in the conversation flow`);
+    return false;
+  }
+
+  console.log(`📅 ${intent} request for booking on ${booking.date} at ${booking.time} (${phoneNumber})`);
+
+  const updates = {
+    pendingSchedule: null,
+    partialSchedule: null,
+    rescheduling: intent === 'reschedule' ? { date: booking.date, time: booking.time } : null,
+    callType: booking.callType || null,
+    qualification: session.qualification || booking.qualification || null
+  };
+
+  if (intent === 'reschedule') {
+    // "Can we move it to Friday" already carries the new date/time - handle it straight away
+    const timeParseResult = await parseTimeExpression(body, getContactNow(phoneNumber), getContactLanguage(phoneNumber));
+    if (timeParseResult.success && (timeParseResult.hasDate || timeParseResult.hasTime || timeParseResult.window)) {
+      await delegateToFlowState(message, targetStep.name, body, updates);
+      return true;
+    }
+  }
+
+  await enterFlowState(message, targetStep.name, null, updates, {
+    formattedTime: formatScheduleDateTime(booking.date, booking.time, phoneNumber)
   });
+  return true;
+}
+
+// Hand a conversation over to the operators: the bot stops replying to the contact
+// until an operator hands it back from the GUI
+async function handOffToOperator(message, session, reason) {
+  const handoffStep = conversationFlow.getIntentState('handoff');
+
+  if (!handoffStep) {
+    console.warn('⚠️ No "handoff" intent defined in the conversation flow');
+    return false;
+  }
+
+  const phoneNumber = extractPhoneNumber(message.from);
+  handoffDesk.open(phoneNumber, { reason, fromState: session.state, text: message.body.trim() });
+  console.log(`🙋 HANDOFF: ${phoneNumber} needs an operator (${reason}, was in ${session.state})`);
+
+  await enterFlowState(message, handoffStep.name, null, { clarificationAttempts: 0 });
+  return true;
+}
+
+// Answer in the contact's language once a reply gives it away (the contact list can fix it instead)
+function detectContactLanguage(whatsappId, body) {
+  const session = userSessions.get(whatsappId);
+  const phoneNumber = extractPhoneNumber(whatsappId);
+
+  if (!session || session.language || !languageSupport.autoDetect || (contactSettings[phoneNumber] && contactSettings[phoneNumber].language)) {
+    return null;
+  }
+
+  const detectedLanguage = languageSupport.detect(body);
+  if (!detectedLanguage) {
+    return null;
+  }
+
+  console.log(`🌐 Language detected for ${phoneNumber}: ${detectedLanguage}`);
+  return createOrUpdateSession(whatsappId, { language: detectedLanguage });
+}
+
+// Confirm an opt-out, close the conversation and put the number on the do-not-contact list
+async function optOutContact(message) {
+  const phoneNumber = extractPhoneNumber(message.from);
+  const optOutStep = conversationFlow.getIntentState('optOut');
+
+  console.log(`🔕 OPT-OUT: ${phoneNumber} asked not to be contacted again`);
+  detectContactLanguage(message.from, message.body);
+
+  if (optOutStep) {
+    await enterFlowState(message, optOutStep.name, null, {
+      pendingSchedule: null,
+      partialSchedule: null,
+      clarification: null
+    });
+  } else {
+    console.warn('⚠️ No "optOut" intent defined in the conversation flow');
+    await replyToContact(message, getContactMessage(message.from, 'messages.optOut.confirmed'));
+  }
+
+  if (handoffDesk.isOpen(phoneNumber)) {
+    handoffDesk.close(phoneNumber, optOutStep ? optOutStep.name : null);
+  }
+
+  doNotContactList.add(phoneNumber, message.body.trim());
+  welcomeSentNumbers.add(message.from);
+}
+
+// Operator actions sent by the GUI, one JSON object per line on stdin:
+//   { "action": "reply", "phoneNumber": "919999999999", "text": "Hi, this is Priya..." }
+//   { "action": "resume", "phoneNumber": "919999999999", "state": "asking_call_time" }
+async function handleOperatorCommand(command) {
+  const phoneNumber = command.phoneNumber;
+  const whatsappId = `${phoneNumber}@c.us`;
+  const handoff = handoffDesk.get(phoneNumber);
+
+  if (!handoffDesk.isOpen(phoneNumber)) {
+    console.warn(`⚠️ ${phoneNumber} is not with an operator - ignoring "${command.action}"`);
+    return;
+  }
+
+  if (command.action === 'reply') {
+    sendToContact(whatsappId, command.text, { reason: 'operator', priority: 'high' });
+    handoffDesk.record(phoneNumber, 'operator', command.text);
+    console.log(`🧑‍💼 Operator replied to ${phoneNumber}`);
+    return;
+  }
+
+  if (command.action === 'resume') {
+    const targetStep = conversationFlow.getState(command.state || handoff.fromState);
+
+    // Clarification questions only make sense right after the reply they clarify
+    if (!targetStep || ['handoff', 'clarification'].includes(targetStep.type)) {
+      console.warn(`⚠️ Can't hand ${phoneNumber} back to the bot at "${command.state || handoff.fromState}"`);
+      return;
+    }
+
+    handoffDesk.close(phoneNumber, targetStep.name);
+    console.log(`🤖 ${phoneNumber} handed back to the bot at ${targetStep.name}`);
+
+    // The bot carries on by asking that state's question, as if the contact had just reached it
+    await enterFlowState(asIncomingMessage(whatsappId, 'hand_back'), targetStep.name, null, { clarificationAttempts: 0, clarification: null },
+      getStatePromptVariables(phoneNumber));
+    return;
+  }
+
+  console.warn(`⚠️ Unknown operator action "${command.action}"`);
+}
+
+// Outbound queue actions sent by the GUI on stdin, for messages that ran out of retries:
+//   { "action": "retry-dead-letter", "id": "mvf23y7o-30yi4p" }
+//   { "action": "discard-dead-letter", "id": "mvf23y7o-30yi4p" }
+function handleQueueCommand(command) {
+  const handled = command.action === 'retry-dead-letter'
+    ? outboundQueue.retryDeadLetter(command.id)
+    : command.action === 'discard-dead-letter' && outboundQueue.discardDeadLetter(command.id);
+
+  if (!handled) {
+    console.warn(`⚠️ No dead letter ${command.id} - ignoring "${command.action}"`);
+    return;
+  }
+  console.log(`📬 Dead letter ${command.id}: ${command.action === 'retry-dead-letter' ? 'queued again' : 'discarded'}`);
+}
+
+// Prompt variables for re-asking a state's question (hand-backs, follow-ups) from what the session already holds
+function getStatePromptVariables(phoneNumber) {
+  const session = userSessions.get(`${phoneNumber}@c.us`) || {};
+  const schedule = session.pendingSchedule || getActiveBooking(phoneNumber);
+  const partial = session.partialSchedule || {};
+
+  return {
+    formattedTime: schedule ? formatScheduleDateTime(schedule.date, schedule.time, phoneNumber) : '',
+    date: partial.date ? formatForContact(moment(partial.date, 'DD/MM/YYYY'), 'date', phoneNumber) : '',
+    time: partial.time ? formatForContact(moment(partial.time, 'HH:mm'), 'time', phoneNumber) : ''
+  };
+}
+
+// Stand-in for a contact's message, for entering a flow state the contact didn't reply into;
+// the state's prompt goes through the outbound queue, labelled with the reason
+function asIncomingMessage(whatsappId, reason) {
+  return { from: whatsappId, standIn: reason };
+}
+
+// Nudge a lead who went quiet, re-asking the question they left unanswered, or close
+// the conversation when their follow-up ladder runs out
+async function sendFollowUp(whatsappId, session, step) {
+  const phoneNumber = extractPhoneNumber(whatsappId);
+
+  if (step.close) {
+    const closedStep = conversationFlow.getIntentState('noReply');
+    await enterFlowState(asIncomingMessage(whatsappId, 'follow_up'), closedStep.name, step.message);
+    return;
+  }
+
+  sendToContact(whatsappId, getContactMessage(whatsappId, step.message, getStatePromptVariables(phoneNumber)),
+    { reason: 'follow_up' });
 }
 
-// Handle initial response using sentiment analysis
-async function handleInitialResponse(message, session, body) {
+// Send a booking reminder and let the contact confirm or reschedule in reply
+async function sendBookingReminder(phoneNumber, booking, rule) {
+  const whatsappId = `${phoneNumber}@c.us`;
+  const formattedTime = formatScheduleDateTime(booking.date, booking.time, phoneNumber);
+
+  sendToContact(whatsappId, getContactMessage(whatsappId, rule.message, { formattedTime }),
+    { reason: 'reminder', priority: 'high' });
+
+  // Only redirect finished conversations - never interrupt one in progress
+  const session = userSessions.get(whatsappId);
+  const currentStep = session ? conversationFlow.getState(session.state) : null;
+  const reminderStep = conversationFlow.getIntentState('reminder');
+
+  if (reminderStep && (!session || !currentStep || currentStep.type === 'terminal')) {
+    createOrUpdateSession(whatsappId, {
+      state: reminderStep.name,
+      currentQuestion: reminderStep.question || reminderStep.name
+    });
+  }
+}
+
+// Handle replies to a booking reminder ("confirm", "reschedule", "cancel")
+async function handleReminderReply(message, session, body) {
   try {
-    const sentiment = await analyzeSentiment(body, 'yes_no_question');
-    
+    const phoneNumber = extractPhoneNumber(message.from);
+    const booking = getActiveBooking(phoneNumber);
+
+    if (!booking) {
+      await advanceFlow(message, session, 'no_booking');
+      return;
+    }
+
+    // Reschedule/cancel requests go through the same flow as in completed conversations
+    const cancellation = ComprehensiveKeywordDetector.detectCancellationRescheduling(body);
+    if (cancellation.detected) {
+      await handleBookingChangeRequest(message, session, body, cancellation.action);
+      return;
+    }
+
+    const formattedTime = formatScheduleDateTime(booking.date, booking.time, phoneNumber);
+    const sentiment = /\b(confirm|confirmed|confirming)\b/i.test(body)
+      ? 'positive'
+      : await analyzeSentiment(body, 'yes_no_question', getContactLanguage(phoneNumber));
+
     if (sentiment === 'positive') {
-      // User said yes, proceed to ask for call time
-      await message.reply(config.getMessage('messages.questions.askCallTime'));
-      
-      createOrUpdateSession(message.from, {
-        state: CONVERSATION_STATES.ASKING_CALL_TIME,
-        currentQuestion: 'call_time'
-      });
-      
+      updateCallSchedule(phoneNumber, { contactConfirmedAt: new Date().toISOString() });
+      await advanceFlow(message, session, 'confirmed', {}, { formattedTime });
     } else if (sentiment === 'negative') {
-      // User said no, ask for reason
-      await message.reply(config.getMessage('messages.questions.askReason'));
-      
-      createOrUpdateSession(message.from, {
-        state: CONVERSATION_STATES.ASKING_REASON,
-        currentQuestion: 'reason'
-      });
-      
+      // "No" to a reminder usually means the slot no longer works
+      await handleBookingChangeRequest(message, session, body, 'reschedule');
     } else {
-      // Neutral or unclear response, ask for clarification
-      await message.reply(config.getMessage('messages.questions.askClarification'));
-      
-      createOrUpdateSession(message.from, {
-        state: CONVERSATION_STATES.CLARIFYING_RESPONSE,
-        currentQuestion: 'clarification',
-        clarificationAttempts: (session.clarificationAttempts || 0) + 1
-      });
+      await advanceFlow(message, session, 'unclear', {}, { formattedTime });
     }
-    
+
   } catch (error) {
-    console.error('Error in handleInitialResponse:', error);
-    await message.reply(config.getMessage('messages.errors.clarificationNeeded'));
+    console.error('Error in handleReminderReply:', error);
+    await replyToContact(message, getContactMessage(message.from, 'messages.errors.confirmationNeeded'));
   }
 }
 
-// Handle clarification response
-async function handleClarificationResponse(message, session, body) {
+// Handle confirmation of a cancellation request
+async function handleCancellationConfirmation(message, session, body) {
   try {
-    const sentiment = await analyzeSentiment(body, 'yes_no_question');
-    
-    if (sentiment === 'positive') {
-      // User clarified yes, proceed to ask for call time
-      await message.reply(config.getMessage('messages.questions.askCallTime'));
-      
-      createOrUpdateSession(message.from, {
-        state: CONVERSATION_STATES.ASKING_CALL_TIME,
-        currentQuestion: 'call_time',
-        clarificationAttempts: 0
-      });
-      
-    } else if (sentiment === 'negative') {
-      // User clarified no, ask for reason
-      await message.reply(config.getMessage('messages.questions.askReason'));
-      
-      createOrUpdateSession(message.from, {
-        state: CONVERSATION_STATES.ASKING_REASON,
-        currentQuestion: 'reason',
-        clarificationAttempts: 0
-      });
-      
-    } else {
-      // Still unclear after clarification attempt - keep trying unlimited times
-      await message.reply(config.getMessage('messages.errors.stillUnclear'));
-      
-      createOrUpdateSession(message.from, {
-        clarificationAttempts: (session.clarificationAttempts || 0) + 1
+    const sentiment = await analyzeSentiment(body, 'yes_no_question', getContactLanguage(extractPhoneNumber(message.from)));
+    const phoneNumber = extractPhoneNumber(message.from);
+    const booking = getActiveBooking(phoneNumber);
+    const formattedTime = booking ? formatScheduleDateTime(booking.date, booking.time, phoneNumber) : '';
+
+    if (sentiment === 'positive' && booking) {
+      updateCallSchedule(phoneNumber, {
+        status: 'cancelled',
+        cancelledAt: new Date().toISOString()
       });
     }
-    
+
+    await advanceFlow(message, session, sentiment, {}, { formattedTime });
+
+    if (sentiment === 'positive' && booking) {
+      await sendCalendarInvite(message.from, phoneNumber);
+    }
+
   } catch (error) {
-    console.error('Error in handleClarificationResponse:', error);
-    await message.reply(config.getMessage('messages.errors.clarificationNeeded'));
+    console.error('Error in handleCancellationConfirmation:', error);
+    await replyToContact(message, getContactMessage(message.from, 'messages.errors.confirmationNeeded'));
   }
 }
 
-// Handle reason response (when user says no)
-async function handleReasonResponse(message, session, body) {
+// Greeting handler for restarting conversations
+async function handleGreeting(message) {
+  const initialStep = conversationFlow.getInitialState();
+
+  await replyToContact(message, getContactMessage(message.from, initialStep.prompt));
+
+  createOrUpdateSession(message.from, {
+    state: initialStep.name,
+    currentQuestion: initialStep.question,
+    callType: null,
+    qualification: null,
+    followUps: null
+  });
+}
+
+// Handle yes/no steps (initial response, clarification) using sentiment analysis
+async function handleYesNoResponse(message, session, body) {
   try {
-    // Save the reason and end conversation gracefully
-    const phoneNumber = extractPhoneNumber(message.from);
-    
-    // Reason saved in session data
-    
-    await message.reply(config.getMessage('messages.success.thankYou'));
-    
-    createOrUpdateSession(message.from, {
-      state: CONVERSATION_STATES.COMPLETED,
-      currentQuestion: 'completed'
+    const sentiment = await analyzeSentiment(body, 'yes_no_question', getContactLanguage(extractPhoneNumber(message.from)));
+
+    // Count unclear answers so repeated clarification loops are visible in the session
+    const clarificationAttempts = sentiment === 'neutral' ? (session.clarificationAttempts || 0) + 1 : 0;
+
+    // Rather than asking "yes or no?" forever, let a person take over
+    if (clarificationAttempts >= handoffDesk.maxClarificationAttempts &&
+        await handOffToOperator(message, session, 'clarification_limit')) {
+      return;
+    }
+
+    await advanceFlow(message, session, sentiment, { clarificationAttempts });
+
+  } catch (error) {
+    console.error('Error in handleYesNoResponse:', error);
+    await replyToContact(message, getContactMessage(message.from, 'messages.errors.clarificationNeeded'));
+  }
+}
+
+// Handle free text steps (e.g. the reason when user says no)
+async function handleFreeTextResponse(message, session, body) {
+  try {
+    const step = conversationFlow.getState(session.state);
+
+    // Save the answer in session data under the step's saveAs key - categorized answers
+    // (decline reasons) as structured data so they can be counted
+    const answer = step.categorize
+      ? declineReasons.describe(body, {
+        sentiment: analyzeComprehensiveSentiment(body, 'general').sentiment,
+        language: getContactLanguage(extractPhoneNumber(message.from))
+      })
+      : body;
+    const data = step.saveAs ? { ...session.data, [step.saveAs]: answer } : session.data;
+
+    if (step.categorize) {
+      console.log(`📝 ${step.saveAs}: ${answer.category} ("${body}")`);
+    }
+
+    await advanceFlow(message, session, 'answered', { data });
+
+  } catch (error) {
+    console.error('Error in handleFreeTextResponse:', error);
+    await replyToContact(message, getContactMessage(message.from, 'messages.success.thankYou'));
+  }
+}
+
+// Handle qualification questions (course, education level, budget...): validate the answer
+// against the state's "answer" spec and keep it in session.qualification under saveAs
+async function handleQualificationResponse(message, session, body) {
+  try {
+    const step = conversationFlow.getState(session.state);
+    const result = answerValidator.validate(step.answer, body);
+
+    if (!result.valid) {
+      console.log(`📋 Invalid answer for ${step.name}: "${body}"`);
+      await advanceFlow(message, session, 'invalid');
+      return;
+    }
+
+    console.log(`📋 ${step.saveAs}: ${result.value}`);
+    await advanceFlow(message, session, 'answered', {
+      qualification: { ...session.qualification, [step.saveAs]: result.value }
     });
-    
-    // Mark session as completed
-    sessionManager.markForSave(message.from, 'completion');
-    
+
   } catch (error) {
-    console.error('Error in handleReasonResponse:', error);
-    await message.reply(config.getMessage('messages.success.thankYou'));
+    console.error('Error in handleQualificationResponse:', error);
+    await replyToContact(message, getContactMessage(message.from, conversationFlow.getState(session.state).prompt));
   }
 }
 
 // Handle call time response with interactive prompting
+// Take a complete date and time (on the contact's clock) through the checks - past, opening
+// hours, conflicts - and on to confirmation, or straight to booking for "call me now"
+async function proposeCallTime(message, session, parsed, originalText, currentDateTime = new Date()) {
+  const phoneNumber = extractPhoneNumber(message.from);
+
+  // Work in business time from here on, which is what bookings store
+  Object.assign(parsed, toBusinessDateTime(phoneNumber, parsed.date, parsed.time));
+
+  // Check if the date/time is in the past (but skip for immediate keywords)
+  if (!parsed.immediate && await handlePastDateTimeValidation(message, session, parsed.date, parsed.time, currentDateTime, originalText)) {
+    return; // Past date detected and handled, user redirected
+  }
+
+  // Check opening hours, holidays and minimum notice (immediate requests skip the notice)
+  if (await handleBusinessHoursValidation(message, session, parsed.date, parsed.time, currentDateTime, { immediate: parsed.immediate })) {
+    return; // Out-of-hours slot refused, alternatives proposed
+  }
+
+  // Check for time conflicts before proceeding
+  const conflictCheck = checkTimeConflict(parsed.date, parsed.time, phoneNumber, session.callType);
+
+  if (conflictCheck.hasConflict) {
+    // Time slot is already occupied - offer the nearest free slots instead
+    await handleSlotConflict(message, session, parsed.date, parsed.time, conflictCheck, currentDateTime);
+
+    return;
+  }
+
+  // Handle immediate keywords - skip confirmation and schedule directly
+  if (parsed.immediate) {
+    const scheduleData = {
+      date: parsed.date,
+      time: parsed.time,
+      formatted: parsed.formatted,
+      originalText,
+      scheduledAt: new Date().toISOString(),
+      immediate: true,
+      ...getCallTypeDetails(session),
+      ...getRescheduleDetails(session)
+    };
+
+    saveCallSchedule(phoneNumber, scheduleData);
+
+    const formattedTime = formatScheduleDateTime(parsed.date, parsed.time, phoneNumber);
+
+    await advanceFlow(message, session, 'immediate', {
+      finalSchedule: scheduleData,
+      completedAt: new Date().toISOString(),
+      rescheduling: null
+    }, { time: formattedTime });
+
+    await sendCalendarInvite(message.from, phoneNumber);
+
+    return;
+  }
+
+  // Successfully parsed both date and time, confirm with user (for non-immediate requests)
+  const formattedTime = formatScheduleDateTime(parsed.date, parsed.time, phoneNumber);
+
+  await advanceFlow(message, session, 'parsed', {
+    pendingSchedule: {
+      date: parsed.date,
+      time: parsed.time,
+      formatted: parsed.formatted,
+      originalText
+    }
+  }, { formattedTime });
+}
+
+// Ask for whichever of date or time is still missing, keeping the part we have
+async function askForMissingDateOrTime(message, session, parsed, originalText) {
+  if (parsed.hasDate && !parsed.hasTime) {
+    // Has date but missing time (kept on the contact's clock until the time is known)
+    const dateFormatted = formatForContact(moment(parsed.date, 'DD/MM/YYYY'), 'date', extractPhoneNumber(message.from));
+
+    await advanceFlow(message, session, 'needs_time', {
+      partialSchedule: {
+        date: parsed.date,
+        hasDate: true,
+        hasTime: false,
+        originalText
+      }
+    }, { date: dateFormatted });
+
+  } else if (parsed.hasTime && !parsed.hasDate) {
+    // Has time but missing date
+    const timeFormatted = formatForContact(moment(parsed.time, 'HH:mm'), 'time', extractPhoneNumber(message.from));
+
+    await advanceFlow(message, session, 'needs_date', {
+      partialSchedule: {
+        time: parsed.time,
+        hasDate: false,
+        hasTime: true,
+        originalText
+      }
+    }, { time: timeFormatted });
+  }
+}
+
 async function handleCallTimeResponse(message, session, body) {
   try {
     const currentDateTime = new Date();
-    const timeParseResult = await parseTimeExpression(body, currentDateTime);
-    
-    if (timeParseResult.success && timeParseResult.complete) {
-      // Check if the date/time is in the past (but skip for immediate keywords)
-      if (!timeParseResult.immediate && await handlePastDateTimeValidation(message, timeParseResult.date, timeParseResult.time, currentDateTime, body)) {
-        return; // Past date detected and handled, user redirected
-      }
-      
-      // Check for time conflicts before proceeding
-      const phoneNumber = extractPhoneNumber(message.from);
-      const conflictCheck = checkTimeConflict(timeParseResult.date, timeParseResult.time, phoneNumber);
-      
-      if (conflictCheck.hasConflict) {
-        // Time slot is already occupied
-        await message.reply(`I'm sorry, but that time slot is already occupied. There's another call scheduled for ${conflictCheck.conflictingDateTime}. Please choose a different date and time.`);
-        
-        // Restart the process by asking for call time again
-        await message.reply(config.getMessage('messages.questions.askCallTime'));
-        
-        createOrUpdateSession(message.from, {
-          state: CONVERSATION_STATES.ASKING_CALL_TIME,
-          currentQuestion: 'call_time',
-          partialSchedule: null,
-          pendingSchedule: null
-        });
-        
-        return;
-      }
-      
-      // Handle immediate keywords - skip confirmation and schedule directly
-      if (timeParseResult.immediate) {
-        const scheduleData = {
-          date: timeParseResult.date,
-          time: timeParseResult.time,
-          formatted: timeParseResult.formatted,
-          originalText: body,
-          scheduledAt: new Date().toISOString(),
-          immediate: true
-        };
-        
-        saveCallSchedule(phoneNumber, scheduleData);
-        
-        const formattedTime = moment(`${timeParseResult.date} ${timeParseResult.time}`, 'DD/MM/YYYY HH:mm').format('dddd, MMMM Do [at] h:mm A');
-        
-        await message.reply(config.getMessage('messages.success.immediateCallScheduled').replace('{time}', formattedTime));
-        
-        createOrUpdateSession(message.from, {
-          state: CONVERSATION_STATES.COMPLETED,
-          currentQuestion: 'completed',
-          finalSchedule: scheduleData,
-          completedAt: new Date().toISOString()
-        });
-        
-        return;
-      }
-      
-      // Successfully parsed both date and time, confirm with user (for non-immediate requests)
-      const formattedTime = moment(`${timeParseResult.date} ${timeParseResult.time}`, 'DD/MM/YYYY HH:mm').format('dddd, MMMM Do [at] h:mm A');
-      
-      await message.reply(config.getMessage('messages.confirmations.scheduleConfirm').replace('{formattedTime}', formattedTime));
-      
-      createOrUpdateSession(message.from, {
-        state: CONVERSATION_STATES.CONFIRMING_SCHEDULE,
-        currentQuestion: 'schedule_confirmation',
-        pendingSchedule: {
-          date: timeParseResult.date,
-          time: timeParseResult.time,
-          formatted: timeParseResult.formatted,
-          originalText: body
-        }
-      });
-      
-    } else if (timeParseResult.success && timeParseResult.partial) {
+    const phoneNumber = extractPhoneNumber(message.from);
+
+    // Read "tomorrow at 5pm" on the contact's own clock
+    const contactNow = getContactNow(phoneNumber, currentDateTime);
+    const timeParseResult = await parseTimeExpression(body, contactNow, getContactLanguage(phoneNumber));
+
+    if (timeParseResult.success && timeParseResult.window) {
+      // "between 2 and 4pm", "any evening next week" - without days, search the coming days
+      const window = timeParseResult.window.startDate
+        ? timeParseResult.window
+        : timeWindowParser.fromToday(timeParseResult.window, contactNow);
+
+      await handleTimeWindow(message, session, window, body, currentDateTime);
+
+    } else if (timeParseResult.success && timeParseResult.ambiguous) {
+      // "at 5" could be morning or evening - check before confirming
+      const known = { date: timeParseResult.date, time: timeParseResult.time };
+      await handleAmbiguousDateTime(message, session, known, timeParseResult.ambiguities, body, currentDateTime);
+
+    } else if (timeParseResult.success && timeParseResult.complete) {
+      await proposeCallTime(message, session, timeParseResult, body, currentDateTime);
+
+    } else if (timeParseResult.success && timeParseResult.partial && (timeParseResult.hasDate || timeParseResult.hasTime)) {
       // Partial parsing - missing either date or time
-      if (timeParseResult.hasDate && !timeParseResult.hasTime) {
-        // Has date but missing time
-        const dateFormatted = moment(timeParseResult.date, 'DD/MM/YYYY').format('dddd, MMMM Do');
-        await message.reply(config.getMessage('messages.questions.askTimeForDate').replace('{date}', dateFormatted));
-        
-        createOrUpdateSession(message.from, {
-          state: CONVERSATION_STATES.ASKING_TIME,
-          currentQuestion: 'time_needed',
-          partialSchedule: {
-            date: timeParseResult.date,
-            hasDate: true,
-            hasTime: false,
-            originalText: body
-          }
-        });
-        
-      } else if (timeParseResult.hasTime && !timeParseResult.hasDate) {
-        // Has time but missing date
-        const timeFormatted = moment(timeParseResult.time, 'HH:mm').format('h:mm A');
-        await message.reply(config.getMessage('messages.questions.askDateForTime').replace('{time}', timeFormatted));
-        
-        createOrUpdateSession(message.from, {
-          state: CONVERSATION_STATES.ASKING_DATE,
-          currentQuestion: 'date_needed',
-          partialSchedule: {
-            time: timeParseResult.time,
-            hasDate: false,
-            hasTime: true,
-            originalText: body
-          }
-        });
-        
-      } else {
-        // Neither date nor time found
-        await message.reply(config.getMessage('messages.prompts.provideDateAndTime'));
-      }
-      
+      await askForMissingDateOrTime(message, session, timeParseResult, body);
+
     } else {
       // Failed to parse anything meaningful
-      await message.reply(config.getMessage('messages.prompts.provideDateAndTime'));
+      await advanceFlow(message, session, 'unparsed');
     }
-    
+
   } catch (error) {
     console.error('Error in handleCallTimeResponse:', error);
-    await message.reply(config.getMessage('messages.errors.parseError'));
+    await replyToContact(message, getContactMessage(message.from, 'messages.errors.parseError'));
   }
 }
 
@@ -2188,41 +3591,55 @@ async function handleCallTimeResponse(message, session, body) {
 async function handleDateResponse(message, session, body) {
   try {
     const currentDateTime = new Date();
-    const timeParseResult = await parseTimeExpression(body, currentDateTime);
-    
-    if (timeParseResult.success && timeParseResult.hasDate) {
-      // Successfully got the date, combine with existing time
-      const combinedDate = timeParseResult.date;
-      const combinedTime = session.partialSchedule.time;
-      
+    const phoneNumber = extractPhoneNumber(message.from);
+    const timeParseResult = await parseTimeExpression(body, getContactNow(phoneNumber, currentDateTime), getContactLanguage(phoneNumber));
+
+    if (timeParseResult.success && timeParseResult.window && timeParseResult.hasDate) {
+      // "any day next week" - at the time given earlier unless the reply brings its own range
+      const window = timeParseResult.window.hasTimeRange
+        ? timeParseResult.window
+        : timeWindowParser.atTime(timeParseResult.window, session.partialSchedule.time);
+
+      await handleTimeWindow(message, session, window, body, currentDateTime);
+
+    } else if (timeParseResult.success && timeParseResult.ambiguous) {
+      // "3/4" - check which day is meant, keeping the time given earlier
+      const known = { date: timeParseResult.date, time: timeParseResult.time || session.partialSchedule.time };
+      await handleAmbiguousDateTime(message, session, known, timeParseResult.ambiguities, `${session.partialSchedule.originalText} + ${body}`, currentDateTime);
+
+    } else if (timeParseResult.success && timeParseResult.hasDate) {
+      // Successfully got the date, combine with existing time on the contact's clock
+      const { date: combinedDate, time: combinedTime } = toBusinessDateTime(phoneNumber, timeParseResult.date, session.partialSchedule.time);
+
       // Check if the combined date/time is in the past
-      if (await handlePastDateTimeValidation(message, combinedDate, combinedTime, currentDateTime, body)) {
+      if (await handlePastDateTimeValidation(message, session, combinedDate, combinedTime, currentDateTime, body)) {
         return; // Past date detected and handled, user redirected
       }
-      
-      const formattedTime = moment(`${combinedDate} ${combinedTime}`, 'DD/MM/YYYY HH:mm').format('dddd, MMMM Do [at] h:mm A');
-      
-      await message.reply(`Perfect! Just to confirm, you'd like me to call on ${formattedTime}, right?`);
-      
-      createOrUpdateSession(message.from, {
-        state: CONVERSATION_STATES.CONFIRMING_SCHEDULE,
-        currentQuestion: 'schedule_confirmation',
+
+      // Check opening hours, holidays and minimum notice
+      if (await handleBusinessHoursValidation(message, session, combinedDate, combinedTime, currentDateTime)) {
+        return; // Out-of-hours slot refused, alternatives proposed
+      }
+
+      const formattedTime = formatScheduleDateTime(combinedDate, combinedTime, phoneNumber);
+
+      await advanceFlow(message, session, 'parsed', {
         pendingSchedule: {
           date: combinedDate,
           time: combinedTime,
           formatted: `${combinedDate}::${combinedTime}`,
           originalText: `${session.partialSchedule.originalText} + ${body}`
         }
-      });
-      
+      }, { formattedTime });
+
     } else {
       // Failed to get date, ask again
-      await message.reply("I didn't catch a specific date. Could you please provide a date? For example: 'today', 'tomorrow', or 'Monday'");
+      await advanceFlow(message, session, 'unparsed');
     }
-    
+
   } catch (error) {
     console.error('Error in handleDateResponse:', error);
-    await message.reply("Sorry, I didn't catch that. Could you please provide a date?");
+    await replyToContact(message, getContactMessage(message.from, 'messages.errors.dateNeeded'));
   }
 }
 
@@ -2230,150 +3647,325 @@ async function handleDateResponse(message, session, body) {
 async function handleTimeResponse(message, session, body) {
   try {
     const currentDateTime = new Date();
-    const timeParseResult = await parseTimeExpression(body, currentDateTime);
-    
-    if (timeParseResult.success && timeParseResult.hasTime) {
-      // Successfully got the time, combine with existing date
-      const combinedDate = session.partialSchedule.date;
-      const combinedTime = timeParseResult.time;
-      
+    const phoneNumber = extractPhoneNumber(message.from);
+    const timeParseResult = await parseTimeExpression(body, getContactNow(phoneNumber, currentDateTime), getContactLanguage(phoneNumber));
+
+    if (timeParseResult.success && timeParseResult.window && timeParseResult.hasTime) {
+      // "between 2 and 4" - on the date given earlier unless the reply names its own days
+      const window = timeParseResult.window.startDate
+        ? timeParseResult.window
+        : timeWindowParser.onDate(timeParseResult.window, session.partialSchedule.date);
+
+      await handleTimeWindow(message, session, window, body, currentDateTime);
+
+    } else if (timeParseResult.success && timeParseResult.ambiguous) {
+      // "at 5" - check whether morning or evening is meant, on the date given earlier
+      const known = { date: timeParseResult.date || session.partialSchedule.date, time: timeParseResult.time };
+      await handleAmbiguousDateTime(message, session, known, timeParseResult.ambiguities, `${session.partialSchedule.originalText} + ${body}`, currentDateTime);
+
+    } else if (timeParseResult.success && timeParseResult.hasTime) {
+      // Successfully got the time, combine with existing date on the contact's clock
+      const { date: combinedDate, time: combinedTime } = toBusinessDateTime(phoneNumber, session.partialSchedule.date, timeParseResult.time);
+
       // Check if the combined date/time is in the past
-      if (await handlePastDateTimeValidation(message, combinedDate, combinedTime, currentDateTime, body)) {
+      if (await handlePastDateTimeValidation(message, session, combinedDate, combinedTime, currentDateTime, body)) {
         return; // Past date detected and handled, user redirected
       }
-      
+
+      // Check opening hours, holidays and minimum notice
+      if (await handleBusinessHoursValidation(message, session, combinedDate, combinedTime, currentDateTime)) {
+        return; // Out-of-hours slot refused, alternatives proposed
+      }
+
       // Check for time conflicts with existing bookings
-      const phoneNumber = extractPhoneNumber(message.from);
-      const conflictCheck = checkTimeConflict(combinedDate, combinedTime, phoneNumber);
-      
+      const conflictCheck = checkTimeConflict(combinedDate, combinedTime, phoneNumber, session.callType);
+
       if (conflictCheck.hasConflict) {
-        // Time slot is already occupied
-        await message.reply(`I'm sorry, but that time slot is already occupied. There's another call scheduled for ${conflictCheck.conflictingDateTime}. Please choose a different date and time.`);
-        
-        // Restart the process by asking for date again
-        await message.reply(config.getMessage('messages.questions.askDate'));
-        
-        createOrUpdateSession(message.from, {
-          state: CONVERSATION_STATES.ASKING_DATE,
-          currentQuestion: 'date',
-          partialSchedule: null,
-          pendingSchedule: null
-        });
-        
+        // Time slot is already occupied - offer the nearest free slots instead
+        await handleSlotConflict(message, session, combinedDate, combinedTime, conflictCheck, currentDateTime);
+
         return;
       }
-      
-      const formattedTime = moment(`${combinedDate} ${combinedTime}`, 'DD/MM/YYYY HH:mm').format('dddd, MMMM Do [at] h:mm A');
-      
-      await message.reply(`Excellent! Just to confirm, you'd like me to call on ${formattedTime}, right?`);
-      
-      createOrUpdateSession(message.from, {
-        state: CONVERSATION_STATES.CONFIRMING_SCHEDULE,
-        currentQuestion: 'schedule_confirmation',
+
+      const formattedTime = formatScheduleDateTime(combinedDate, combinedTime, phoneNumber);
+
+      await advanceFlow(message, session, 'parsed', {
         pendingSchedule: {
           date: combinedDate,
           time: combinedTime,
           formatted: `${combinedDate}::${combinedTime}`,
           originalText: `${session.partialSchedule.originalText} + ${body}`
         }
-      });
-      
+      }, { formattedTime });
+
     } else {
       // Failed to get time, ask again
-      await message.reply("I didn't catch a specific time. Could you please provide a time? For example: '2pm', 'morning', or 'afternoon'");
+      await advanceFlow(message, session, 'unparsed');
     }
-    
+
   } catch (error) {
     console.error('Error in handleTimeResponse:', error);
-    await message.reply("Sorry, I didn't catch that. Could you please provide a time?");
+    await replyToContact(message, getContactMessage(message.from, 'messages.errors.timeNeeded'));
   }
 }
 
 // Handle schedule confirmation
 async function handleScheduleConfirmation(message, session, body) {
   try {
-    const sentiment = await analyzeSentiment(body, 'yes_no_question');
-    
+    const sentiment = await analyzeSentiment(body, 'yes_no_question', getContactLanguage(extractPhoneNumber(message.from)));
+
     if (sentiment === 'positive') {
       // User confirmed the schedule - perform final conflict check
       const phoneNumber = extractPhoneNumber(message.from);
       const finalConflictCheck = checkTimeConflict(
-        session.pendingSchedule.date, 
-        session.pendingSchedule.time, 
-        phoneNumber
+        session.pendingSchedule.date,
+        session.pendingSchedule.time,
+        phoneNumber,
+        session.callType
       );
-      
+
       if (finalConflictCheck.hasConflict) {
-        // Last-minute conflict detected (race condition)
-        await message.reply(`I'm sorry, but that time slot was just booked by someone else. There's now a call scheduled for ${finalConflictCheck.conflictingDateTime}. Let's find you another time.`);
-        
-        // Restart the process by asking for date again
-        await message.reply(config.getMessage('messages.questions.askDate'));
-        
-        createOrUpdateSession(message.from, {
-          state: CONVERSATION_STATES.ASKING_DATE,
-          currentQuestion: 'date',
-          partialSchedule: null,
-          pendingSchedule: null
-        });
-        
+        // Last-minute conflict detected (race condition) - offer the nearest free slots instead
+        await handleSlotConflict(message, session, session.pendingSchedule.date, session.pendingSchedule.time, finalConflictCheck);
+
         return;
       }
-      
+
       const scheduleData = {
         date: session.pendingSchedule.date,
         time: session.pendingSchedule.time,
         formatted: session.pendingSchedule.formatted,
         originalRequest: session.pendingSchedule.originalText,
-        confirmedAt: new Date().toISOString()
+        confirmedAt: new Date().toISOString(),
+        ...getCallTypeDetails(session),
+        ...getRescheduleDetails(session)
       };
-      
+
       // Save to call schedule
       saveCallSchedule(phoneNumber, scheduleData);
-      
+
       // Call schedule saved to call_schedule.json
-      
-      await message.reply(config.getMessage('messages.success.callScheduled'));
-      
-      createOrUpdateSession(message.from, {
-        state: CONVERSATION_STATES.COMPLETED,
-        currentQuestion: 'completed'
-      });
-      
-      // Mark session as completed
-      sessionManager.markForSave(message.from, 'completion');
-      
+
+      await advanceFlow(message, session, 'positive', {
+        rescheduling: null
+      }, { formattedTime: formatScheduleDateTime(scheduleData.date, scheduleData.time, phoneNumber) });
+
+      await sendCalendarInvite(message.from, phoneNumber);
+
     } else {
       // User wants to change the time, go back to asking for call time
-      await message.reply(config.getMessage('messages.questions.askCallTime'));
-      
-      createOrUpdateSession(message.from, {
-        state: CONVERSATION_STATES.ASKING_CALL_TIME,
-        currentQuestion: 'call_time',
+      await advanceFlow(message, session, sentiment, {
         pendingSchedule: null
       });
     }
-    
+
   } catch (error) {
     console.error('Error in handleScheduleConfirmation:', error);
-    await message.reply(config.getMessage('messages.errors.confirmationNeeded'));
+    await replyToContact(message, getContactMessage(message.from, 'messages.errors.confirmationNeeded'));
   }
 }
 
-// Removed old conversation handlers - using simplified flow with sentiment analysis
+// Handle the reply to a list of suggested slots: a number picks that slot for confirmation,
+// anything else is treated as a new requested time by the flow's "other" state
+async function handleSlotChoice(message, session, body) {
+  try {
+    const suggestedSlots = session.suggestedSlots || [];
+    const choice = parseOptionChoice(body, suggestedSlots.length);
 
-// Add monitoring to track save performance
-setInterval(() => {
-  const activeSessions = userSessions.size;
-  const saveQueueSize = sessionManager.saveQueue.size;
-  
-  // Log save frequency statistics
-  if (sessionManager.lastSaveTime) {
-    const timeSinceLastSave = new Date() - sessionManager.lastSaveTime;
+    if (choice === null && suggestedSlots.length > 0 && /^\s*\d{1,2}\s*$/.test(body)) {
+      // A bare number that isn't on the list - ask again rather than read it as a date
+      await replyToContact(message, getContactMessage(message.from, 'messages.conflicts.invalidChoice', { count: suggestedSlots.length }));
+      return;
+    }
+
+    if (choice === null) {
+      const transition = conversationFlow.getTransition(session.state, 'other');
+
+      if (!transition) {
+        console.warn(`⚠️ No "other" transition defined for state ${session.state}`);
+        return;
+      }
+
+      console.log(`🧭 Flow: ${session.state} --other--> ${transition.to}`);
+      await delegateToFlowState(message, transition.to, body, { suggestedSlots: null });
+      return;
+    }
+
+    const slot = suggestedSlots[choice];
+    console.log(`📅 Suggested slot ${choice + 1} picked: ${slot.date} ${slot.time}`);
+
+    await advanceFlow(message, session, 'chosen', {
+      suggestedSlots: null,
+      pendingSchedule: {
+        date: slot.date,
+        time: slot.time,
+        formatted: `${slot.date}::${slot.time}`,
+        originalText: `Suggested option ${choice + 1} (${body})`
+      }
+    }, { formattedTime: formatScheduleDateTime(slot.date, slot.time, extractPhoneNumber(message.from)) });
+
+  } catch (error) {
+    console.error('Error in handleSlotChoice:', error);
+    await replyToContact(message, getContactMessage(message.from, 'messages.errors.parseError'));
   }
-}, 60000); // Log every minute
+}
 
-// Start the client
-client.initialize();
+// Handle the answer to "do you mean 5 AM or 5 PM?": a number or a word naming one reading
+// ("the second", "pm", "next week") settles it, anything else is read as a new requested time
+async function handleClarification(message, session, body) {
+  try {
+    const { known, ambiguities, originalText } = session.clarification;
+    const [ambiguity, ...remaining] = ambiguities;
+    // Keywords are English - "hoy", "kal shaam" are read through the contact's language first
+    const lowerText = languageSupport.normalizeDateTime(body, getContactLanguage(extractPhoneNumber(message.from))).toLowerCase();
+
+    let choice = parseOptionChoice(body, ambiguity.candidates.length);
+    if (choice === null) {
+      const matching = ambiguity.candidates
+        .map((candidate, index) => candidate.keywords.some(keyword => new RegExp(`(?:^|[^a-z])${keyword.replace('.', '\\.')}(?![a-z])`).test(lowerText)) ? index : null)
+        .filter(index => index !== null);
+      choice = matching.length === 1 ? matching[0] : null;
+    }
+
+    if (choice === null) {
+      const transition = conversationFlow.getTransition(session.state, 'other');
+
+      if (!transition) {
+        console.warn(`⚠️ No "other" transition defined for state ${session.state}`);
+        return;
+      }
+
+      console.log(`🧭 Flow: ${session.state} --other--> ${transition.to}`);
+      await delegateToFlowState(message, transition.to, body, { clarification: null });
+      return;
+    }
+
+    const candidate = ambiguity.candidates[choice];
+    console.log(`❓ Clarified ${ambiguity.kind}: ${candidate.date || ''} ${candidate.time || ''}`);
+
+    const updatedSession = createOrUpdateSession(message.from, { clarification: null });
+    await continueWithReading(message, updatedSession, { ...known, ...pickReading(candidate) }, remaining, `${originalText} + ${body}`);
+
+  } catch (error) {
+    console.error('Error in handleClarification:', error);
+    await replyToContact(message, getContactMessage(message.from, 'messages.errors.parseError'));
+  }
+}
+
+// Handle the call type question: a number from the list or a reply naming the type
+async function handleCallTypeResponse(message, session, body) {
+  try {
+    const choice = parseOptionChoice(body, callTypes.types.length);
+    const callType = choice !== null ? callTypes.types[choice] : callTypes.inferType(body);
+
+    if (!callType) {
+      await advanceFlow(message, session, 'unclear');
+      return;
+    }
+
+    console.log(`📞 Call type chosen: ${callType.id}`);
+    await advanceFlow(message, session, 'chosen', { callType: callType.id });
+
+  } catch (error) {
+    console.error('Error in handleCallTypeResponse:', error);
+    await replyToContact(message, getContactMessage(message.from, 'messages.errors.callTypeNeeded', { callTypeOptions: callTypes.describeOptions() }));
+  }
+}
+
+// Step handlers for each step type used in the conversation flow file
+const FLOW_STEP_HANDLERS = {
+  yes_no: handleYesNoResponse,
+  free_text: handleFreeTextResponse,
+  call_type: handleCallTypeResponse,
+  qualification: handleQualificationResponse,
+  call_time: handleCallTimeResponse,
+  date: handleDateResponse,
+  time: handleTimeResponse,
+  confirm_schedule: handleScheduleConfirmation,
+  slot_choice: handleSlotChoice,
+  clarification: handleClarification,
+  confirm_cancellation: handleCancellationConfirmation,
+  reminder_reply: handleReminderReply,
+  handoff: null, // An operator answers these contacts (see handleOperatorCommand)
+  terminal: null // Completed conversations ignore further messages
+};
+
+// Removed old conversation handlers - using simplified flow with sentiment analysis
+
+// Start the client when run directly; tests require this module and drive the simulator themselves,
+// so process handlers and timers are only set up here
+if (require.main === module) {
+  setupEmergencySave();
+
+  // Add monitoring to track save performance
+  setInterval(() => {
+    const activeSessions = userSessions.size;
+    const saveQueueSize = sessionManager.saveQueue.size;
+    
+    // Log save frequency statistics
+    if (sessionManager.lastSaveTime) {
+      const timeSinceLastSave = new Date() - sessionManager.lastSaveTime;
+    }
+  }, 60000); // Log every minute
+
+  client.initialize();
+  console.log('WhatsApp Bot is initializing...');
+
+  // The GUI starts the bot with a stdin pipe and sends operator actions down it
+  readline.createInterface({ input: process.stdin }).on('line', async (line) => {
+    if (!line.trim().startsWith('{')) {
+      return;
+    }
+    try {
+      const command = JSON.parse(line);
+      if (command.action.endsWith('-dead-letter')) {
+        handleQueueCommand(command);
+      } else {
+        await handleOperatorCommand(command);
+      }
+    } catch (error) {
+      console.error('Error handling operator command:', error);
+    }
+  });
+}
 
-console.log('WhatsApp Bot is initializing...');
\ No newline at end of file
+module.exports = {
+  client,
+  userSessions,
+  reloadTargetNumbers,
+  CONVERSATION_STATES,
+  conversationFlow,
+  createOrUpdateSession,
+  advanceFlow,
+  enterFlowState,
+  handleBookingChangeRequest,
+  handleCancellationConfirmation,
+  handleReminderReply,
+  reminderScheduler,
+  followUpScheduler,
+  outboundQueue,
+  deliveryTracker,
+  businessHours,
+  agentRoster,
+  callTypes,
+  icsExporter,
+  exportCalendar,
+  busyCalendar,
+  getContactTimeZone,
+  formatScheduleDateTime,
+  loadCallSchedules,
+  getActiveBooking,
+  handleYesNoResponse,
+  handleFreeTextResponse,
+  handleCallTimeResponse,
+  handleDateResponse,
+  handleTimeResponse,
+  handleScheduleConfirmation,
+  handoffDesk,
+  doNotContactList,
+  transcriptStore,
+  declineReasons,
+  handOffToOperator,
+  handleOperatorCommand,
+  handleQueueCommand
+};
\ No newline at end of file
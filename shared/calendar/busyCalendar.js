@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const chokidar = require('chokidar');
+const icsParser = require('./icsParser');
+
+/**
+ * External busy times (other meetings) read from local .ics files.
+ *
+ * Settings (busyCalendars in config.json):
+ *   sources: [{ path: 'busy_calendars' },                               // blocks everyone
+ *             { path: 'busy_calendars/priya.ics', agentId: 'priya' }]  // blocks one agent
+ *   horizonDays: how far ahead recurring events are expanded at a time
+ *
+ * A source path may be a single .ics file or a directory of them; relative paths are
+ * resolved against baseDir. Missing paths are fine and picked up once they appear.
+ */
+class BusyCalendar {
+    constructor(settings = {}, baseDir = process.cwd()) {
+        this.sources = (settings.sources || []).map(source => ({
+            ...source,
+            path: path.resolve(baseDir, source.path)
+        }));
+        this.horizonDays = settings.horizonDays || 120;
+        this.events = [];
+        this.cache = null;
+        this.watcher = null;
+    }
+
+    /**
+     * .ics files of a source (the file itself, or the .ics files in a directory)
+     * @private
+     */
+    getSourceFiles(source) {
+        if (!fs.existsSync(source.path)) {
+            return [];
+        }
+
+        if (fs.statSync(source.path).isDirectory()) {
+            return fs.readdirSync(source.path)
+                .filter(file => file.toLowerCase().endsWith('.ics'))
+                .map(file => path.join(source.path, file));
+        }
+        return [source.path];
+    }
+
+    /**
+     * (Re)load all sources
+     * @returns {number} Number of busy events loaded
+     */
+    load() {
+        const events = [];
+
+        for (const source of this.sources) {
+            for (const file of this.getSourceFiles(source)) {
+                try {
+                    const fileEvents = icsParser.parse(fs.readFileSync(file, 'utf8'));
+                    events.push(...fileEvents.map(event => ({ ...event, agentId: source.agentId || null, file })));
+                } catch (error) {
+                    console.error(`❌ Error reading busy calendar ${file}:`, error.message);
+                }
+            }
+        }
+
+        this.events = events;
+        this.cache = null;
+        console.log(`📆 Loaded ${events.length} busy event(s) from ${this.sources.length} calendar source(s)`);
+        return events.length;
+    }
+
+    /**
+     * Reload sources whenever a calendar file is added, changed or removed
+     */
+    watch() {
+        if (this.watcher || this.sources.length === 0) {
+            return;
+        }
+
+        this.watcher = chokidar.watch(this.sources.map(source => source.path), {
+            persistent: true,
+            ignoreInitial: true
+        });
+
+        const reload = (filePath) => {
+            if (filePath.toLowerCase().endsWith('.ics')) {
+                console.log(`\n🔄 Busy calendar ${path.basename(filePath)} changed, reloading...`);
+                this.load();
+            }
+        };
+
+        this.watcher.on('add', reload);
+        this.watcher.on('change', reload);
+        this.watcher.on('unlink', reload);
+    }
+
+    /**
+     * Stop watching the calendar files
+     */
+    close() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Busy blocks overlapping a time range. Recurring events are expanded once per horizon
+     * window and cached until the window no longer covers the query or the files change.
+     * @param {Date} start - Start of the range
+     * @param {Date} end - End of the range
+     * @returns {Array<{start: Date, end: Date, agentId: string|null, summary: string}>}
+     */
+    getBusyBlocks(start, end) {
+        if (this.events.length === 0) {
+            return [];
+        }
+
+        if (!this.cache || start < this.cache.from || end > this.cache.to) {
+            const from = new Date(start.getTime() - 24 * 60 * 60 * 1000);
+            const to = new Date(Math.max(end.getTime(), start.getTime() + this.horizonDays * 24 * 60 * 60 * 1000));
+
+            this.cache = {
+                from,
+                to,
+                blocks: this.events.flatMap(event =>
+                    icsParser.expand(event, from, to).map(block => ({ ...block, agentId: event.agentId, summary: event.summary }))
+                )
+            };
+        }
+
+        return this.cache.blocks.filter(block => block.start < end && block.end > start);
+    }
+}
+
+module.exports = BusyCalendar;
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const timeZoneUtils = require('../utils/timeZoneUtils');
+
+const PRODUCT_ID = '-//Verses//WhatsApp Scheduler//EN';
+const UID_DOMAIN = 'verses-wp-scheduler';
+
+/**
+ * Exports bookings from call_schedule.json as iCalendar (.ics) files.
+ *
+ * Writes one file per booking (<phone>.ics, METHOD:REQUEST, or METHOD:CANCEL once the
+ * booking is cancelled) and a combined feed (calls.ics) that calendar apps can subscribe to.
+ *
+ * Options:
+ *   outputDir: directory for the generated files
+ *   calendarName: name shown for the combined feed
+ *   feedFile: file name of the combined feed (default calls.ics)
+ *   callTypes: CallTypes instance used for durations and names
+ */
+class IcsExporter {
+    constructor(options = {}) {
+        this.outputDir = options.outputDir;
+        this.calendarName = options.calendarName || 'Booked calls';
+        this.feedFile = options.feedFile || 'calls.ics';
+        this.callTypes = options.callTypes || null;
+    }
+
+    /**
+     * Escape a text value (RFC 5545 section 3.3.11)
+     * @private
+     */
+    escapeText(value) {
+        return String(value == null ? '' : value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+     * @private
+     */
+    foldLine(line) {
+        const chunks = [];
+        let current = '';
+
+        for (const char of line) {
+            const limit = chunks.length === 0 ? 75 : 74; // continuation lines start with a space
+            if (Buffer.byteLength(current + char) > limit) {
+                chunks.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        chunks.push(current);
+
+        return chunks.join('\r\n ');
+    }
+
+    /**
+     * Format a moment as a UTC date-time ("20261021T053000Z")
+     * @private
+     */
+    formatDateTime(dateTime) {
+        return moment(dateTime).utc().format('YYYYMMDD[T]HHmmss[Z]');
+    }
+
+    /**
+     * Stable UID for a contact's booking, so reschedules and cancellations update the same event
+     */
+    getUid(phoneNumber) {
+        return `call-${phoneNumber}@${UID_DOMAIN}`;
+    }
+
+    /**
+     * VEVENT lines for a booking
+     * @param {string} phoneNumber - Contact phone number (call_schedule.json key)
+     * @param {Object} booking - Booking from call_schedule.json
+     * @param {boolean} [forTeam] - Include the lead's qualification answers (the combined feed
+     *   is for the team; per-booking files are sent to the contact)
+     * @returns {Array<string>} Unfolded content lines
+     */
+    buildEvent(phoneNumber, booking, forTeam = false) {
+        // startUtc is exact; older bookings only have date/time in business time
+        const start = booking.startUtc ? moment(booking.startUtc) : moment(`${booking.date} ${booking.time}`, 'DD/MM/YYYY HH:mm');
+        const callType = this.callTypes ? this.callTypes.getType(booking.callType) : null;
+        const durationMinutes = booking.durationMinutes || (callType ? callType.durationMinutes : 15);
+        const lastModified = booking.updatedAt || booking.createdAt || new Date().toISOString();
+        const cancelled = booking.status === 'cancelled';
+
+        const description = [
+            `Phone: +${phoneNumber}`,
+            `Original request: ${booking.originalRequest || booking.originalText || '-'}`,
+            `Status: ${booking.status || 'scheduled'}`
+        ];
+        if (booking.contactTimeZone && timeZoneUtils.isValidTimeZone(booking.contactTimeZone)) {
+            const contactTime = timeZoneUtils.toZonedMoment(start.toDate(), booking.contactTimeZone);
+            description.push(`Contact's local time: ${contactTime.format('dddd, MMMM Do [at] h:mm A')} (${booking.contactTimeZone})`);
+        }
+        if (booking.agentName || booking.agentId) {
+            description.push(`Agent: ${booking.agentName || booking.agentId}`);
+        }
+        if (forTeam && booking.qualification) {
+            for (const [question, answer] of Object.entries(booking.qualification)) {
+                description.push(`${question}: ${answer}`);
+            }
+        }
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:${this.getUid(phoneNumber)}`,
+            // Sequence must grow with every change, the modification time does that
+            `SEQUENCE:${moment(lastModified).unix()}`,
+            `DTSTAMP:${this.formatDateTime(new Date())}`,
+            `LAST-MODIFIED:${this.formatDateTime(lastModified)}`,
+            `DTSTART:${this.formatDateTime(start)}`,
+            `DTEND:${this.formatDateTime(start.clone().add(durationMinutes, 'minutes'))}`,
+            `SUMMARY:${this.escapeText(`${callType ? callType.name : 'Call'} with +${phoneNumber}`)}`,
+            `DESCRIPTION:${this.escapeText(description.join('\n'))}`,
+            `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+            'END:VEVENT'
+        ];
+    }
+
+    /**
+     * Wrap events in a VCALENDAR and serialize it
+     * @param {Array<Array<string>>} events - Results of buildEvent
+     * @param {string} method - iTIP method (PUBLISH, REQUEST, CANCEL)
+     * @returns {string} .ics file content
+     */
+    buildCalendar(events, method = 'PUBLISH') {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            `METHOD:${method}`,
+            `X-WR-CALNAME:${this.escapeText(this.calendarName)}`,
+            ...events.flat(),
+            'END:VCALENDAR'
+        ];
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * .ics content for a single booking (METHOD:CANCEL when the booking is cancelled)
+     */
+    buildBookingCalendar(phoneNumber, booking) {
+        const method = booking.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+        return this.buildCalendar([this.buildEvent(phoneNumber, booking)], method);
+    }
+
+    /**
+     * Path of the .ics file for a booking
+     */
+    getBookingFilePath(phoneNumber) {
+        return path.join(this.outputDir, `${phoneNumber}.ics`);
+    }
+
+    /**
+     * Write the .ics file for a single booking
+     * @returns {string} Path of the written file
+     */
+    writeBookingFile(phoneNumber, booking) {
+        fs.mkdirSync(this.outputDir, { recursive: true });
+
+        const filePath = this.getBookingFilePath(phoneNumber);
+        fs.writeFileSync(filePath, this.buildBookingCalendar(phoneNumber, booking));
+        return filePath;
+    }
+
+    /**
+     * Regenerate every per-booking file and the combined feed from call_schedule.json data
+     * @param {Object} allSchedules - Bookings keyed by phone number
+     * @returns {number} Number of bookings exported
+     */
+    exportAll(allSchedules) {
+        fs.mkdirSync(this.outputDir, { recursive: true });
+
+        const entries = Object.entries(allSchedules)
+            .filter(([, booking]) => moment(`${booking.date} ${booking.time}`, 'DD/MM/YYYY HH:mm').isValid());
+
+        for (const [phoneNumber, booking] of entries) {
+            this.writeBookingFile(phoneNumber, booking);
+        }
+
+        // Cancelled bookings stay in the feed as STATUS:CANCELLED so subscribers drop them
+        const events = entries.map(([phoneNumber, booking]) => this.buildEvent(phoneNumber, booking, true));
+        fs.writeFileSync(path.join(this.outputDir, this.feedFile), this.buildCalendar(events, 'PUBLISH'));
+
+        return entries.length;
+    }
+}
+
+module.exports = IcsExporter;
@@ -0,0 +1,384 @@
+const moment = require('moment');
+const timeZoneUtils = require('../utils/timeZoneUtils');
+
+const WEEKDAY_CODES = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+const MAX_RECURRENCE_PERIODS = 10000; // guard against runaway rules
+
+/**
+ * Minimal iCalendar (RFC 5545) reader for busy times: VEVENTs with DTSTART/DTEND/DURATION,
+ * TZID, all-day dates, RRULE (DAILY, WEEKLY, MONTHLY, YEARLY with INTERVAL, COUNT, UNTIL,
+ * BYDAY, BYMONTHDAY), EXDATE and RECURRENCE-ID overrides.
+ */
+class IcsParser {
+    /**
+     * Parse .ics content into events
+     * @param {string} text - .ics file content
+     * @returns {Array<Object>} Events ({ uid, summary, start, durationMs, zone, wallStart, rrule, exdates })
+     */
+    parse(text) {
+        // Unfold continuation lines before splitting
+        const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const events = [];
+        const components = [];
+        let current = null;
+
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            const property = this.parseLine(line);
+
+            if (property.name === 'BEGIN') {
+                components.push(property.value);
+                if (property.value === 'VEVENT') {
+                    current = { properties: [] };
+                }
+                continue;
+            }
+
+            if (property.name === 'END') {
+                components.pop();
+                if (property.value === 'VEVENT' && current) {
+                    const event = this.buildEvent(current.properties);
+                    if (event) {
+                        events.push(event);
+                    }
+                    current = null;
+                }
+                continue;
+            }
+
+            // Ignore properties of nested components such as VALARM
+            if (current && components[components.length - 1] === 'VEVENT') {
+                current.properties.push(property);
+            }
+        }
+
+        return this.applyOverrides(events);
+    }
+
+    /**
+     * Split a content line into name, parameters and value
+     * @private
+     */
+    parseLine(line) {
+        const colonIndex = this.findValueSeparator(line);
+        const head = line.slice(0, colonIndex);
+        const value = line.slice(colonIndex + 1);
+        const [name, ...paramParts] = head.split(';');
+        const params = {};
+
+        for (const part of paramParts) {
+            const [key, paramValue = ''] = part.split('=');
+            params[key.toUpperCase()] = paramValue.replace(/^"|"$/g, '');
+        }
+
+        return { name: name.toUpperCase(), params, value };
+    }
+
+    /**
+     * Index of the colon separating name/params from the value (colons may appear in quoted params)
+     * @private
+     */
+    findValueSeparator(line) {
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') {
+                quoted = !quoted;
+            } else if (line[i] === ':' && !quoted) {
+                return i;
+            }
+        }
+        return line.length;
+    }
+
+    /**
+     * Parse a DATE or DATE-TIME value into its wall-clock time and zone
+     * @private
+     * @returns {{wall: moment.Moment, zone: string|null, allDay: boolean}|null}
+     *   wall is a UTC-mode moment holding the wall-clock fields; zone is 'UTC', an IANA
+     *   zone, or null for floating (local) times
+     */
+    parseDateValue(value, params = {}) {
+        const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!match) {
+            return null;
+        }
+
+        const [, year, month, day, hour = '00', minute = '00', second = '00', utc] = match;
+        const wall = moment.utc([+year, +month - 1, +day, +hour, +minute, +second]);
+        const allDay = params.VALUE === 'DATE' || match[4] === undefined;
+
+        let zone = null;
+        if (utc) {
+            zone = 'UTC';
+        } else if (params.TZID && !allDay) {
+            if (timeZoneUtils.isValidTimeZone(params.TZID)) {
+                zone = params.TZID;
+            } else {
+                console.warn(`⚠️ Unknown TZID "${params.TZID}" in calendar file, treating time as local`);
+            }
+        }
+
+        return { wall, zone, allDay };
+    }
+
+    /**
+     * Convert wall-clock time in a zone to an instant (ms since epoch)
+     */
+    toInstant(wall, zone) {
+        if (zone === 'UTC') {
+            return wall.valueOf();
+        }
+
+        const wallTime = {
+            year: wall.year(), month: wall.month() + 1, day: wall.date(),
+            hour: wall.hours(), minute: wall.minutes(), second: wall.seconds()
+        };
+
+        if (zone) {
+            return timeZoneUtils.fromZonedTime(wallTime, zone).getTime();
+        }
+        return new Date(wallTime.year, wallTime.month - 1, wallTime.day, wallTime.hour, wallTime.minute, wallTime.second).getTime();
+    }
+
+    /**
+     * Parse a DURATION value (e.g. "PT1H30M", "P1D") into milliseconds
+     * @private
+     */
+    parseDuration(value) {
+        const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!match) {
+            return 0;
+        }
+
+        const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+        const ms = ((((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds) * 1000;
+        return sign === '-' ? -ms : ms;
+    }
+
+    /**
+     * Parse an RRULE value
+     * @private
+     */
+    parseRule(value, zone) {
+        const parts = {};
+        for (const part of value.split(';')) {
+            const [key, partValue] = part.split('=');
+            parts[key.toUpperCase()] = partValue;
+        }
+
+        const until = parts.UNTIL ? this.parseDateValue(parts.UNTIL) : null;
+
+        return {
+            freq: parts.FREQ,
+            interval: parseInt(parts.INTERVAL, 10) || 1,
+            count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+            // A date-only or floating UNTIL is in the event's own zone
+            until: until ? this.toInstant(until.wall.clone().endOf(until.allDay ? 'day' : 'second'), until.zone || zone) : null,
+            byDay: parts.BYDAY
+                ? parts.BYDAY.split(',').map(code => {
+                    const dayMatch = code.match(/^([+-]?\d+)?([A-Z]{2})$/);
+                    return dayMatch ? { ordinal: dayMatch[1] ? parseInt(dayMatch[1], 10) : null, weekday: WEEKDAY_CODES[dayMatch[2]] } : null;
+                }).filter(Boolean)
+                : [],
+            byMonthDay: parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(Number) : []
+        };
+    }
+
+    /**
+     * Build an event from its properties
+     * @private
+     */
+    buildEvent(properties) {
+        const get = name => properties.find(property => property.name === name);
+        const dtStart = get('DTSTART');
+        const start = dtStart ? this.parseDateValue(dtStart.value, dtStart.params) : null;
+
+        if (!start) {
+            return null;
+        }
+
+        const startInstant = this.toInstant(start.wall, start.zone);
+        const dtEnd = get('DTEND');
+        const end = dtEnd ? this.parseDateValue(dtEnd.value, dtEnd.params) : null;
+        const duration = get('DURATION');
+
+        let durationMs;
+        if (end) {
+            durationMs = this.toInstant(end.wall, end.zone) - startInstant;
+        } else if (duration) {
+            durationMs = this.parseDuration(duration.value);
+        } else {
+            // Without an end, all-day events last the day and timed events are instants
+            durationMs = start.allDay ? 24 * 60 * 60 * 1000 : 0;
+        }
+
+        const exdates = new Set();
+        for (const property of properties.filter(p => p.name === 'EXDATE')) {
+            for (const value of property.value.split(',')) {
+                const exdate = this.parseDateValue(value, property.params);
+                if (exdate) {
+                    exdates.add(this.toInstant(exdate.wall, exdate.zone || start.zone));
+                }
+            }
+        }
+
+        const rrule = get('RRULE');
+        const recurrenceId = get('RECURRENCE-ID');
+        const recurrenceDate = recurrenceId ? this.parseDateValue(recurrenceId.value, recurrenceId.params) : null;
+        const status = get('STATUS');
+        const transparency = get('TRANSP');
+
+        return {
+            uid: get('UID') ? get('UID').value : null,
+            summary: get('SUMMARY') ? get('SUMMARY').value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ') : '',
+            start: new Date(startInstant),
+            wallStart: start.wall,
+            zone: start.zone,
+            allDay: start.allDay,
+            durationMs: Math.max(durationMs, 0),
+            rrule: rrule ? this.parseRule(rrule.value, start.zone) : null,
+            exdates,
+            recurrenceId: recurrenceDate ? this.toInstant(recurrenceDate.wall, recurrenceDate.zone || start.zone) : null,
+            cancelled: status ? status.value.toUpperCase() === 'CANCELLED' : false,
+            free: transparency ? transparency.value.toUpperCase() === 'TRANSPARENT' : false
+        };
+    }
+
+    /**
+     * Apply RECURRENCE-ID overrides to their recurring masters and drop events that
+     * don't block time (cancelled or marked free)
+     * @private
+     */
+    applyOverrides(events) {
+        for (const override of events.filter(event => event.recurrenceId !== null)) {
+            const master = events.find(event => event.uid === override.uid && event.rrule && event.recurrenceId === null);
+            if (master) {
+                master.exdates.add(override.recurrenceId);
+            }
+        }
+
+        return events.filter(event => !event.cancelled && !event.free);
+    }
+
+    /**
+     * Candidate occurrence starts (wall clock) for one period of a recurrence rule
+     * @private
+     */
+    getPeriodCandidates(event, period) {
+        const rule = event.rrule;
+        const base = event.wallStart;
+        const steps = period * rule.interval;
+        const atBaseTime = day => day.clone().set({ hour: base.hours(), minute: base.minutes(), second: base.seconds() });
+
+        switch (rule.freq) {
+            case 'DAILY': {
+                const day = base.clone().add(steps, 'days');
+                return rule.byDay.length === 0 || rule.byDay.some(d => d.weekday === day.isoWeekday()) ? [day] : [];
+            }
+
+            case 'WEEKLY': {
+                const weekStart = base.clone().startOf('isoWeek').add(steps, 'weeks');
+                const weekdays = rule.byDay.length > 0 ? rule.byDay.map(d => d.weekday) : [base.isoWeekday()];
+                return weekdays
+                    .map(weekday => atBaseTime(weekStart.clone().isoWeekday(weekday)))
+                    .sort((a, b) => a.valueOf() - b.valueOf());
+            }
+
+            case 'MONTHLY': {
+                const month = base.clone().startOf('month').add(steps, 'months');
+                const daysInMonth = month.daysInMonth();
+                let days;
+
+                if (rule.byDay.length > 0) {
+                    // e.g. 2MO = second Monday, -1FR = last Friday, MO = every Monday
+                    days = rule.byDay.flatMap(({ ordinal, weekday }) => {
+                        const matching = [];
+                        for (let day = 1; day <= daysInMonth; day++) {
+                            if (month.clone().date(day).isoWeekday() === weekday) {
+                                matching.push(day);
+                            }
+                        }
+                        if (ordinal === null) {
+                            return matching;
+                        }
+                        const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+                        return day ? [day] : [];
+                    });
+                } else {
+                    const monthDays = rule.byMonthDay.length > 0 ? rule.byMonthDay : [base.date()];
+                    days = monthDays
+                        .map(day => (day > 0 ? day : daysInMonth + day + 1))
+                        .filter(day => day >= 1 && day <= daysInMonth); // e.g. no 31st in April
+                }
+
+                return [...new Set(days)]
+                    .sort((a, b) => a - b)
+                    .map(day => atBaseTime(month.clone().date(day)));
+            }
+
+            case 'YEARLY': {
+                const candidate = moment.utc([base.year() + steps, base.month(), base.date(), base.hours(), base.minutes(), base.seconds()]);
+                return candidate.isValid() ? [candidate] : []; // 29 February only in leap years
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Occurrences of an event that overlap a time range
+     * @param {Object} event - Event from parse()
+     * @param {Date} rangeStart - Start of the range
+     * @param {Date} rangeEnd - End of the range
+     * @returns {Array<{start: Date, end: Date}>} Busy blocks
+     */
+    expand(event, rangeStart, rangeEnd) {
+        const from = rangeStart.getTime();
+        const to = rangeEnd.getTime();
+        const occurrences = [];
+        const addIfOverlapping = start => {
+            if (start < to && start + event.durationMs > from && !event.exdates.has(start)) {
+                occurrences.push({ start: new Date(start), end: new Date(start + event.durationMs) });
+            }
+        };
+
+        if (!event.rrule) {
+            addIfOverlapping(event.start.getTime());
+            return occurrences;
+        }
+
+        const rule = event.rrule;
+        let count = 0;
+
+        for (let period = 0; period < MAX_RECURRENCE_PERIODS; period++) {
+            const candidates = this.getPeriodCandidates(event, period);
+
+            if (candidates === null) {
+                console.warn(`⚠️ Unsupported RRULE frequency "${rule.freq}" in calendar event "${event.summary}"`);
+                break;
+            }
+
+            for (const wall of candidates) {
+                if (wall.isBefore(event.wallStart)) {
+                    continue; // Earlier days in the first week/month than DTSTART
+                }
+
+                const start = this.toInstant(wall, event.zone);
+                if ((rule.until !== null && start > rule.until) || (rule.count !== null && count >= rule.count) || start >= to) {
+                    return occurrences;
+                }
+
+                count++;
+                addIfOverlapping(start);
+            }
+        }
+
+        return occurrences;
+    }
+}
+
+module.exports = new IcsParser();
@@ -43,14 +43,16 @@ class ConfigLoader {
      * Get a message from the configuration with variable substitution
      * @param {string} messagePath - Dot notation path to the message (e.g., 'messages.welcome.initial')
      * @param {Object} variables - Variables to substitute in the message
+     * @param {string} language - Contact's language; messages are looked up in its catalog
+     *                            (messages.<language>.welcome.initial), then the default language's
      * @returns {string} The formatted message
      */
-    getMessage(messagePath, variables = {}) {
+    getMessage(messagePath, variables = {}, language = null) {
         if (!this.currentConfig) {
             throw new Error('No configuration loaded. Call loadConfig() first.');
         }
 
-        const message = this.getNestedValue(this.currentConfig, messagePath);
+        const message = this.resolveMessage(messagePath, language);
         if (!message) {
             console.warn(`Message not found at path: ${messagePath}`);
             return 'Message not found';
@@ -78,6 +80,21 @@ class ConfigLoader {
         return number;
     }
 
+    /**
+     * Get an arbitrary setting (object, array, string or number) from the configuration
+     * @param {string} settingPath - Dot notation path to the setting
+     * @param {*} defaultValue - Value returned when the setting is missing
+     * @returns {*} The configuration value
+     */
+    getSetting(settingPath, defaultValue = null) {
+        if (!this.currentConfig) {
+            throw new Error('No configuration loaded. Call loadConfig() first.');
+        }
+
+        const value = this.getNestedValue(this.currentConfig, settingPath);
+        return value === undefined || value === null ? defaultValue : value;
+    }
+
     /**
      * Reload configuration
      */
@@ -86,6 +103,28 @@ class ConfigLoader {
         return this.loadConfig();
     }
 
+    /**
+     * Find a message in the language catalogs, falling back to the default language and then
+     * to the path as given (configs without per-language catalogs)
+     * @private
+     */
+    resolveMessage(messagePath, language) {
+        const [root, ...rest] = messagePath.split('.');
+
+        if (root === 'messages') {
+            const defaultLanguage = this.currentConfig.languages?.default || 'en';
+
+            for (const code of [language, defaultLanguage].filter(Boolean)) {
+                const message = this.getNestedValue(this.currentConfig, ['messages', code, ...rest].join('.'));
+                if (message) {
+                    return message;
+                }
+            }
+        }
+
+        return this.getNestedValue(this.currentConfig, messagePath);
+    }
+
     /**
      * Helper method to get nested object values using dot notation
      * @private
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Numbers that opted out of being contacted. The bot checks it before every message it
+ * sends and never welcomes these numbers again, even when they are back in the target list.
+ *
+ * Settings (optOut in config.json):
+ *   file: where the list is stored, relative to baseDir
+ *
+ * File layout: { "<phone>": { optedOutAt, text } } - text is the reply that opted out
+ */
+class DoNotContactList {
+    constructor(settings = {}, baseDir = process.cwd()) {
+        this.filePath = path.resolve(baseDir, settings.file || 'do_not_contact.json');
+        this.entries = {};
+    }
+
+    /**
+     * Load the list saved by a previous run
+     * @returns {number} Number of opted-out numbers
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            }
+        } catch (error) {
+            console.error(`❌ Error reading do-not-contact list from ${this.filePath}:`, error.message);
+            this.entries = {};
+        }
+        return Object.keys(this.entries).length;
+    }
+
+    /**
+     * Whether a number opted out
+     */
+    has(phoneNumber) {
+        return Boolean(this.entries[phoneNumber]);
+    }
+
+    /**
+     * Add a number to the list
+     * @param {string} phoneNumber - Contact phone number
+     * @param {string} text - The reply that opted out
+     */
+    add(phoneNumber, text = null) {
+        if (this.has(phoneNumber)) {
+            return;
+        }
+
+        this.entries[phoneNumber] = { optedOutAt: new Date().toISOString(), text };
+        fs.writeFileSync(this.filePath, JSON.stringify(this.entries, null, 2));
+    }
+}
+
+module.exports = DoNotContactList;
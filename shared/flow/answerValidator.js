@@ -0,0 +1,127 @@
+// Multipliers for amounts written the way leads type them ("50k", "2.5 lakh", "1 crore")
+const AMOUNT_SUFFIXES = {
+    k: 1000,
+    thousand: 1000,
+    hazar: 1000,
+    hazaar: 1000,
+    mil: 1000,
+    l: 100000,
+    lac: 100000,
+    lacs: 100000,
+    lakh: 100000,
+    lakhs: 100000,
+    cr: 10000000,
+    crore: 10000000,
+    crores: 10000000,
+    m: 1000000,
+    million: 1000000,
+    millones: 1000000,
+    millón: 1000000,
+    'हज़ार': 1000,
+    'हजार': 1000,
+    'लाख': 100000,
+    'करोड़': 10000000
+};
+
+/**
+ * Checks answers to qualification questions against the "answer" spec of their flow state:
+ *
+ *   { "type": "choice", "options": [{ "id": "postgraduate", "keywords": ["pg", "masters", "mba"] }] }
+ *       the option's number in the prompt, or one of its keywords
+ *   { "type": "number", "min": 0, "max": 5000000 }
+ *       a number, amounts like "2.5 lakh" or "50k" included
+ *   { "type": "text", "minLength": 2, "maxLength": 500 }
+ *       any reply of a sensible length
+ *
+ * Any spec may list "unknownKeywords" ("not sure", "pata nahi") that are accepted as the answer "unknown".
+ */
+class AnswerValidator {
+    /**
+     * Validate a reply
+     * @param {Object} spec - The state's answer spec
+     * @param {string} text - The lead's reply
+     * @returns {{valid: boolean, value: *}} The answer as stored (option id, number or text)
+     */
+    validate(spec = { type: 'text' }, text) {
+        const reply = text.trim();
+
+        if ((spec.unknownKeywords || []).some(keyword => this.containsKeyword(reply, keyword))) {
+            return { valid: true, value: 'unknown' };
+        }
+
+        switch (spec.type) {
+            case 'choice':
+                return this.validateChoice(spec, reply);
+            case 'number':
+                return this.validateNumber(spec, reply);
+            case 'text':
+                return this.validateText(spec, reply);
+            default:
+                throw new Error(`Unknown answer type: ${spec.type}`);
+        }
+    }
+
+    /**
+     * Whole-word keyword test - lookarounds instead of \b so accented and Devanagari keywords work
+     * @private
+     */
+    containsKeyword(text, keyword) {
+        const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escaped}(?![\\p{L}\\p{M}\\p{N}])`, 'u').test(text.toLowerCase());
+    }
+
+    /**
+     * @private
+     */
+    validateChoice(spec, reply) {
+        const options = spec.options || [];
+        const lowerReply = reply.toLowerCase();
+
+        const numberMatch = lowerReply.match(/^(?:option|number|no\.?|#)?\s*(\d{1,2})\s*[.)]?$/);
+        if (numberMatch) {
+            const option = options[parseInt(numberMatch[1], 10) - 1];
+            return option ? { valid: true, value: option.id } : { valid: false, value: null };
+        }
+
+        const option = options.find(candidate => (candidate.keywords || []).some(keyword => this.containsKeyword(lowerReply, keyword)));
+
+        return option ? { valid: true, value: option.id } : { valid: false, value: null };
+    }
+
+    /**
+     * @private
+     */
+    validateNumber(spec, reply) {
+        const match = reply.toLowerCase()
+            .replace(/[०-९]/g, digit => String('०१२३४५६७८९'.indexOf(digit)))
+            .replace(/(\d),(?=\d)/g, '$1')
+            .match(/(\d+(?:\.\d+)?)\s*([\p{L}\p{M}]+)?/u);
+
+        if (!match) {
+            return { valid: false, value: null };
+        }
+
+        const multiplier = (match[2] && AMOUNT_SUFFIXES[match[2]]) || 1;
+        const value = Math.round(parseFloat(match[1]) * multiplier);
+
+        if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+            return { valid: false, value: null };
+        }
+        return { valid: true, value };
+    }
+
+    /**
+     * @private
+     */
+    validateText(spec, reply) {
+        const minLength = spec.minLength || 1;
+        const maxLength = spec.maxLength || 1000;
+
+        if (reply.length < minLength || reply.length > maxLength) {
+            return { valid: false, value: null };
+        }
+        return { valid: true, value: reply };
+    }
+}
+
+module.exports = AnswerValidator;
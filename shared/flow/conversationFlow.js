@@ -0,0 +1,161 @@
+const fs = require('fs');
+
+/**
+ * Step types the bot knows how to interpret. Each state in the flow file picks one.
+ */
+const STEP_TYPES = [
+    'yes_no',           // outcomes: positive | negative | neutral
+    'free_text',        // outcomes: answered (answer stored in session.data[saveAs], categorized with "categorize")
+    'call_type',        // outcomes: chosen | unclear
+    'qualification',    // outcomes: answered | invalid (answer checked against "answer", stored in session.qualification[saveAs])
+    'call_time',        // outcomes: parsed | window | immediate | needs_date | needs_time | unparsed | past | outside_hours | conflict | window_full | ambiguous
+    'date',             // outcomes: parsed | window | unparsed | past | outside_hours | window_full | ambiguous
+    'time',             // outcomes: parsed | window | unparsed | past | outside_hours | conflict | window_full | ambiguous
+    'confirm_schedule', // outcomes: positive | negative | neutral | conflict
+    'slot_choice',      // outcomes: chosen | other (the "other" state handles the reply itself)
+    'clarification',    // outcomes: parsed | immediate | needs_date | needs_time | past | outside_hours | conflict | ambiguous | other
+    'confirm_cancellation', // outcomes: positive | negative | neutral
+    'reminder_reply',   // outcomes: confirmed | unclear | no_booking
+    'handoff',          // no outcomes, an operator replies until they hand the conversation back
+    'terminal'          // no outcomes, incoming messages are ignored
+];
+
+/**
+ * Declarative conversation flow loaded from a JSON flow file.
+ *
+ * States are keyed by the same names stored in sessions.json so existing
+ * sessions resume where they left off. Transitions map an outcome reported by
+ * a step handler to a target state, optionally with a config message path that
+ * replaces the target state's prompt:
+ *
+ *   "transitions": { "positive": "asking_call_time",
+ *                    "negative": { "to": "completed", "message": "messages.success.politeEnd" } }
+ *
+ * "intents" map events from outside the normal flow (cancel and reschedule
+ * requests, booking reminders, handoffs to a human) to the state a conversation
+ * (re-)enters.
+ */
+class ConversationFlow {
+    constructor(flowPath) {
+        this.flowPath = flowPath;
+        this.definition = null;
+    }
+
+    /**
+     * Load and validate the flow file
+     * @returns {Object} The flow definition
+     */
+    loadFlow() {
+        if (this.definition) {
+            return this.definition;
+        }
+
+        if (!fs.existsSync(this.flowPath)) {
+            throw new Error(`Conversation flow file not found at: ${this.flowPath}`);
+        }
+
+        const definition = JSON.parse(fs.readFileSync(this.flowPath, 'utf8'));
+        this.validate(definition);
+        this.definition = definition;
+
+        console.log(`✅ Conversation flow loaded from: ${this.flowPath} (${Object.keys(definition.states).length} states)`);
+        return definition;
+    }
+
+    /**
+     * Reload the flow file
+     */
+    reloadFlow() {
+        this.definition = null;
+        return this.loadFlow();
+    }
+
+    /**
+     * Check that the initial state, step types and transition targets all exist
+     * @private
+     */
+    validate(definition) {
+        const states = definition.states || {};
+
+        if (!states[definition.initialState]) {
+            throw new Error(`Conversation flow initial state "${definition.initialState}" is not defined`);
+        }
+
+        for (const [name, state] of Object.entries(states)) {
+            if (!STEP_TYPES.includes(state.type)) {
+                throw new Error(`Conversation flow state "${name}" has unknown type "${state.type}"`);
+            }
+
+            // "skipWhenSet" states need somewhere to go when they are skipped
+            if (state.skipWhenSet && !(state.transitions || {}).skipped) {
+                throw new Error(`Conversation flow state "${name}" has skipWhenSet but no "skipped" transition`);
+            }
+
+            for (const [outcome, transition] of Object.entries(state.transitions || {})) {
+                const target = typeof transition === 'string' ? transition : transition.to;
+                if (!states[target]) {
+                    throw new Error(`Conversation flow state "${name}" transitions on "${outcome}" to unknown state "${target}"`);
+                }
+            }
+        }
+
+        for (const [intent, target] of Object.entries(definition.intents || {})) {
+            if (!states[target]) {
+                throw new Error(`Conversation flow intent "${intent}" points to unknown state "${target}"`);
+            }
+        }
+    }
+
+    /**
+     * Get a state definition by name
+     * @param {string} stateName - State name as stored in the session
+     * @returns {Object|null} The state definition including its name
+     */
+    getState(stateName) {
+        const state = this.loadFlow().states[stateName];
+        return state ? { name: stateName, ...state } : null;
+    }
+
+    /**
+     * Get the state new conversations start in
+     * @returns {Object} The initial state definition
+     */
+    getInitialState() {
+        return this.getState(this.loadFlow().initialState);
+    }
+
+    /**
+     * Get the state a finished conversation re-enters for an intent
+     * @param {string} intent - Intent name (e.g. 'cancel', 'reschedule')
+     * @returns {Object|null} The state definition, or null if the intent is not defined
+     */
+    getIntentState(intent) {
+        const target = this.loadFlow().intents?.[intent];
+        return target ? this.getState(target) : null;
+    }
+
+    /**
+     * Resolve the transition taken from a state for an outcome
+     * @param {string} stateName - Current state
+     * @param {string} outcome - Outcome reported by the step handler
+     * @returns {{to: string, message: (string|null)}|null} The transition, or null if none is defined
+     */
+    getTransition(stateName, outcome) {
+        const state = this.getState(stateName);
+        const transition = state?.transitions?.[outcome];
+
+        if (!transition) {
+            return null;
+        }
+
+        if (typeof transition === 'string') {
+            return { to: transition, message: null };
+        }
+
+        return { to: transition.to, message: transition.message || null };
+    }
+}
+
+ConversationFlow.STEP_TYPES = STEP_TYPES;
+
+module.exports = ConversationFlow;
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Conversations handed over to a human operator.
+ *
+ * While a contact is handed off the bot stops replying to them; their messages and the
+ * operator's replies are kept here so the GUI can show the conversation, until an
+ * operator hands it back to the bot.
+ *
+ * Settings (handoff in config.json):
+ *   maxClarificationAttempts: unclear answers in a row before a human takes over
+ *   file: where handoffs are stored, relative to baseDir
+ *
+ * File layout: { "<phone>": { phoneNumber, status: 'open'|'closed', reason, fromState,
+ *                             openedAt, closedAt, resumedAt, messages: [{ from, text, at }] } }
+ */
+class HandoffDesk {
+    constructor(settings = {}, baseDir = process.cwd()) {
+        this.maxClarificationAttempts = settings.maxClarificationAttempts || 3;
+        this.filePath = path.resolve(baseDir, settings.file || 'handoffs.json');
+        this.handoffs = {};
+    }
+
+    /**
+     * Load handoffs saved by a previous run
+     * @returns {number} Number of open handoffs
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.handoffs = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            }
+        } catch (error) {
+            console.error(`❌ Error reading handoffs from ${this.filePath}:`, error.message);
+            this.handoffs = {};
+        }
+        return this.list().length;
+    }
+
+    /**
+     * @private
+     */
+    save() {
+        fs.writeFileSync(this.filePath, JSON.stringify(this.handoffs, null, 2));
+    }
+
+    /**
+     * Whether a contact is currently with an operator
+     */
+    isOpen(phoneNumber) {
+        return this.handoffs[phoneNumber]?.status === 'open';
+    }
+
+    /**
+     * A contact's latest handoff, open or closed
+     * @returns {Object|null}
+     */
+    get(phoneNumber) {
+        return this.handoffs[phoneNumber] || null;
+    }
+
+    /**
+     * Open handoffs, oldest first
+     * @returns {Object[]}
+     */
+    list() {
+        return Object.values(this.handoffs)
+            .filter(handoff => handoff.status === 'open')
+            .sort((a, b) => a.openedAt.localeCompare(b.openedAt));
+    }
+
+    /**
+     * Hand a contact over to the operators
+     * @param {string} phoneNumber - Contact phone number
+     * @param {Object} details - { reason: 'requested'|'clarification_limit', fromState, text }
+     * @returns {Object} The handoff
+     */
+    open(phoneNumber, { reason, fromState, text = null }) {
+        const now = new Date().toISOString();
+
+        this.handoffs[phoneNumber] = {
+            phoneNumber,
+            status: 'open',
+            reason,
+            fromState,
+            openedAt: now,
+            closedAt: null,
+            resumedAt: null,
+            messages: text ? [{ from: 'contact', text, at: now }] : []
+        };
+        this.save();
+        return this.handoffs[phoneNumber];
+    }
+
+    /**
+     * Add a message to an open handoff
+     * @param {string} phoneNumber - Contact phone number
+     * @param {string} from - 'contact' or 'operator'
+     * @param {string} text - Message text
+     */
+    record(phoneNumber, from, text) {
+        const handoff = this.handoffs[phoneNumber];
+        if (!handoff || handoff.status !== 'open') {
+            return;
+        }
+
+        handoff.messages.push({ from, text, at: new Date().toISOString() });
+        this.save();
+    }
+
+    /**
+     * Hand a contact back to the bot
+     * @param {string} phoneNumber - Contact phone number
+     * @param {string} resumedAt - Flow state the bot carries on from
+     */
+    close(phoneNumber, resumedAt) {
+        const handoff = this.handoffs[phoneNumber];
+        if (!handoff) {
+            return;
+        }
+
+        handoff.status = 'closed';
+        handoff.closedAt = new Date().toISOString();
+        handoff.resumedAt = resumedAt;
+        this.save();
+    }
+}
+
+module.exports = HandoffDesk;
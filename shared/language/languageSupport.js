@@ -0,0 +1,340 @@
+// Whole Hindi words - \b doesn't see Devanagari letters as word characters
+const hindiWords = (...words) => new RegExp(`(?<![\\p{L}\\p{M}])(?:${words.join('|')})(?![\\p{L}\\p{M}])`, 'gu');
+
+// Number words only count as numbers before "baje" or "din" ("do baje", not the English "do")
+const AFTER_COUNT = /^\s*(?:baje|bajey|bje|din|बजे|दिन)/;
+
+// "abhi" is only "now" when no day or time follows ("abhi call karo", not "abhi 5 baje")
+const NO_TIME_AFTER = /^(?!.*(?:\d|today|tonight|tomorrow|morning|afternoon|evening|night|week|month|day))/;
+
+/**
+ * Word lists for the languages the bot can talk in.
+ *
+ * markers: words that give the language away in a reply (used for detection)
+ * yes / no / unsure: yes/no answers and phrases (the longest match in a reply counts)
+ * human: ways of asking for a person instead of the bot
+ * stopWords / optOut: opt-out keywords that must be the whole reply ("stop"), and opt-out
+ *   phrases that count anywhere in it ("please stop messaging me"). Both put the number on the
+ *   do-not-contact list for good, so only words nobody uses as an ordinary reply belong here
+ *   ("bas" is "that's all", "para" is "for")
+ * dateTimeTerms: [pattern, English, followedBy?] applied in order, turning a reply into the
+ *   English the date/time parsers understand ("mañana a las 5 de la tarde" -> "tomorrow at 5pm");
+ *   with followedBy, only matches followed by that pattern (tested on the rest of the reply,
+ *   already rewritten by the earlier terms) are replaced
+ */
+const LANGUAGE_PACKS = {
+    en: {
+        markers: ['yes', 'yeah', 'yep', 'sure', 'okay', 'ok', 'no', 'not', 'the', 'please', 'thanks', 'thank', 'call',
+            'me', 'you', 'tomorrow', 'today', 'morning', 'evening', 'afternoon', 'next', 'week', 'can', 'would', 'is', 'at'],
+        yes: [],
+        no: [],
+        unsure: [],
+        human: ['talk to a human', 'speak to a human', 'talk to a person', 'speak to a person', 'talk to someone',
+            'speak to someone', 'real person', 'human agent', 'live agent', 'talk to an agent', 'speak to an agent',
+            'representative', 'customer service'],
+        stopWords: ['stop', 'stop all', 'stopall', 'please stop', 'stop please', 'unsubscribe', 'opt out', 'optout'],
+        optOut: ['unsubscribe', 'opt out', 'opt-out', 'stop messaging me', 'stop texting me', 'stop contacting me',
+            'do not contact me', "don't contact me", 'do not message me', "don't message me", 'remove me from your list',
+            'remove my number', 'leave me alone'],
+        dateTimeTerms: []
+    },
+    es: {
+        markers: ['sí', 'si', 'claro', 'vale', 'hola', 'gracias', 'por favor', 'mañana', 'hoy', 'tarde', 'noche', 'llamar',
+            'llámame', 'llamame', 'puedo', 'puede', 'quiero', 'cuando', 'cuándo', 'buenos', 'buenas', 'semana', 'próximo',
+            'próxima', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado', 'domingo', 'de acuerdo', 'las', 'por'],
+        yes: ['sí', 'si', 'claro', 'claro que sí', 'vale', 'de acuerdo', 'por supuesto', 'perfecto', 'bueno', 'dale',
+            'me interesa', 'está bien', 'esta bien', 'sí por favor', 'con gusto'],
+        no: ['no', 'nunca', 'no gracias', 'no me interesa', 'ahora no', 'para nada', 'de ninguna manera'],
+        unsure: ['quizás', 'quizas', 'quizá', 'tal vez', 'a lo mejor', 'no sé', 'no se', 'no estoy seguro', 'no estoy segura'],
+        human: ['hablar con una persona', 'hablar con alguien', 'una persona real', 'hablar con un agente',
+            'hablar con un asesor', 'un humano', 'atención al cliente'],
+        stopWords: ['baja', 'parar', 'basta', 'stop'],
+        optOut: ['darme de baja', 'dame de baja', 'denme de baja', 'no me escriba', 'no me escribas', 'no me escriban',
+            'no me contacte', 'no me contactes', 'no me contacten', 'deje de escribirme', 'dejen de escribirme',
+            'borren mi número', 'no quiero más mensajes'],
+        dateTimeTerms: [
+            [/pasado mañana/g, 'day after tomorrow'],
+            [/(\d)\s*(?:de|por) la (?:tarde|noche)/g, '$1pm'],
+            [/(\d)\s*(?:de|por) la mañana/g, '$1am'],
+            [/(?:por|de|en) la mañana/g, 'in the morning'],
+            [/(?:por|de|en) la tarde/g, 'in the afternoon'],
+            [/(?:por|de|en) la noche/g, 'in the evening'],
+            [/esta tarde/g, 'this afternoon'],
+            [/esta noche/g, 'tonight'],
+            [/mediodía|mediodia/g, 'noon'],
+            [/mañana/g, 'tomorrow'],
+            [/\bhoy\b/g, 'today'],
+            [/\bahora mismo\b/g, 'right now'],
+            [/(\d{1,2}) y media/g, '$1:30'],
+            [/(\d{1,2}) y cuarto/g, '$1:15'],
+            [/\ba la una\b/g, 'at 1'],
+            [/\ba las\b/g, 'at'],
+            [/\bentre (?:las )?/g, 'between '],
+            [/\bdespués de (?:las )?|\bdespues de (?:las )?/g, 'after '],
+            [/\bantes de (?:las )?/g, 'before '],
+            [/\b(?:la )?(?:próxima|proxima) semana\b|\bla semana que viene\b/g, 'next week'],
+            [/\besta semana\b/g, 'this week'],
+            [/\b(?:el )?fin de semana\b/g, 'weekend'],
+            [/\ben (\d+) días\b|\ben (\d+) dias\b/g, 'in $1$2 days'],
+            [/\b(?:el )?(?:próximo|proximo|siguiente)\b/g, 'next'],
+            [/\beste\b/g, 'this'],
+            [/\bcualquier\b/g, 'any'],
+            [/\blunes\b/g, 'monday'],
+            [/\bmartes\b/g, 'tuesday'],
+            [/\bmiércoles\b|\bmiercoles\b/g, 'wednesday'],
+            [/\bjueves\b/g, 'thursday'],
+            [/\bviernes\b/g, 'friday'],
+            [/\bsábado\b|\bsabado\b/g, 'saturday'],
+            [/\bdomingo\b/g, 'sunday'],
+            [/\b(\d{1,2}) de (?=[a-z])/g, '$1 '],
+            [/\benero\b/g, 'january'],
+            [/\bfebrero\b/g, 'february'],
+            [/\bmarzo\b/g, 'march'],
+            [/\babril\b/g, 'april'],
+            [/\bmayo\b/g, 'may'],
+            [/\bjunio\b/g, 'june'],
+            [/\bjulio\b/g, 'july'],
+            [/\bagosto\b/g, 'august'],
+            [/\bseptiembre\b|\bsetiembre\b/g, 'september'],
+            [/\boctubre\b/g, 'october'],
+            [/\bnoviembre\b/g, 'november'],
+            [/\bdiciembre\b/g, 'december']
+        ]
+    },
+    hi: {
+        // Romanised Hindi (Hinglish) as most leads type it, and Devanagari
+        markers: ['haan', 'haanji', 'han', 'haa', 'ji', 'nahi', 'nahin', 'nhi', 'theek', 'thik', 'hai', 'hain', 'hoon', 'hu',
+            'kal', 'aaj', 'parso', 'baje', 'bje', 'abhi', 'mujhe', 'aap', 'kya', 'karo', 'karna', 'kijiye', 'shaam', 'sham',
+            'subah', 'dopahar', 'raat', 'acha', 'accha', 'achha', 'bilkul', 'zaroor', 'chalega', 'chahiye', 'baad', 'mein',
+            'ko', 'bhi', 'wala', 'kyun', 'bolo', 'boliye', 'hafte', 'mat'],
+        yes: ['haan', 'han', 'haa', 'ha', 'haanji', 'haan ji', 'ji', 'ji haan', 'ji bilkul', 'theek hai', 'thik hai', 'theek',
+            'bilkul', 'zaroor', 'zarur', 'jaroor', 'jarur', 'chalega', 'chalo', 'acha', 'accha', 'achha', 'kar do', 'kardo',
+            'kar lo', 'bolo', 'boliye', 'bataiye', 'sahi hai', 'pakka', 'ho jayega', 'kyun nahi', 'kyu nahi', 'kyon nahi',
+            'हाँ', 'हां', 'हा', 'जी', 'जी हाँ', 'जी हां', 'ठीक है', 'बिल्कुल', 'ज़रूर', 'जरूर', 'चलेगा', 'बोलिए', 'क्यों नहीं'],
+        no: ['nahi', 'nahin', 'nhi', 'nai', 'na', 'naa', 'mat', 'abhi nahi', 'abhi nahin', 'nahi chahiye', 'nahi chaiye',
+            'interest nahi', 'zarurat nahi', 'jarurat nahi', 'mat karo', 'mat karna', 'baad mein', 'baad me', 'rehne do',
+            'rahne do', 'नहीं', 'नही', 'ना', 'मत', 'अभी नहीं', 'नहीं चाहिए', 'बाद में', 'रहने दो'],
+        unsure: ['shayad', 'pata nahi', 'pata nahin', 'pta nahi', 'dekhte hain', 'dekhenge', 'sochta hoon', 'soch ke batata',
+            'soch ke bataunga', 'sochunga', 'शायद', 'पता नहीं', 'देखते हैं', 'सोचकर बताता'],
+        human: ['insaan se baat', 'insan se baat', 'kisi insaan se', 'kisi se baat karao', 'kisi se baat karni',
+            'agent se baat', 'aadmi se baat', 'banda bhejo', 'इंसान से बात', 'किसी से बात करवा', 'एजेंट से बात'],
+        stopWords: ['band karo', 'bas karo', 'बंद करो', 'बस करो'],
+        optOut: ['message mat karo', 'msg mat karo', 'message mat bhejo', 'msg mat bhejo', 'messages mat bhejo',
+            'message band karo', 'messages band karo', 'contact mat karo', 'sampark mat karo', 'number hata do',
+            'मैसेज मत भेजो', 'मैसेज मत करो', 'मैसेज बंद करो', 'संपर्क मत करो'],
+        dateTimeTerms: [
+            [/[०-९]/g, digit => String('०१२३४५६७८९'.indexOf(digit))],
+            // "abhi nahi, kal" is not a request for a call right now
+            [hindiWords('abhi nahi', 'abhi nahin', 'अभी नहीं'), ''],
+            [hindiWords('ek', 'एक'), '1', AFTER_COUNT],
+            [hindiWords('do', 'दो'), '2', AFTER_COUNT],
+            [hindiWords('teen', 'तीन'), '3', AFTER_COUNT],
+            [hindiWords('char', 'chaar', 'चार'), '4', AFTER_COUNT],
+            [hindiWords('paanch', 'panch', 'पांच', 'पाँच'), '5', AFTER_COUNT],
+            [hindiWords('chhe', 'chhah', 'छह', 'छः'), '6', AFTER_COUNT],
+            [hindiWords('saat', 'सात'), '7', AFTER_COUNT],
+            [hindiWords('aath', 'आठ'), '8', AFTER_COUNT],
+            [hindiWords('nau', 'नौ'), '9', AFTER_COUNT],
+            [hindiWords('das', 'दस'), '10', AFTER_COUNT],
+            [hindiWords('gyarah', 'ग्यारह'), '11', AFTER_COUNT],
+            [hindiWords('barah', 'baarah', 'बारह'), '12', AFTER_COUNT],
+            [hindiWords('dedh', 'डेढ़'), '1:30', AFTER_COUNT],
+            [hindiWords('dhai', 'dhaai', 'ढाई'), '2:30', AFTER_COUNT],
+            // "saade 5" is half past, "sava 5" quarter past, "paune 5" quarter to
+            [/(?:saade|sade|साढ़े)\s*(\d{1,2})/g, '$1:30'],
+            [/(?:sava|sawa|सवा)\s*(\d{1,2})/g, '$1:15'],
+            [/(?:paune|पौने)\s*(\d{1,2})/g, (match, hour) => `${(parseInt(hour, 10) + 10) % 12 + 1}:45`],
+            [/(\d{1,2}(?::\d{2})?)\s*(?:baje\s*|bje\s*|बजे\s*)?(?:se|से)\s*(\d{1,2}(?::\d{2})?)\s*(?:baje|bje|बजे)?\s*(?:ke beech|ke bich|tak|के बीच|तक)?/g, 'between $1 and $2'],
+            [/(\d{1,2}(?::\d{2})?)\s*(?:baje|bje|बजे)?\s*(?:ke baad|ke bad|के बाद)/g, 'after $1'],
+            [/(\d{1,2}(?::\d{2})?)\s*(?:baje|bje|बजे)?\s*(?:se pehle|se pahle|से पहले)/g, 'before $1'],
+            [/(\d{1,2}(?::\d{2})?)\s*(?:baje|bajey|bje|बजे)/g, "$1 o'clock"],
+            [hindiWords('(\\d+) din (?:baad|bad|mein|me)', '(\\d+) दिन (?:बाद|में)'), 'in $1$2 days'],
+            [hindiWords('parso', 'parson', 'परसों'), 'day after tomorrow'],
+            [hindiWords('narso', 'नरसों'), 'in 3 days'],
+            [hindiWords('aaj raat', 'आज रात'), 'tonight'],
+            [hindiWords('aaj', 'आज'), 'today'],
+            [hindiWords('kal', 'कल'), 'tomorrow'],
+            [hindiWords('subah', 'subha', 'सुबह'), 'morning'],
+            [hindiWords('dopahar', 'dopehar', 'dophar', 'दोपहर'), 'afternoon'],
+            [hindiWords('shaam', 'sham', 'शाम'), 'evening'],
+            [hindiWords('raat', 'रात'), 'night'],
+            [hindiWords('abhi', 'turant', 'अभी', 'तुरंत'), 'now', NO_TIME_AFTER],
+            [hindiWords('agle (?:hafte|week)', 'अगले हफ्ते', 'अगले हफ़्ते'), 'next week'],
+            [hindiWords('is (?:hafte|week)', 'इस हफ्ते', 'इस हफ़्ते'), 'this week'],
+            [hindiWords('agle mahine', 'अगले महीने'), 'next month'],
+            [hindiWords('is mahine', 'इस महीने'), 'this month'],
+            [hindiWords('agla', 'agle', 'agli', 'अगले', 'अगला'), 'next'],
+            [hindiWords('somvar', 'somwar', 'सोमवार'), 'monday'],
+            [hindiWords('mangalvar', 'mangalwar', 'मंगलवार'), 'tuesday'],
+            [hindiWords('budhvar', 'budhwar', 'बुधवार'), 'wednesday'],
+            [hindiWords('guruvar', 'guruwar', 'brihaspativar', 'गुरुवार', 'बृहस्पतिवार'), 'thursday'],
+            [hindiWords('shukravar', 'shukrawar', 'शुक्रवार'), 'friday'],
+            [hindiWords('shanivar', 'shaniwar', 'शनिवार'), 'saturday'],
+            [hindiWords('ravivar', 'raviwar', 'itwaar', 'itvaar', 'रविवार', 'इतवार'), 'sunday'],
+            [hindiWords('janvari', 'जनवरी'), 'january'],
+            [hindiWords('farvari', 'फ़रवरी', 'फरवरी'), 'february'],
+            [hindiWords('मार्च'), 'march'],
+            [hindiWords('aprail', 'अप्रैल'), 'april'],
+            [hindiWords('मई'), 'may'],
+            [hindiWords('जून'), 'june'],
+            [hindiWords('julai', 'जुलाई'), 'july'],
+            [hindiWords('agast', 'अगस्त'), 'august'],
+            [hindiWords('sitambar', 'सितंबर', 'सितम्बर'), 'september'],
+            [hindiWords('aktubar', 'अक्टूबर'), 'october'],
+            [hindiWords('navambar', 'नवंबर', 'नवम्बर'), 'november'],
+            [hindiWords('disambar', 'दिसंबर', 'दिसम्बर'), 'december'],
+            // Leftover particles ("somvar ko", "5 baje wala") only get in the parsers' way
+            [hindiWords('ko', 'ke', 'ka', 'ki', 'wala', 'wali', 'को', 'के', 'का', 'की', 'वाला', 'वाली'), ' ']
+        ]
+    }
+};
+
+const DEVANAGARI = /[ऀ-ॿ]/;
+
+/**
+ * Languages the bot talks in: detects a contact's language from their replies and
+ * understands yes/no answers and dates/times in it.
+ *
+ * Settings (languages in config.json):
+ *   default: language for contacts whose language isn't known yet
+ *   supported: language codes with a message catalog (messages.<code>) and a word list above
+ *   autoDetect: detect the language from the contact's first recognisable reply
+ */
+class LanguageSupport {
+    constructor(settings = {}) {
+        this.defaultLanguage = settings.default || 'en';
+        this.supported = (settings.supported || ['en']).filter(code => {
+            if (!LANGUAGE_PACKS[code]) {
+                console.warn(`⚠️ No word list for language "${code}", ignoring it`);
+                return false;
+            }
+            return true;
+        });
+        this.autoDetect = settings.autoDetect !== false;
+    }
+
+    /**
+     * Whether the bot can talk in a language
+     */
+    isSupported(language) {
+        return this.supported.includes(language);
+    }
+
+    /**
+     * Whole-word test that also works for accented and Devanagari words
+     * @private
+     */
+    containsWord(text, word) {
+        const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?<![\\p{L}\\p{M}])${escaped}(?![\\p{L}\\p{M}])`, 'u').test(text);
+    }
+
+    /**
+     * Language of a reply, or null when it doesn't give one away ("5pm", "👍", or a tie)
+     * @param {string} text - The contact's reply
+     * @returns {string|null} Language code
+     */
+    detect(text) {
+        const lowerText = text.toLowerCase();
+
+        if (DEVANAGARI.test(lowerText) && this.isSupported('hi')) {
+            return 'hi';
+        }
+
+        const scores = this.supported
+            .map(language => ({
+                language,
+                score: LANGUAGE_PACKS[language].markers.filter(word => this.containsWord(lowerText, word)).length
+            }))
+            .sort((a, b) => b.score - a.score);
+
+        if (scores.length === 0 || scores[0].score === 0) {
+            return null;
+        }
+        if (scores.length > 1 && scores[1].score === scores[0].score) {
+            return null;
+        }
+        return scores[0].language;
+    }
+
+    /**
+     * Yes/no reading of a reply in the contact's language. The longest matching phrase wins, so
+     * "kyun nahi" (why not) is a yes and "abhi nahi" (not now) a no despite "haan" around it
+     * @returns {string|null} 'positive', 'negative', 'neutral', or null when no word matched
+     */
+    matchYesNo(text, language) {
+        const pack = LANGUAGE_PACKS[language];
+        if (!pack) {
+            return null;
+        }
+
+        const lowerText = text.toLowerCase().trim();
+        let best = null;
+
+        // On equal length unsure beats no beats yes ("no sé", "no")
+        for (const [sentiment, words] of [['neutral', pack.unsure], ['negative', pack.no], ['positive', pack.yes]]) {
+            for (const word of words) {
+                if ((!best || word.length > best.word.length) && this.containsWord(lowerText, word)) {
+                    best = { sentiment, word };
+                }
+            }
+        }
+
+        return best ? best.sentiment : null;
+    }
+
+    /**
+     * Whether a reply asks for a person instead of the bot, in any supported language
+     * (contacts often switch to English for "talk to a human")
+     */
+    wantsHuman(text) {
+        const lowerText = text.toLowerCase();
+        return this.supported.some(language => LANGUAGE_PACKS[language].human
+            .some(phrase => this.containsWord(lowerText, phrase)));
+    }
+
+    /**
+     * Whether a reply asks not to be contacted again, in any supported language
+     */
+    wantsOptOut(text) {
+        const lowerText = text.toLowerCase();
+        const bareReply = lowerText.replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+
+        return this.supported.some(language => {
+            const pack = LANGUAGE_PACKS[language];
+            return pack.stopWords.includes(bareReply) || pack.optOut.some(phrase => this.containsWord(lowerText, phrase));
+        });
+    }
+
+    /**
+     * Rewrite the date/time words of a reply in English for the date/time parsers
+     * @param {string} text - The contact's reply
+     * @param {string} language - Language code
+     * @returns {string} The reply with its date/time words in English
+     */
+    normalizeDateTime(text, language) {
+        const pack = LANGUAGE_PACKS[language];
+        if (!pack || pack.dateTimeTerms.length === 0) {
+            return text;
+        }
+
+        return pack.dateTimeTerms
+            .reduce((result, [pattern, replacement, followedBy]) => result.replace(pattern, (...args) => {
+                const [match, offset, whole] = [args[0], args[args.length - 2], args[args.length - 1]];
+                if (followedBy && !followedBy.test(whole.slice(offset + match.length))) {
+                    return match;
+                }
+                const captures = args.slice(1, -2);
+                return typeof replacement === 'function'
+                    ? replacement(...args)
+                    : replacement.replace(/\$(\d)/g, (placeholder, index) => captures[index - 1] || '');
+            }), text.toLowerCase())
+            .replace(/\s{2,}/g, ' ')
+            .replace(/^[\s,.!]+/, '')
+            .trim();
+    }
+}
+
+LanguageSupport.LANGUAGE_PACKS = LANGUAGE_PACKS;
+
+module.exports = LanguageSupport;
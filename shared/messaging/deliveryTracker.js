@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+
+// whatsapp-web.js ack values (message.ack / the message_ack event)
+const ACK_STATUSES = {
+    '-1': 'failed',
+    0: 'pending',
+    1: 'sent',
+    2: 'delivered',
+    3: 'read',
+    4: 'read' // played, for voice notes
+};
+
+const STATUS_RANK = { pending: 0, sent: 1, delivered: 2, read: 3 };
+
+/**
+ * Delivery and read receipts for the messages the bot sends, and how far each contact got
+ * through the funnel: contacted → delivered → read → replied → booked.
+ *
+ * A contact none of whose messages were delivered long after the first one was sent is
+ * flagged as probably invalid (not on WhatsApp, or a wrong number).
+ *
+ * Settings (delivery in config.json):
+ *   file: where receipts are stored, relative to baseDir
+ *   undeliveredAfterHours: how long to wait for a first delivery before flagging a number
+ *
+ * File layout: { "<phone>": { firstSentAt, deliveredAt, readAt, repliedAt, bookedAt, probablyInvalidAt,
+ *                             messages: { "<message id>": { reason, sentAt, status, acks: [{ status, at }] } } } }
+ */
+class DeliveryTracker {
+    constructor(settings = {}, baseDir = process.cwd()) {
+        this.filePath = path.resolve(baseDir, settings.file || 'delivery_receipts.json');
+        this.undeliveredAfterHours = settings.undeliveredAfterHours || 72;
+        this.contacts = {};
+        // Message id → phone number, so acks find their contact
+        this.messageIndex = new Map();
+    }
+
+    /**
+     * Load receipts saved by a previous run
+     * @returns {number} Number of contacts tracked
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.contacts = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            }
+        } catch (error) {
+            console.error(`❌ Error reading delivery receipts from ${this.filePath}:`, error.message);
+            this.contacts = {};
+        }
+
+        this.messageIndex.clear();
+        for (const [phoneNumber, contact] of Object.entries(this.contacts)) {
+            Object.keys(contact.messages || {}).forEach(messageId => this.messageIndex.set(messageId, phoneNumber));
+        }
+        return Object.keys(this.contacts).length;
+    }
+
+    /**
+     * @private
+     */
+    save() {
+        fs.writeFileSync(this.filePath, JSON.stringify(this.contacts, null, 2));
+    }
+
+    /**
+     * @private
+     */
+    getContact(phoneNumber) {
+        if (!this.contacts[phoneNumber]) {
+            this.contacts[phoneNumber] = {
+                firstSentAt: null,
+                deliveredAt: null,
+                readAt: null,
+                repliedAt: null,
+                bookedAt: null,
+                probablyInvalidAt: null,
+                messages: {}
+            };
+        }
+        return this.contacts[phoneNumber];
+    }
+
+    /**
+     * Start tracking a message that was just sent
+     * @param {string} phoneNumber - Contact phone number
+     * @param {string} messageId - The sent message's id (message.id._serialized)
+     * @param {string} reason - What the message was (welcome, reminder, reply, ...)
+     */
+    recordSent(phoneNumber, messageId, reason = null) {
+        if (!messageId) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        const contact = this.getContact(phoneNumber);
+
+        contact.firstSentAt = contact.firstSentAt || now;
+        contact.messages[messageId] = { reason, sentAt: now, status: 'sent', acks: [] };
+        this.messageIndex.set(messageId, phoneNumber);
+        this.save();
+    }
+
+    /**
+     * Record an ack for a sent message. Acks only move a message forward (they can arrive out
+     * of order), and a failure after delivery is ignored.
+     * @param {string} messageId - The message's id
+     * @param {number} ack - whatsapp-web.js ack value
+     * @returns {{phoneNumber: string, status: string}|null} The message's status, null for untracked messages
+     */
+    recordAck(messageId, ack) {
+        const phoneNumber = this.messageIndex.get(messageId);
+        const status = ACK_STATUSES[ack];
+        if (!phoneNumber || !status) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const contact = this.contacts[phoneNumber];
+        const message = contact.messages[messageId];
+        message.acks.push({ status, at: now });
+
+        if (status === 'failed') {
+            if (!['delivered', 'read'].includes(message.status)) {
+                message.status = 'failed';
+            }
+        } else if (message.status === 'failed' || STATUS_RANK[status] > STATUS_RANK[message.status]) {
+            message.status = status;
+        }
+
+        if (['delivered', 'read'].includes(message.status)) {
+            contact.deliveredAt = contact.deliveredAt || now;
+            contact.probablyInvalidAt = null;
+        }
+        if (message.status === 'read') {
+            contact.readAt = contact.readAt || now;
+        }
+
+        this.save();
+        return { phoneNumber, status: message.status };
+    }
+
+    /**
+     * Record that a contact we messaged wrote back
+     * @param {string} phoneNumber - Contact phone number
+     */
+    recordReply(phoneNumber) {
+        const contact = this.contacts[phoneNumber];
+        if (!contact || contact.repliedAt) {
+            return;
+        }
+
+        // A reply proves delivery, and reading too - read receipts can be turned off
+        const now = new Date().toISOString();
+        contact.repliedAt = now;
+        contact.deliveredAt = contact.deliveredAt || now;
+        contact.readAt = contact.readAt || now;
+        contact.probablyInvalidAt = null;
+        this.save();
+    }
+
+    /**
+     * Record that a contact booked a call
+     * @param {string} phoneNumber - Contact phone number
+     */
+    recordBooked(phoneNumber) {
+        const contact = this.contacts[phoneNumber];
+        if (!contact || contact.bookedAt) {
+            return;
+        }
+
+        contact.bookedAt = new Date().toISOString();
+        this.save();
+    }
+
+    /**
+     * Flag contacts whose messages have gone undelivered for too long
+     * @param {Date} now - Current time
+     * @returns {string[]} Numbers flagged by this call
+     */
+    flagUndelivered(now = new Date()) {
+        const cutoff = now.getTime() - this.undeliveredAfterHours * 60 * 60 * 1000;
+        const flagged = Object.entries(this.contacts)
+            .filter(([, contact]) => contact.firstSentAt && !contact.deliveredAt && !contact.probablyInvalidAt)
+            .filter(([, contact]) => new Date(contact.firstSentAt).getTime() <= cutoff)
+            .map(([phoneNumber]) => phoneNumber);
+
+        flagged.forEach(phoneNumber => {
+            this.contacts[phoneNumber].probablyInvalidAt = now.toISOString();
+        });
+        if (flagged.length > 0) {
+            this.save();
+        }
+        return flagged;
+    }
+
+    /**
+     * Numbers flagged as probably invalid
+     * @returns {string[]}
+     */
+    getProbablyInvalid() {
+        return Object.keys(this.contacts).filter(phoneNumber => this.contacts[phoneNumber].probablyInvalidAt);
+    }
+
+    /**
+     * How many contacts reached each stage of the funnel
+     * @returns {{contacted: number, delivered: number, read: number, replied: number, booked: number}}
+     */
+    getFunnel() {
+        const contacts = Object.values(this.contacts).filter(contact => contact.firstSentAt);
+
+        return {
+            contacted: contacts.length,
+            delivered: contacts.filter(contact => contact.deliveredAt).length,
+            read: contacts.filter(contact => contact.readAt).length,
+            replied: contacts.filter(contact => contact.repliedAt).length,
+            booked: contacts.filter(contact => contact.bookedAt).length
+        };
+    }
+}
+
+module.exports = DeliveryTracker;
@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Every message the bot sends on its own goes out through this queue, which is kept on
+ * disk so nothing is lost on a restart.
+ *
+ * Messages are sent one at a time with a random pause between them, within a global and
+ * a per-contact rate limit, so the account doesn't look like a bulk sender. A contact's
+ * messages go out in the order they were queued, except that one held for later (sendAt
+ * in the future, e.g. waiting for the contact's send window) doesn't hold back the
+ * messages queued after it. A failed send is retried with
+ * exponential backoff; after the last attempt the message moves to the dead-letter list,
+ * where an operator can retry or discard it.
+ *
+ * Settings (outboundQueue in config.json):
+ *   file: where the queue is stored, relative to baseDir
+ *   globalPerMinute / perContactPerMinute: most messages sent in any minute
+ *   pacing: { minSeconds, maxSeconds } - random pause between two sends
+ *   retry: { maxAttempts, baseDelaySeconds, maxDelaySeconds } - backoff for failed sends
+ *
+ * File layout: { messages: [{ id, phoneNumber, text, filePath, reason, priority, queuedAt,
+ *                             sendAt, attempts, lastError }],
+ *                deadLetters: [{ ...message, failedAt }] }
+ */
+class OutboundQueue {
+    constructor(settings = {}, baseDir = process.cwd()) {
+        this.filePath = path.resolve(baseDir, settings.file || 'outbound_queue.json');
+        this.globalPerMinute = settings.globalPerMinute || 20;
+        this.perContactPerMinute = settings.perContactPerMinute || 5;
+        this.pacing = { minSeconds: 3, maxSeconds: 8, ...settings.pacing };
+        this.retry = { maxAttempts: 5, baseDelaySeconds: 30, maxDelaySeconds: 3600, ...settings.retry };
+        this.idleCheckMs = 1000;
+
+        this.messages = [];
+        this.deadLetters = [];
+        // Recent sends, for the rate limits: [{ phoneNumber, at }]
+        this.sentLog = [];
+        this.send = null;
+        this.timer = null;
+    }
+
+    /**
+     * Load messages queued by a previous run
+     * @returns {number} Number of queued messages
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.messages = saved.messages || [];
+                this.deadLetters = saved.deadLetters || [];
+            }
+        } catch (error) {
+            console.error(`❌ Error reading outbound queue from ${this.filePath}:`, error.message);
+            this.messages = [];
+            this.deadLetters = [];
+        }
+        return this.messages.length;
+    }
+
+    /**
+     * @private
+     */
+    save() {
+        fs.writeFileSync(this.filePath, JSON.stringify({
+            messages: this.messages,
+            deadLetters: this.deadLetters
+        }, null, 2));
+    }
+
+    /**
+     * Queue a message
+     * @param {string} phoneNumber - Contact phone number
+     * @param {Object} message - { text, filePath, reason, priority: 'high'|'normal', sendAt: Date }
+     * @returns {Object} The queued message
+     */
+    enqueue(phoneNumber, { text, filePath = null, reason = null, priority = 'normal', sendAt = new Date() }) {
+        const queued = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            phoneNumber,
+            text,
+            filePath,
+            reason,
+            priority,
+            queuedAt: new Date().toISOString(),
+            sendAt: sendAt.toISOString(),
+            attempts: 0,
+            lastError: null
+        };
+
+        this.messages.push(queued);
+        this.save();
+        return queued;
+    }
+
+    /**
+     * Send a contact's held messages (e.g. waiting for their send window) straight away
+     * @param {string} phoneNumber - Contact phone number
+     * @returns {number} Number of messages released
+     */
+    release(phoneNumber) {
+        const now = new Date();
+        const held = this.messages.filter(queued =>
+            queued.phoneNumber === phoneNumber && queued.attempts === 0 && new Date(queued.sendAt) > now);
+
+        held.forEach(queued => {
+            queued.sendAt = now.toISOString();
+            queued.priority = 'high';
+        });
+        if (held.length > 0) {
+            this.save();
+        }
+        return held.length;
+    }
+
+    /**
+     * Queued messages, in the order they will be considered
+     * @returns {Object[]}
+     */
+    list() {
+        return [...this.messages].sort((a, b) => this.compare(a, b));
+    }
+
+    /**
+     * Count a message sent outside the queue (a direct reply) against the global rate limit.
+     * Replies don't count towards the contact's own limit - they are a conversation, not a burst.
+     */
+    noteSent() {
+        this.sentLog.push({ phoneNumber: null, at: Date.now() });
+    }
+
+    /**
+     * Put a dead letter back in the queue for another round of attempts
+     * @param {string} id - Message id
+     * @returns {boolean} Whether the message was found
+     */
+    retryDeadLetter(id) {
+        const deadLetter = this.deadLetters.find(message => message.id === id);
+        if (!deadLetter) {
+            return false;
+        }
+
+        const { failedAt, ...message } = deadLetter;
+        this.deadLetters = this.deadLetters.filter(candidate => candidate.id !== id);
+        this.messages.push({ ...message, attempts: 0, sendAt: new Date().toISOString() });
+        this.save();
+        return true;
+    }
+
+    /**
+     * Drop a dead letter for good
+     * @param {string} id - Message id
+     * @returns {boolean} Whether the message was found
+     */
+    discardDeadLetter(id) {
+        const remaining = this.deadLetters.filter(message => message.id !== id);
+        if (remaining.length === this.deadLetters.length) {
+            return false;
+        }
+
+        this.deadLetters = remaining;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Start sending queued messages
+     * @param {Function} send - async (queuedMessage) => void, throws when the send failed
+     */
+    start(send) {
+        this.send = send;
+        if (!this.timer) {
+            this.scheduleNext(0);
+        }
+    }
+
+    /**
+     * Stop sending (queued messages stay on disk)
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * @private
+     */
+    scheduleNext(delayMs) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.processNext(), delayMs);
+    }
+
+    /**
+     * High priority first, then oldest first
+     * @private
+     */
+    compare(a, b) {
+        if (a.priority !== b.priority) {
+            return a.priority === 'high' ? -1 : 1;
+        }
+        return a.queuedAt.localeCompare(b.queuedAt);
+    }
+
+    /**
+     * The next message that may be sent right now, if any
+     * @private
+     */
+    getNext(now) {
+        this.sentLog = this.sentLog.filter(entry => now - entry.at < 60 * 1000);
+        if (this.sentLog.length >= this.globalPerMinute) {
+            return null;
+        }
+
+        // Only a contact's oldest message is a candidate, so their messages keep their order.
+        // Messages held for later step aside; one waiting to be retried keeps its place.
+        const oldestPerContact = new Map();
+        for (const queued of this.messages) {
+            if (queued.attempts === 0 && new Date(queued.sendAt) > now) {
+                continue;
+            }
+
+            const oldest = oldestPerContact.get(queued.phoneNumber);
+            if (!oldest || queued.queuedAt < oldest.queuedAt) {
+                oldestPerContact.set(queued.phoneNumber, queued);
+            }
+        }
+
+        return [...oldestPerContact.values()]
+            .filter(queued => new Date(queued.sendAt) <= now)
+            .filter(queued => this.sentLog.filter(entry => entry.phoneNumber === queued.phoneNumber).length < this.perContactPerMinute)
+            .sort((a, b) => this.compare(a, b))[0] || null;
+    }
+
+    /**
+     * A random duration between min and max seconds
+     * @private
+     */
+    jitter(minSeconds, maxSeconds) {
+        return (minSeconds + Math.random() * (maxSeconds - minSeconds)) * 1000;
+    }
+
+    /**
+     * Send the next message, then schedule the one after it
+     * @private
+     */
+    async processNext() {
+        let queued = null;
+
+        try {
+            queued = this.getNext(Date.now());
+            if (!queued) {
+                return;
+            }
+
+            try {
+                await this.send(queued);
+                this.messages = this.messages.filter(message => message.id !== queued.id);
+                this.sentLog.push({ phoneNumber: queued.phoneNumber, at: Date.now() });
+            } catch (error) {
+                this.handleFailure(queued, error);
+            }
+
+            this.save();
+        } catch (error) {
+            console.error(`❌ Error processing the outbound queue (${this.filePath}):`, error.message);
+        } finally {
+            // Whatever went wrong, the queue keeps going
+            this.scheduleNext(queued
+                ? this.jitter(this.pacing.minSeconds, this.pacing.maxSeconds)
+                : this.idleCheckMs);
+        }
+    }
+
+    /**
+     * Retry later with exponential backoff, or give up after the last attempt
+     * @private
+     */
+    handleFailure(queued, error) {
+        queued.attempts++;
+        queued.lastError = error.message;
+
+        if (queued.attempts >= this.retry.maxAttempts) {
+            this.messages = this.messages.filter(message => message.id !== queued.id);
+            this.deadLetters.push({ ...queued, failedAt: new Date().toISOString() });
+            console.error(`☠️ Giving up on ${queued.reason || 'message'} to ${queued.phoneNumber} after ${queued.attempts} attempts: ${error.message}`);
+            return;
+        }
+
+        const backoffSeconds = Math.min(this.retry.maxDelaySeconds, this.retry.baseDelaySeconds * 2 ** (queued.attempts - 1));
+        const retryInMs = this.jitter(backoffSeconds * 0.8, backoffSeconds * 1.2);
+        queued.sendAt = new Date(Date.now() + retryInMs).toISOString();
+        console.warn(`🔁 Send to ${queued.phoneNumber} failed (attempt ${queued.attempts}), retrying in ${Math.round(retryInMs / 1000)}s: ${error.message}`);
+    }
+}
+
+module.exports = OutboundQueue;
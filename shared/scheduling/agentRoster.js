@@ -0,0 +1,156 @@
+const moment = require('moment');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const ASSIGNMENT_STRATEGIES = ['round-robin', 'least-loaded'];
+
+/**
+ * Roster of agents (counsellors) who take booked calls.
+ *
+ * Settings (agents in config.json):
+ *   assignment: 'round-robin' | 'least-loaded'
+ *   roster: [{ id: 'priya', name: 'Priya',
+ *              availability: { monday: [{ start: '09:00', end: '13:00' }], ... }, // optional
+ *              maxCallsPerDay: 6 }]                                             // optional
+ *
+ * An agent without availability works whenever the business is open. With an empty
+ * roster (the default) the business is treated as a single person, as before agents existed.
+ * Two counsellors sharing the calls, the second one on Monday mornings only:
+ *   "agents": { "assignment": "least-loaded", "roster": [
+ *     { "id": "counsellor-1", "name": "Counsellor 1", "maxCallsPerDay": 8 },
+ *     { "id": "counsellor-2", "name": "Counsellor 2",
+ *       "availability": { "monday": [{ "start": "09:00", "end": "13:00" }] } }] }
+ */
+class AgentRoster {
+    constructor(settings = {}) {
+        this.agents = settings.roster || [];
+        this.assignment = settings.assignment || 'round-robin';
+
+        if (!ASSIGNMENT_STRATEGIES.includes(this.assignment)) {
+            console.warn(`⚠️ Unknown agent assignment "${this.assignment}", using round-robin`);
+            this.assignment = 'round-robin';
+        }
+    }
+
+    /**
+     * Whether any agents are configured
+     */
+    hasAgents() {
+        return this.agents.length > 0;
+    }
+
+    /**
+     * Look up an agent by id
+     * @param {string} agentId - Agent id
+     * @returns {Object|null} The agent, or null if not on the roster
+     */
+    getAgent(agentId) {
+        return this.agents.find(agent => agent.id === agentId) || null;
+    }
+
+    /**
+     * Convert "HH:mm" to minutes since midnight
+     * @private
+     */
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    }
+
+    /**
+     * Whether an agent works at a given time according to their availability
+     * @param {Object} agent - Roster entry
+     * @param {moment.Moment} dateTime - Start of the call
+     * @param {Object} callType - Call type (durationMinutes, buffers); when given, the whole
+     *   call and its buffers have to fit inside one of the agent's ranges
+     */
+    isWorking(agent, dateTime, callType = null) {
+        if (!agent.availability) {
+            return true;
+        }
+
+        const ranges = agent.availability[WEEKDAYS[dateTime.day()]] || [];
+        const minutes = dateTime.hours() * 60 + dateTime.minutes();
+        const start = minutes - (callType?.bufferBeforeMinutes || 0);
+        const end = minutes + (callType?.durationMinutes || 0) + (callType?.bufferAfterMinutes || 0);
+
+        return ranges.some(range => start >= this.toMinutes(range.start) &&
+            (callType ? end <= this.toMinutes(range.end) : end < this.toMinutes(range.end)));
+    }
+
+    /**
+     * Number of active bookings an agent has on the day of a date
+     * @param {string} agentId - Agent id
+     * @param {moment.Moment} day - Any time on the day
+     * @param {Array<Object>} bookings - Active bookings from call_schedule.json
+     */
+    countBookings(agentId, day, bookings) {
+        const date = day.format('DD/MM/YYYY');
+        return bookings.filter(booking => booking.agentId === agentId && booking.date === date).length;
+    }
+
+    /**
+     * Agents who can take a call at a time: working, under their daily cap and not
+     * already on an overlapping call or meeting.
+     * @param {moment.Moment} dateTime - Start of the call
+     * @param {Array<Object>} overlappingBookings - Active bookings that overlap the call
+     * @param {Array<Object>} bookings - All active bookings (for daily caps)
+     * @param {Object} callType - Call type of the new call (see isWorking)
+     * @returns {Array<Object>} Free agents in roster order, empty when nobody is free
+     */
+    getFreeAgents(dateTime, overlappingBookings, bookings, callType = null) {
+        // e.g. a team meeting from an external calendar
+        if (overlappingBookings.some(booking => booking.blocksAllAgents)) {
+            return [];
+        }
+
+        const busyAgentIds = new Set(overlappingBookings.map(booking => booking.agentId).filter(Boolean));
+
+        const freeAgents = this.agents.filter(agent =>
+            this.isWorking(agent, dateTime, callType) &&
+            !busyAgentIds.has(agent.id) &&
+            (!agent.maxCallsPerDay || this.countBookings(agent.id, dateTime, bookings) < agent.maxCallsPerDay)
+        );
+
+        // Bookings made before agents were configured still occupy somebody
+        const unassignedBookings = overlappingBookings.filter(booking => !booking.agentId).length;
+        return freeAgents.length > unassignedBookings ? freeAgents : [];
+    }
+
+    /**
+     * Pick the agent for a new booking from the free agents
+     * @param {Array<Object>} freeAgents - Result of getFreeAgents
+     * @param {moment.Moment} dateTime - Start of the call
+     * @param {Array<Object>} bookings - All active bookings
+     * @returns {Object|null} The assigned agent, or null when nobody is free
+     */
+    chooseAgent(freeAgents, dateTime, bookings) {
+        if (freeAgents.length === 0) {
+            return null;
+        }
+
+        if (this.assignment === 'least-loaded') {
+            // Fewest calls that day wins, ties go to roster order
+            return freeAgents.reduce((best, agent) =>
+                this.countBookings(agent.id, dateTime, bookings) < this.countBookings(best.id, dateTime, bookings) ? agent : best
+            );
+        }
+
+        // Round-robin: continue after the agent who received the most recent booking
+        const lastAssigned = bookings
+            .filter(booking => booking.agentId && booking.createdAt)
+            .sort((a, b) => moment(b.createdAt).valueOf() - moment(a.createdAt).valueOf())[0];
+        const lastIndex = lastAssigned ? this.agents.findIndex(agent => agent.id === lastAssigned.agentId) : -1;
+
+        for (let offset = 1; offset <= this.agents.length; offset++) {
+            const candidate = this.agents[(lastIndex + offset) % this.agents.length];
+            if (freeAgents.includes(candidate)) {
+                return candidate;
+            }
+        }
+        return freeAgents[0];
+    }
+}
+
+AgentRoster.ASSIGNMENT_STRATEGIES = ASSIGNMENT_STRATEGIES;
+
+module.exports = AgentRoster;
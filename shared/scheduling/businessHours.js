@@ -0,0 +1,208 @@
+const moment = require('moment');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Opening hours, working days, holidays and minimum lead time for bookings.
+ *
+ * Settings (businessHours in config.json):
+ *   openingHours: { monday: [{ start: '09:00', end: '18:00' }], sunday: [] , ... }
+ *   holidays: [{ date: '25/12', name: 'Christmas Day' },            // every year
+ *              { date: '15/08/2026', name: 'Independence Day' },   // one day
+ *              { from: '24/12/2026', to: '01/01/2027', name: 'Year-end closure' }]
+ *   minimumLeadMinutes: notice required before a call can be booked
+ *   slotIntervalMinutes: granularity of suggested alternatives
+ *
+ * Without openingHours every day is open around the clock.
+ */
+class BusinessHours {
+    constructor(settings = {}) {
+        this.openingHours = settings.openingHours || null;
+        this.holidays = settings.holidays || [];
+        this.minimumLeadMinutes = settings.minimumLeadMinutes || 0;
+        this.slotIntervalMinutes = settings.slotIntervalMinutes || 30;
+        this.searchDays = settings.searchDays || 30;
+    }
+
+    /**
+     * Convert "HH:mm" to minutes since midnight ("24:00" is allowed as an end time)
+     * @private
+     */
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    }
+
+    /**
+     * Opening ranges (in minutes since midnight) for the weekday of a date
+     * @param {moment.Moment} day - Any time on the day
+     * @returns {Array<{start: number, end: number}>} Opening ranges, empty when closed
+     */
+    getOpeningRanges(day) {
+        if (!this.openingHours) {
+            return [{ start: 0, end: 24 * 60 }];
+        }
+
+        const ranges = this.openingHours[WEEKDAYS[day.day()]] || [];
+        return ranges.map(range => ({ start: this.toMinutes(range.start), end: this.toMinutes(range.end) }));
+    }
+
+    /**
+     * Find the holiday or closure covering a date
+     * @param {moment.Moment} day - Any time on the day
+     * @returns {Object|null} The holiday entry, or null on a normal day
+     */
+    getHoliday(day) {
+        return this.holidays.find(holiday => {
+            if (holiday.from && holiday.to) {
+                return day.isBetween(moment(holiday.from, 'DD/MM/YYYY'), moment(holiday.to, 'DD/MM/YYYY'), 'day', '[]');
+            }
+
+            // "DD/MM" repeats every year, "DD/MM/YYYY" is a single date
+            if (/^\d{1,2}\/\d{1,2}$/.test(holiday.date)) {
+                return moment(holiday.date, 'DD/MM').format('DD/MM') === day.format('DD/MM');
+            }
+            return moment(holiday.date, 'DD/MM/YYYY').isSame(day, 'day');
+        }) || null;
+    }
+
+    /**
+     * Human readable opening hours for the weekday of a date (e.g. "9:00 AM - 6:00 PM")
+     */
+    describeHours(day) {
+        return this.getOpeningRanges(day)
+            .map(range => {
+                const start = moment(day).startOf('day').add(range.start, 'minutes').format('h:mm A');
+                const end = moment(day).startOf('day').add(range.end, 'minutes').format('h:mm A');
+                return `${start} - ${end}`;
+            })
+            .join(', ');
+    }
+
+    /**
+     * Minutes of the day a call blocks: its start alone, or with a call type
+     * (durationMinutes, bufferBeforeMinutes, bufferAfterMinutes) the whole call and its buffers
+     * @private
+     */
+    getBlockedMinutes(slot, callType) {
+        const start = slot.hours() * 60 + slot.minutes();
+        if (!callType) {
+            return { start, end: start };
+        }
+
+        return {
+            start: start - (callType.bufferBeforeMinutes || 0),
+            end: start + (callType.durationMinutes || 0) + (callType.bufferAfterMinutes || 0)
+        };
+    }
+
+    /**
+     * Check whether a call can be booked at a given time
+     * @param {moment.Moment|Date} dateTime - Requested call time
+     * @param {Date} now - Current time (for the minimum lead time)
+     * @param {Object} options - { ignoreLeadTime: true } for immediate "call me now" requests,
+     *   { callType } to require the whole call and its buffers to fit inside the opening hours
+     * @returns {Object} { allowed: true } or { allowed: false, reason, ...details for the message }
+     */
+    checkSlot(dateTime, now = new Date(), options = {}) {
+        const slot = moment(dateTime);
+        const day = slot.format('dddd');
+
+        const holiday = this.getHoliday(slot);
+        if (holiday) {
+            return { allowed: false, reason: 'holiday', holiday: holiday.name || 'a holiday', day };
+        }
+
+        const ranges = this.getOpeningRanges(slot);
+        if (ranges.length === 0) {
+            return { allowed: false, reason: 'closed_day', day };
+        }
+
+        const blocked = this.getBlockedMinutes(slot, options.callType);
+        const fits = range => blocked.start >= range.start && (options.callType ? blocked.end <= range.end : blocked.end < range.end);
+        if (!ranges.some(fits)) {
+            return { allowed: false, reason: 'outside_hours', day, hours: this.describeHours(slot) };
+        }
+
+        if (!options.ignoreLeadTime && slot.isBefore(moment(now).add(this.minimumLeadMinutes, 'minutes'))) {
+            return { allowed: false, reason: 'too_soon', minutes: this.minimumLeadMinutes };
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Round a time up to the next slot boundary
+     * @private
+     */
+    roundUpToSlot(dateTime) {
+        const rounded = moment(dateTime).seconds(0).milliseconds(0);
+        const remainder = (rounded.hours() * 60 + rounded.minutes()) % this.slotIntervalMinutes;
+        if (remainder !== 0) {
+            rounded.add(this.slotIntervalMinutes - remainder, 'minutes');
+        }
+        return rounded;
+    }
+
+    /**
+     * First slot at or after a time that falls inside opening hours (lead time not applied)
+     * @param {moment.Moment|Date} from - Time to search from
+     * @param {Object} [callType] - Call type whose whole length must fit (see checkSlot)
+     * @returns {moment.Moment|null} The next open slot, or null if none within searchDays
+     */
+    getNextOpenTime(from, callType = null) {
+        const candidate = this.roundUpToSlot(from);
+        const limit = moment(from).add(this.searchDays, 'days');
+
+        while (candidate.isBefore(limit)) {
+            if (this.checkSlot(candidate, from, { ignoreLeadTime: true, callType }).allowed) {
+                return candidate;
+            }
+            candidate.add(this.slotIntervalMinutes, 'minutes');
+        }
+
+        return null;
+    }
+
+    /**
+     * Earliest time a new booking may start (now + minimum lead time, inside opening hours)
+     */
+    getEarliestBookableTime(now = new Date(), callType = null) {
+        return this.getNextOpenTime(moment(now).add(this.minimumLeadMinutes, 'minutes'), callType);
+    }
+
+    /**
+     * Valid slots nearest to a requested time, searching outwards in both directions
+     * @param {moment.Moment} requested - The time the lead asked for
+     * @param {Date} now - Current time
+     * @param {Object} options - { count, isAvailable: (slot) => boolean } to also skip booked slots,
+     *   { callType } to only suggest slots the whole call fits into
+     * @returns {Array<moment.Moment>} Up to `count` slots in chronological order
+     */
+    findAlternatives(requested, now = new Date(), options = {}) {
+        const count = options.count || 3;
+        const isAvailable = options.isAvailable || (() => true);
+        const earliest = moment(now).add(this.minimumLeadMinutes, 'minutes');
+        const origin = this.roundUpToSlot(moment.max(moment(requested), earliest));
+        const maxSteps = Math.ceil((this.searchDays * 24 * 60) / this.slotIntervalMinutes);
+        const found = [];
+
+        for (let step = 0; step <= maxSteps && found.length < count; step++) {
+            const offsets = step === 0 ? [0] : [step, -step];
+
+            for (const offset of offsets) {
+                const candidate = origin.clone().add(offset * this.slotIntervalMinutes, 'minutes');
+                if (found.length >= count || candidate.isBefore(earliest)) {
+                    continue;
+                }
+                if (this.checkSlot(candidate, now, { callType: options.callType }).allowed && isAvailable(candidate)) {
+                    found.push(candidate);
+                }
+            }
+        }
+
+        return found.sort((a, b) => a.valueOf() - b.valueOf());
+    }
+}
+
+module.exports = BusinessHours;
@@ -0,0 +1,86 @@
+/**
+ * Kinds of call a lead can book, each with its own length and buffer time.
+ *
+ * Settings (callTypes in config.json):
+ *   default: id used for bookings that don't record a call type
+ *   types: [{ id: 'intro', name: 'Quick 15-minute intro call', durationMinutes: 15,
+ *             bufferBeforeMinutes: 0, bufferAfterMinutes: 5,
+ *             keywords: ['intro', 'quick call'] }]               // used to infer the type
+ *
+ * A call blocks its agent from (start - bufferBefore) to (start + duration + bufferAfter).
+ * Without types every call is a 15-minute slot with no buffers.
+ */
+class CallTypes {
+    constructor(settings = {}) {
+        this.types = settings.types && settings.types.length > 0
+            ? settings.types
+            : [{ id: 'call', name: 'Call', durationMinutes: 15 }];
+        this.defaultTypeId = settings.default || this.types[0].id;
+    }
+
+    /**
+     * Look up a call type, falling back to the default type for unknown or missing ids
+     * @param {string} [typeId] - Call type id
+     * @returns {Object} The call type
+     */
+    getType(typeId) {
+        return this.types.find(type => type.id === typeId)
+            || this.types.find(type => type.id === this.defaultTypeId)
+            || this.types[0];
+    }
+
+    /**
+     * Guess the call type from a message using each type's keywords
+     * @param {string} text - Message from the lead
+     * @returns {Object|null} The call type, or null when the message doesn't say.
+     *   With a single configured type there is nothing to choose, so it is always returned.
+     */
+    inferType(text) {
+        if (this.types.length === 1) {
+            return this.types[0];
+        }
+
+        const lowerText = text.toLowerCase();
+        return this.types.find(type =>
+            (type.keywords || []).some(keyword => new RegExp(`\\b${keyword.toLowerCase()}\\b`).test(lowerText))
+        ) || null;
+    }
+
+    /**
+     * Numbered list of call types for asking the lead ("1. Quick intro call (15 minutes)")
+     */
+    describeOptions() {
+        return this.types
+            .map((type, index) => `${index + 1}. ${type.name} (${type.durationMinutes} minutes)`)
+            .join('\n');
+    }
+
+    /**
+     * Time blocked by a call including its buffers
+     * @param {moment.Moment} start - Start of the call
+     * @param {string} [typeId] - Call type id
+     * @returns {{start: moment.Moment, end: moment.Moment}} Blocked interval
+     */
+    getInterval(start, typeId) {
+        const type = this.getType(typeId);
+        return {
+            start: start.clone().subtract(type.bufferBeforeMinutes || 0, 'minutes'),
+            end: start.clone().add(type.durationMinutes + (type.bufferAfterMinutes || 0), 'minutes')
+        };
+    }
+
+    /**
+     * Whether two calls (with their buffers) overlap
+     * @param {moment.Moment} startA - Start of the first call
+     * @param {string} typeA - Call type of the first call
+     * @param {moment.Moment} startB - Start of the second call
+     * @param {string} typeB - Call type of the second call
+     */
+    overlaps(startA, typeA, startB, typeB) {
+        const a = this.getInterval(startA, typeA);
+        const b = this.getInterval(startB, typeB);
+        return a.start.isBefore(b.end) && b.start.isBefore(a.end);
+    }
+}
+
+module.exports = CallTypes;
@@ -0,0 +1,191 @@
+/**
+ * Nudges leads who stop replying part-way through booking, and closes the conversation
+ * when they stay silent.
+ *
+ * Each flow state can have its own ladder of follow-ups, counted from the lead's last
+ * reply or the conversation's move into that state: e.g. a nudge after 4 hours, another
+ * after 24 and a closing message after 48. That start (followUps.since) and the sent
+ * follow-ups (followUps.history) are kept on the session so they survive a restart, and
+ * any reply from the lead starts the ladder again from the bottom.
+ */
+class FollowUpScheduler {
+    /**
+     * @param {Object} options
+     * @param {Object<string, Array<{afterHours: number, message: string, close: boolean}>>} options.ladders - Follow-ups per flow state
+     * @param {number} options.maxNudges - Most nudges a lead gets in one conversation (closing messages aside)
+     * @param {{start: string, end: string}} options.quietHours - HH:mm range on the lead's clock when nothing is
+     *                                                           sent, even with send windows switched off
+     * @param {Function} options.getSessions - () => Iterable<[whatsappId, session]>
+     * @param {Function} options.getLocalTime - (whatsappId, now) => Date whose local fields show the lead's clock
+     * @param {Function} options.canSendAt - (whatsappId, now) => whether the lead's send window is open
+     * @param {Function} options.sendFollowUp - async (whatsappId, session, step) => void
+     * @param {Function} options.saveSession - (whatsappId) => void
+     * @param {number} options.checkIntervalMinutes - How often to look for due follow-ups
+     */
+    constructor(options = {}) {
+        this.ladders = {};
+        for (const [state, steps] of Object.entries(options.ladders || {})) {
+            this.ladders[state] = [...steps].sort((a, b) => a.afterHours - b.afterHours);
+        }
+        this.maxNudges = options.maxNudges || Infinity;
+        this.quietHours = options.quietHours || null;
+        this.getSessions = options.getSessions;
+        this.getLocalTime = options.getLocalTime || ((whatsappId, now) => now);
+        this.canSendAt = options.canSendAt || (() => true);
+        this.sendFollowUp = options.sendFollowUp;
+        this.saveSession = options.saveSession;
+        this.checkIntervalMs = (options.checkIntervalMinutes || 15) * 60 * 1000;
+        this.timer = null;
+        this.isChecking = false;
+    }
+
+    /**
+     * Start periodic checks (runs one check immediately)
+     */
+    start() {
+        if (this.timer || Object.keys(this.ladders).length === 0) {
+            return;
+        }
+
+        console.log(`👋 Follow-up scheduler started (${Object.keys(this.ladders).join(', ')})`);
+        this.checkDueFollowUps();
+        this.timer = setInterval(() => this.checkDueFollowUps(), this.checkIntervalMs);
+    }
+
+    /**
+     * Stop periodic checks
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Start counting silence again, because the lead replied or the conversation moved on
+     * @param {Object} session - Conversation session
+     * @param {Date} now - Current time
+     */
+    resetLadder(session, now = new Date()) {
+        session.followUps = { history: [], ...session.followUps, since: now.toISOString() };
+    }
+
+    /**
+     * Whether a time on the lead's clock falls in quiet hours
+     * @param {Date} localTime - Date whose local fields show the lead's clock
+     * @returns {boolean}
+     */
+    isQuietTime(localTime) {
+        if (!this.quietHours) {
+            return false;
+        }
+
+        const minutes = localTime.getHours() * 60 + localTime.getMinutes();
+        const [start, end] = [this.quietHours.start, this.quietHours.end].map(time => {
+            const [hours, mins] = time.split(':').map(Number);
+            return hours * 60 + mins;
+        });
+
+        // Quiet hours usually run overnight, across midnight
+        return start <= end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+    }
+
+    /**
+     * Work out which follow-up (if any) is due for a session
+     * @param {Object} session - Conversation session
+     * @param {Date} now - Current time
+     * @returns {{step: Object, index: number}|null}
+     */
+    getDueFollowUp(session, now = new Date()) {
+        const ladder = this.ladders[session.state];
+        if (!ladder) {
+            return null;
+        }
+
+        // Sessions saved before the ladder start was kept count from their last activity
+        const since = new Date(session.followUps?.since || session.lastActivity);
+        const history = session.followUps?.history || [];
+        const nudgesSent = history.filter(entry => !entry.close).length;
+
+        // Follow-ups already sent in this state since the lead last spoke
+        const sentSinceActivity = history.filter(entry =>
+            entry.state === session.state && new Date(entry.sentAt) > since);
+        const nextIndex = sentSinceActivity.length > 0
+            ? Math.max(...sentSinceActivity.map(entry => entry.step)) + 1
+            : 0;
+
+        const hoursSilent = (now - since) / (60 * 60 * 1000);
+        let due = null;
+
+        for (let index = nextIndex; index < ladder.length; index++) {
+            const step = ladder[index];
+            if (step.afterHours > hoursSilent) {
+                break;
+            }
+            if (!step.close && nudgesSent >= this.maxNudges) {
+                continue;
+            }
+
+            // After downtime only the latest overdue follow-up is sent
+            due = { step, index };
+            if (step.close) {
+                break;
+            }
+        }
+
+        return due;
+    }
+
+    /**
+     * Send every follow-up that is due right now
+     */
+    async checkDueFollowUps(now = new Date()) {
+        if (this.isChecking) {
+            return;
+        }
+        this.isChecking = true;
+
+        try {
+            for (const [whatsappId, session] of this.getSessions()) {
+                const due = this.getDueFollowUp(session, now);
+                if (!due) {
+                    continue;
+                }
+
+                // Wait for the lead's morning and send window rather than message them at night
+                if (this.isQuietTime(this.getLocalTime(whatsappId, now)) || !this.canSendAt(whatsappId, now)) {
+                    continue;
+                }
+
+                const state = session.state;
+                try {
+                    await this.sendFollowUp(whatsappId, session, due.step);
+                } catch (error) {
+                    console.error(`❌ Failed to follow up with ${whatsappId} in ${state}:`, error.message);
+                    continue;
+                }
+
+                const followUps = session.followUps || { history: [] };
+                followUps.history.push({
+                    state,
+                    step: due.index,
+                    close: Boolean(due.step.close),
+                    sentAt: now.toISOString()
+                });
+                session.followUps = followUps;
+                this.saveSession(whatsappId);
+
+                console.log(`👋 ${due.step.close ? 'Closed' : 'Nudged'} ${whatsappId} after ${due.step.afterHours}h of silence in ${state}`);
+            }
+        } catch (error) {
+            console.error('❌ Error checking due follow-ups:', error);
+        } finally {
+            this.isChecking = false;
+        }
+    }
+}
+
+module.exports = FollowUpScheduler;
@@ -0,0 +1,193 @@
+const moment = require('moment');
+
+const MODES = ['regex', 'llm', 'hybrid'];
+
+/**
+ * Date/time extraction with the local TinyLlama model, used alongside the regex parser.
+ *
+ * The model is asked for JSON ({ date, time, range }) and its answer is validated before
+ * use; anything unusable, or an answer slower than timeoutMs, yields null so callers fall
+ * back to the regex result.
+ *
+ * Settings (timeParsing in config.json):
+ *   mode: 'regex'  - never use the model
+ *         'llm'    - ask the model first, regex only when it has no usable answer
+ *         'hybrid' - regex first, the model only for replies the regex parser can't read
+ *   model: model id for the text-generation pipeline
+ *   timeoutMs: longest a reply may wait for the model
+ *   maxNewTokens: generation limit (the JSON answer is short)
+ *   maxDaysAhead: model dates further out than this are rejected as made up
+ */
+class LlmTimeExtractor {
+    constructor(settings = {}) {
+        this.mode = settings.mode || 'hybrid';
+        this.model = settings.model || 'Xenova/TinyLlama-1.1B-Chat-v1.0';
+        this.timeoutMs = settings.timeoutMs || 5000;
+        this.maxNewTokens = settings.maxNewTokens || 60;
+        this.maxDaysAhead = settings.maxDaysAhead || 365;
+        this.busy = false;
+
+        if (!MODES.includes(this.mode)) {
+            console.warn(`⚠️ Unknown time parsing mode "${this.mode}", using hybrid`);
+            this.mode = 'hybrid';
+        }
+    }
+
+    /**
+     * Whether the model should be loaded at all
+     */
+    usesModel() {
+        return this.mode !== 'regex';
+    }
+
+    /**
+     * Prompt in TinyLlama's chat format
+     * @private
+     */
+    buildPrompt(text, now) {
+        const today = moment(now);
+        const system = [
+            'You extract call appointment times from messages.',
+            `Today is ${today.format('dddd YYYY-MM-DD')} and the time is ${today.format('HH:mm')}.`,
+            'Answer with JSON only, in this form:',
+            '{"date": "YYYY-MM-DD" or null, "time": "HH:mm" or null, "range": {"start": "HH:mm", "end": "HH:mm"} or null}',
+            'Use null for anything the message does not say. Use 24-hour times.',
+            // Most leads write Hinglish or Hindi, which the model barely knows
+            'Messages may be in Hinglish or Hindi: aaj/आज = today, kal/कल = tomorrow, parso/परसों = day after tomorrow,',
+            'subah/सुबह = morning, dopahar/दोपहर = afternoon, shaam/शाम = evening, raat/रात = night, "5 baje"/"5 बजे" = 5 o\'clock.'
+        ].join('\n');
+
+        return `<|system|>\n${system}</s>\n<|user|>\n${text}</s>\n<|assistant|>\n`;
+    }
+
+    /**
+     * Run the model, giving up after timeoutMs. Only one generation runs at a time - while
+     * an abandoned one is still finishing, further requests are skipped rather than queued.
+     * @private
+     */
+    async generate(generator, prompt) {
+        if (this.busy) {
+            console.log('⏳ Time parsing model still busy, skipping');
+            return null;
+        }
+
+        this.busy = true;
+        const generation = Promise.resolve().then(() => generator(prompt, {
+            max_new_tokens: this.maxNewTokens,
+            do_sample: false,
+            return_full_text: false
+        })).finally(() => {
+            this.busy = false;
+        });
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), this.timeoutMs);
+        });
+
+        try {
+            const output = await Promise.race([generation, timeout]);
+            if (!output) {
+                console.log(`⏱️ Time parsing model timed out after ${this.timeoutMs}ms`);
+                generation.catch(() => {}); // finishes in the background
+                return null;
+            }
+
+            const generated = output[0].generated_text;
+            // Older transformers.js versions always return the prompt as well
+            return generated.startsWith(prompt) ? generated.slice(prompt.length) : generated;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * First balanced {...} in the generated text (the model may add words around it)
+     * @private
+     */
+    findJsonObject(output) {
+        const start = output.indexOf('{');
+        if (start === -1) {
+            return null;
+        }
+
+        let depth = 0;
+        for (let i = start; i < output.length; i++) {
+            if (output[i] === '{') depth++;
+            if (output[i] === '}' && --depth === 0) {
+                return output.slice(start, i + 1);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Validate the model's JSON answer
+     * @param {string} output - Generated text
+     * @param {moment.Moment|Date} now - Current time on the contact's clock
+     * @returns {{date: (string|null), time: (string|null), range: ({start, end}|null)}|null}
+     *          date as DD/MM/YYYY, or null when nothing usable came back
+     */
+    parseOutput(output, now) {
+        const json = this.findJsonObject(output || '');
+        if (!json) {
+            return null;
+        }
+
+        let answer;
+        try {
+            answer = JSON.parse(json);
+        } catch (error) {
+            return null;
+        }
+
+        const isTime = (value) => typeof value === 'string' && moment(value, 'HH:mm', true).isValid();
+        const today = moment(now).startOf('day');
+        const result = { date: null, time: null, range: null };
+
+        if (answer.date) {
+            const date = moment(answer.date, 'YYYY-MM-DD', true);
+            // A date before today or far ahead is more likely invented than meant
+            if (date.isValid() && !date.isBefore(today) && date.diff(today, 'days') <= this.maxDaysAhead) {
+                result.date = date.format('DD/MM/YYYY');
+            }
+        }
+
+        if (isTime(answer.time)) {
+            result.time = answer.time;
+        }
+
+        if (answer.range && isTime(answer.range.start) && isTime(answer.range.end) && answer.range.start < answer.range.end) {
+            result.range = { start: answer.range.start, end: answer.range.end };
+        }
+
+        return result.date || result.time || result.range ? result : null;
+    }
+
+    /**
+     * Ask the model for the date/time in a reply
+     * @param {Function} generator - Loaded text-generation pipeline (null when not loaded)
+     * @param {string} text - The lead's reply
+     * @param {moment.Moment|Date} now - Current time on the contact's clock
+     * @returns {Promise<Object|null>} Result of parseOutput, or null
+     */
+    async extract(generator, text, now = new Date()) {
+        if (!generator || !this.usesModel()) {
+            return null;
+        }
+
+        try {
+            const output = await this.generate(generator, this.buildPrompt(text, now));
+            const result = this.parseOutput(output, now);
+            console.log(`🦙 Model time extraction: "${text}" -> ${result ? JSON.stringify(result) : 'nothing usable'}`);
+            return result;
+        } catch (error) {
+            console.error('❌ Error in model time extraction:', error.message);
+            return null;
+        }
+    }
+}
+
+LlmTimeExtractor.MODES = MODES;
+
+module.exports = LlmTimeExtractor;
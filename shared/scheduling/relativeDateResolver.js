@@ -0,0 +1,292 @@
+const moment = require('moment');
+
+const WEEKDAYS = {
+    sunday: 0, sun: 0,
+    monday: 1, mon: 1,
+    tuesday: 2, tue: 2, tues: 2,
+    wednesday: 3, wed: 3,
+    thursday: 4, thu: 4, thurs: 4,
+    friday: 5, fri: 5,
+    saturday: 6, sat: 6
+};
+
+const MONTHS = {
+    january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4, may: 5,
+    june: 6, jun: 6, july: 7, jul: 7, august: 8, aug: 8, september: 9, sept: 9, sep: 9,
+    october: 10, oct: 10, november: 11, nov: 11, december: 12, dec: 12
+};
+
+const ORDINAL_WORDS = {
+    first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+    tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15, sixteenth: 16,
+    seventeenth: 17, eighteenth: 18, nineteenth: 19, twentieth: 20, thirtieth: 30
+};
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    couple: 2, 'a couple of': 2, few: 3, 'a few': 3
+};
+
+const NUMERIC_ORDERS = ['day-first', 'month-first'];
+
+const WEEKDAY = '(sunday|sun|monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thu|friday|fri|saturday|sat)';
+const MONTH = '(january|jan|february|feb|march|mar|april|apr|may|june|jun|july|jul|august|aug|september|sept|sep|october|oct|november|nov|december|dec)';
+// "25", "25th", "twenty-fifth", "thirty first"
+const DAY = '(\\d{1,2}(?:st|nd|rd|th)?|(?:twenty|thirty)[\\s-]?(?:first|second|third|fourth|fifth|sixth|seventh|eighth|ninth)|first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|eleventh|twelfth|thirteenth|fourteenth|fifteenth|sixteenth|seventeenth|eighteenth|nineteenth|twentieth|thirtieth)';
+// "the second one", "2nd option" pick from a list rather than name a day
+const NOT_A_DAY = '\\s*(?:am|pm|:|one|option|choice|slot|time)';
+
+/**
+ * Resolves the date in a reply against today: relative days ("tomorrow", "in 3 days"),
+ * weekdays ("this Monday" vs "next Monday"), month ends, days of the month ("the 25th")
+ * and calendar dates with or without a year ("5th January", "25/12").
+ *
+ * Dates without a year, and days of the month without a month, resolve to their next
+ * occurrence, so "5th January" said in December means the coming January.
+ *
+ * Settings (dateParsing in config.json):
+ *   numericDateOrder: 'day-first' (25/12) | 'month-first' (12/25) for ambiguous numeric dates
+ */
+class RelativeDateResolver {
+    constructor(settings = {}) {
+        this.numericDateOrder = settings.numericDateOrder || 'day-first';
+
+        if (!NUMERIC_ORDERS.includes(this.numericDateOrder)) {
+            console.warn(`⚠️ Unknown numeric date order "${this.numericDateOrder}", using day-first`);
+            this.numericDateOrder = 'day-first';
+        }
+
+        this.rules = this.buildRules();
+    }
+
+    /**
+     * Day of the month from "25", "25th" or "twenty-fifth"
+     * @private
+     */
+    parseDay(text) {
+        const digits = text.match(/^(\d{1,2})/);
+        if (digits) {
+            return parseInt(digits[1], 10);
+        }
+
+        const [tens, units] = text.split(/[\s-]/);
+        if (units) {
+            return (tens === 'twenty' ? 20 : 30) + ORDINAL_WORDS[units];
+        }
+        return ORDINAL_WORDS[text] || null;
+    }
+
+    /**
+     * "3", "three", "a couple of"
+     * @private
+     */
+    parseCount(text) {
+        return NUMBER_WORDS[text] || parseInt(text, 10) || null;
+    }
+
+    /**
+     * A calendar date, or null if it does not exist (31st of June)
+     * @private
+     */
+    makeDate(year, month, day) {
+        const date = moment([year, month - 1, day]);
+        return date.isValid() && date.date() === day ? date : null;
+    }
+
+    /**
+     * Next occurrence of a day and month on or after today
+     * @private
+     */
+    nextAnnual(today, month, day) {
+        for (let year = today.year(); year <= today.year() + 4; year++) {
+            const date = this.makeDate(year, month, day);
+            if (date && !date.isBefore(today, 'day')) {
+                return date;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Next occurrence of a day of the month on or after today, skipping short months
+     * @private
+     */
+    nextMonthly(today, day) {
+        for (let offset = 0; offset <= 12; offset++) {
+            const month = today.clone().startOf('month').add(offset, 'months');
+            const date = this.makeDate(month.year(), month.month() + 1, day);
+            if (date && !date.isBefore(today, 'day')) {
+                return date;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * A weekday relative to today:
+     *   "monday"      - the next one after today
+     *   "this monday" - the one in the current week, or the coming one once that has passed
+     *   "next monday" - the one in the following week (Monday-based weeks)
+     * @private
+     */
+    resolveWeekday(today, weekday, qualifier) {
+        const isoWeekday = weekday === 0 ? 7 : weekday;
+
+        if (qualifier === 'next') {
+            return today.clone().add(1, 'week').isoWeekday(isoWeekday);
+        }
+        if (qualifier === 'this') {
+            const inThisWeek = today.clone().isoWeekday(isoWeekday);
+            return inThisWeek.isBefore(today, 'day') ? inThisWeek.add(1, 'week') : inThisWeek;
+        }
+
+        const daysAhead = (weekday - today.day() + 7) % 7 || 7;
+        return today.clone().add(daysAhead, 'days');
+    }
+
+    /**
+     * Numeric date ("25/12", "12/25/2026", "2026-12-25"); year-less dates roll forward.
+     * strict reads the parts in the configured order only (for the alternative reading).
+     * @private
+     */
+    resolveNumeric(today, first, second, year, strict = false) {
+        let [day, month] = this.numericDateOrder === 'month-first' ? [second, first] : [first, second];
+
+        // "13/05" with month-first (or "05/13" with day-first) can only be read one way
+        if (month > 12 && day <= 12 && !strict) {
+            [day, month] = [month, day];
+        }
+        if (month < 1 || month > 12) {
+            return null;
+        }
+
+        if (year === undefined) {
+            return this.nextAnnual(today, month, day);
+        }
+        return this.makeDate(year < 100 ? 2000 + year : year, month, day);
+    }
+
+    /**
+     * Find and resolve the date in a reply
+     * @param {string} text - The lead's reply
+     * @param {moment.Moment|Date} now - Current time on the contact's clock
+     * @returns {{date: string, match: string, alternative: (string|null), ambiguity: (string|null)}|null}
+     *          DD/MM/YYYY and the text it was read from, or null when the reply names no date.
+     *          When the text can also be read another way ("friday" on a Friday, "3/4"),
+     *          alternative holds that other date and ambiguity says why ('weekday', 'numeric_date').
+     */
+    resolve(text, now = new Date()) {
+        const lowerText = text.toLowerCase();
+        const today = moment(now).startOf('day');
+
+        for (const rule of this.rules) {
+            const match = lowerText.match(rule.pattern);
+            const date = match && rule.resolve(match, today);
+            if (date) {
+                const alternative = rule.alternative ? rule.alternative(match, today) : null;
+                const isDifferent = alternative && !alternative.isSame(date, 'day');
+                return {
+                    date: date.format('DD/MM/YYYY'),
+                    match: match[0],
+                    alternative: isDifferent ? alternative.format('DD/MM/YYYY') : null,
+                    ambiguity: isDifferent ? rule.ambiguity : null
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Date rules, most specific first
+     * @private
+     */
+    buildRules() {
+        return [
+            // Relative days ("day after tomorrow" before "tomorrow")
+            { pattern: /\b(?:the\s+)?day\s+after\s+(?:tomorrow|tmrw)\b|\bovermorrow\b/, resolve: (m, today) => today.clone().add(2, 'days') },
+            { pattern: /\b(?:the\s+)?day\s+before\s+yesterday\b/, resolve: (m, today) => today.clone().subtract(2, 'days') },
+            { pattern: /\b(tomorrow|tmrw|tmr|tom)\b/, resolve: (m, today) => today.clone().add(1, 'day') },
+            { pattern: /\b(yesterday|yest)\b/, resolve: (m, today) => today.clone().subtract(1, 'day') },
+            { pattern: /\b(today|tod|tonight)\b/, resolve: (m, today) => today.clone() },
+
+            // "in 3 days", "in a couple of weeks", "two days from now", "a week today"
+            { pattern: /\b(?:in|after)\s+(\d{1,2}|a couple of|a few|couple|few|an?|one|two|three|four|five|six|seven|eight|nine|ten)\s+(day|week|month)s?\b/,
+                resolve: (m, today) => today.clone().add(this.parseCount(m[1]), `${m[2]}s`) },
+            { pattern: /\b(\d{1,2}|an?|one|two|three|four|five|six|seven|eight|nine|ten)\s+(day|week|month)s?\s+(?:from\s+(?:now|today)|later)\b/,
+                resolve: (m, today) => today.clone().add(this.parseCount(m[1]), `${m[2]}s`) },
+            { pattern: /\b(?:in\s+)?a\s+fortnight\b/, resolve: (m, today) => today.clone().add(2, 'weeks') },
+            { pattern: /\ba\s+week\s+(?:today|from\s+today)\b/, resolve: (m, today) => today.clone().add(1, 'week') },
+
+            // Month boundaries
+            { pattern: /\b(?:the\s+)?(?:end|last\s+day)\s+of\s+(?:the\s+|this\s+)?(next\s+)?month\b/,
+                resolve: (m, today) => today.clone().add(m[1] ? 1 : 0, 'month').endOf('month').startOf('day') },
+            { pattern: /\b(?:the\s+)?(?:start|beginning|first\s+day)\s+of\s+(?:the\s+)?next\s+month\b/,
+                resolve: (m, today) => today.clone().add(1, 'month').startOf('month') },
+            { pattern: /\b(?:the\s+)?end\s+of\s+(?:the\s+|this\s+)?week\b/,
+                resolve: (m, today) => today.isoWeekday() >= 5 ? today.clone() : today.clone().isoWeekday(5) },
+
+            // Calendar dates: ISO, then numeric in the configured order
+            { pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/,
+                resolve: (m) => this.makeDate(parseInt(m[1], 10), parseInt(m[2], 10), parseInt(m[3], 10)) },
+            { pattern: /(?<![\d:.])\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b(?![/.-]?\d)/,
+                resolve: (m, today) => this.resolveNumeric(today, parseInt(m[1], 10), parseInt(m[2], 10), parseInt(m[3], 10)),
+                alternative: (m, today) => this.resolveNumeric(today, parseInt(m[2], 10), parseInt(m[1], 10), parseInt(m[3], 10), true),
+                ambiguity: 'numeric_date' },
+            // Without a year only "/" - "2-4" and "10.30" are more likely times
+            { pattern: /(?<![\d:.])\b(\d{1,2})\/(\d{1,2})\b(?!\/?\d)/,
+                resolve: (m, today) => this.resolveNumeric(today, parseInt(m[1], 10), parseInt(m[2], 10)),
+                alternative: (m, today) => this.resolveNumeric(today, parseInt(m[2], 10), parseInt(m[1], 10), undefined, true),
+                ambiguity: 'numeric_date' },
+
+            // "25th December", "the 5th of January 2027", "december 25", "jan the 5th"
+            { pattern: new RegExp(`\\b(?:the\\s+)?${DAY}\\s+(?:of\\s+)?${MONTH}\\b(?:,?\\s+(\\d{4}))?`),
+                resolve: (m, today) => this.resolveCalendarDate(today, this.parseDay(m[1]), MONTHS[m[2]], m[3]) },
+            { pattern: new RegExp(`\\b${MONTH}\\s+(?:the\\s+)?${DAY}\\b(?:,?\\s+(\\d{4}))?`),
+                resolve: (m, today) => this.resolveCalendarDate(today, this.parseDay(m[2]), MONTHS[m[1]], m[3]) },
+
+            // "next week monday", "monday next week", "monday after next"
+            { pattern: new RegExp(`\\bnext\\s+week\\s+(?:on\\s+)?${WEEKDAY}\\b|\\b${WEEKDAY}\\s+(?:of\\s+)?next\\s+week\\b`),
+                resolve: (m, today) => this.resolveWeekday(today, WEEKDAYS[m[1] || m[2]], 'next') },
+            { pattern: new RegExp(`\\b${WEEKDAY}\\s+after\\s+next\\b`),
+                resolve: (m, today) => this.resolveWeekday(today, WEEKDAYS[m[1]], 'next').add(1, 'week') },
+
+            // "the 25th", "on the third", "25th" - plain numbers ("2" in "2pm") are never days
+            { pattern: new RegExp(`\\b(?:on\\s+)?the\\s+${DAY}\\b(?!${NOT_A_DAY})`),
+                resolve: (m, today) => this.resolveDayOfMonth(today, m[1]) },
+            { pattern: new RegExp(`\\b(\\d{1,2})(st|nd|rd|th)\\b(?!${NOT_A_DAY})`),
+                resolve: (m, today) => this.nextMonthly(today, parseInt(m[1], 10)) },
+
+            // "this monday", "next friday", "friday"
+            // A plain "friday" said on a Friday may mean today rather than next week
+            { pattern: new RegExp(`\\b(this|next|coming|this coming)?\\s*${WEEKDAY}\\b`),
+                resolve: (m, today) => this.resolveWeekday(today, WEEKDAYS[m[2]], m[1] === 'next' ? 'next' : (m[1] ? 'this' : null)),
+                alternative: (m, today) => !m[1] && WEEKDAYS[m[2]] === today.day() ? today.clone() : null,
+                ambiguity: 'weekday' }
+        ];
+    }
+
+    /**
+     * Day and month, in the given year or the next occurrence when no year was said
+     * @private
+     */
+    resolveCalendarDate(today, day, month, year) {
+        if (!day || day > 31) {
+            return null;
+        }
+        return year ? this.makeDate(parseInt(year, 10), month, day) : this.nextAnnual(today, month, day);
+    }
+
+    /**
+     * "the 25th" / "the third" - only numbers that can be a day of the month
+     * @private
+     */
+    resolveDayOfMonth(today, text) {
+        const day = this.parseDay(text);
+        return day >= 1 && day <= 31 ? this.nextMonthly(today, day) : null;
+    }
+}
+
+RelativeDateResolver.NUMERIC_ORDERS = NUMERIC_ORDERS;
+
+module.exports = RelativeDateResolver;
@@ -0,0 +1,141 @@
+const moment = require('moment');
+
+/**
+ * Periodically scans booked calls and sends reminders ahead of them.
+ *
+ * Sent reminders are recorded on the booking itself (remindersSent[ruleId]) so a
+ * restart never sends the same reminder twice, and rescheduling a call (which
+ * rewrites the booking) starts its reminders afresh.
+ */
+class ReminderScheduler {
+    /**
+     * @param {Object} options
+     * @param {Array<{id: string, minutesBefore: number, message: string}>} options.rules - Reminder rules
+     * @param {Function} options.loadSchedules - () => { [phoneNumber]: booking }
+     * @param {Function} options.updateSchedule - (phoneNumber, updates) => booking
+     * @param {Function} options.sendReminder - async (phoneNumber, booking, rule) => void
+     * @param {number} options.checkIntervalMinutes - How often to look for due reminders
+     */
+    constructor(options = {}) {
+        this.rules = [...(options.rules || [])].sort((a, b) => b.minutesBefore - a.minutesBefore);
+        this.loadSchedules = options.loadSchedules;
+        this.updateSchedule = options.updateSchedule;
+        this.sendReminder = options.sendReminder;
+        this.checkIntervalMs = (options.checkIntervalMinutes || 5) * 60 * 1000;
+        this.timer = null;
+        this.isChecking = false;
+    }
+
+    /**
+     * Start periodic checks (runs one check immediately)
+     */
+    start() {
+        if (this.timer || this.rules.length === 0) {
+            return;
+        }
+
+        console.log(`⏰ Reminder scheduler started (${this.rules.map(rule => rule.id).join(', ')})`);
+        this.checkDueReminders();
+        this.timer = setInterval(() => this.checkDueReminders(), this.checkIntervalMs);
+    }
+
+    /**
+     * Stop periodic checks
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Work out which reminder (if any) is due for a booking
+     * @param {Object} booking - Entry from call_schedule.json
+     * @param {Date} now - Current time
+     * @returns {{due: (Object|null), skipped: Array<Object>}} Rule to send and rules to mark as skipped
+     */
+    getDueReminder(booking, now = new Date()) {
+        const callTime = moment(`${booking.date} ${booking.time}`, 'DD/MM/YYYY HH:mm');
+        const bookedAt = moment(booking.confirmedAt || booking.scheduledAt || booking.createdAt);
+        const sent = booking.remindersSent || {};
+        const result = { due: null, skipped: [] };
+
+        if (!callTime.isValid() || !callTime.isAfter(now)) {
+            return result;
+        }
+
+        for (const rule of this.rules) {
+            if (sent[rule.id]) {
+                continue;
+            }
+
+            const sendAt = callTime.clone().subtract(rule.minutesBefore, 'minutes');
+            if (sendAt.isAfter(now)) {
+                continue;
+            }
+
+            // A reminder whose window opened before the call was booked is pointless
+            if (bookedAt.isValid() && sendAt.isBefore(bookedAt)) {
+                result.skipped.push(rule);
+                continue;
+            }
+
+            // Rules are ordered furthest first, so a later due rule supersedes an earlier one
+            if (result.due) {
+                result.skipped.push(result.due);
+            }
+            result.due = rule;
+        }
+
+        return result;
+    }
+
+    /**
+     * Send every reminder that is due right now
+     */
+    async checkDueReminders(now = new Date()) {
+        if (this.isChecking) {
+            return;
+        }
+        this.isChecking = true;
+
+        try {
+            const allSchedules = this.loadSchedules();
+
+            for (const [phoneNumber, booking] of Object.entries(allSchedules)) {
+                if (booking.status !== 'scheduled') {
+                    continue;
+                }
+
+                const { due, skipped } = this.getDueReminder(booking, now);
+                if (!due && skipped.length === 0) {
+                    continue;
+                }
+
+                const remindersSent = { ...(booking.remindersSent || {}) };
+                skipped.forEach(rule => {
+                    remindersSent[rule.id] = 'skipped';
+                });
+
+                if (due) {
+                    try {
+                        await this.sendReminder(phoneNumber, booking, due);
+                        remindersSent[due.id] = new Date().toISOString();
+                        console.log(`⏰ Sent ${due.id} reminder to ${phoneNumber} for ${booking.date} ${booking.time}`);
+                    } catch (error) {
+                        console.error(`❌ Failed to send ${due.id} reminder to ${phoneNumber}:`, error.message);
+                    }
+                }
+
+                this.updateSchedule(phoneNumber, { remindersSent });
+            }
+        } catch (error) {
+            console.error('❌ Error checking due reminders:', error);
+        } finally {
+            this.isChecking = false;
+        }
+    }
+}
+
+module.exports = ReminderScheduler;
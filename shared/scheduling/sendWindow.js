@@ -0,0 +1,76 @@
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Hours in which the bot may start a conversation or message a lead unprompted, on the
+ * lead's own clock. Replies to a lead's message are not limited by it.
+ *
+ * Settings (sendWindows in config.json):
+ *   hours: { monday: [{ start: '09:00', end: '20:00' }], sunday: [], ... }
+ *
+ * Without hours every day is open around the clock.
+ */
+class SendWindow {
+    constructor(settings = {}) {
+        this.hours = settings.hours || null;
+    }
+
+    /**
+     * Convert "HH:mm" to minutes since midnight ("24:00" is allowed as an end time)
+     * @private
+     */
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    }
+
+    /**
+     * Open ranges (in minutes since midnight) for a weekday
+     * @private
+     */
+    getRanges(weekday) {
+        if (!this.hours) {
+            return [{ start: 0, end: 24 * 60 }];
+        }
+
+        return (this.hours[WEEKDAYS[weekday]] || [])
+            .map(range => ({ start: this.toMinutes(range.start), end: this.toMinutes(range.end) }))
+            .sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Whether messages may be sent at a time on the lead's clock
+     * @param {Date} localTime - Date whose local fields show the lead's clock
+     * @returns {boolean}
+     */
+    isOpen(localTime) {
+        return this.msUntilOpen(localTime) === 0;
+    }
+
+    /**
+     * How long until the window next opens
+     * @param {Date} localTime - Date whose local fields show the lead's clock
+     * @returns {number} Milliseconds, 0 when it is open now (Infinity when it never opens)
+     */
+    msUntilOpen(localTime) {
+        // Seconds count too, so a held message isn't released just before the window opens
+        const msOfDay = ((localTime.getHours() * 60 + localTime.getMinutes()) * 60 + localTime.getSeconds()) * 1000
+            + localTime.getMilliseconds();
+
+        for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+            const weekday = (localTime.getDay() + dayOffset) % 7;
+
+            for (const range of this.getRanges(weekday)) {
+                const start = (range.start + dayOffset * 24 * 60) * 60 * 1000;
+                const end = (range.end + dayOffset * 24 * 60) * 60 * 1000;
+
+                if (msOfDay < end) {
+                    return Math.max(0, start - msOfDay);
+                }
+            }
+        }
+
+        return Infinity;
+    }
+}
+
+module.exports = SendWindow;
@@ -0,0 +1,477 @@
+const moment = require('moment');
+
+const WEEKDAY_NAMES = {
+    sunday: 0, sun: 0,
+    monday: 1, mon: 1,
+    tuesday: 2, tue: 2, tues: 2,
+    wednesday: 3, wed: 3,
+    thursday: 4, thu: 4, thurs: 4,
+    friday: 5, fri: 5,
+    saturday: 6, sat: 6
+};
+
+const NUMBER_WORDS = { a: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, few: 3, couple: 2, 'couple of': 2 };
+
+const DEFAULT_PERIODS = {
+    morning: { start: '09:00', end: '12:00' },
+    lunch: { start: '12:30', end: '13:30' },
+    afternoon: { start: '12:00', end: '17:00' },
+    evening: { start: '17:00', end: '21:00' }
+};
+
+// How windows are described in English; messages.<language>.timeWindows.labels in config.json
+// holds the same templates for the other languages (see describe())
+const DEFAULT_LABELS = {
+    between: 'between {start} and {end}',
+    after: 'after {time}',
+    before: 'before {time}',
+    at: 'at {time}',
+    afterPeriod: 'after {period}',
+    beforePeriod: 'before {period}',
+    inPeriod: 'in the {period}',
+    thisPeriod: 'this {period}',
+    aroundPeriod: 'around {period}',
+    thisWeek: 'this week',
+    laterThisWeek: 'later this week',
+    nextWeek: 'next week',
+    nextWeekend: 'next weekend',
+    thisWeekend: 'this weekend',
+    nextDay: 'in the next day',
+    nextDays: 'in the next {count} days',
+    thisMonth: 'this month',
+    nextMonth: 'next month',
+    onWeekday: 'on a weekday',
+    atWeekend: 'at the weekend',
+    everyWeekday: 'on {day}s',
+    onDays: 'on {days}',
+    or: '{list} or {last}',
+    onDate: 'on {date}',
+    comingDays: 'in the coming days',
+    periods: {}
+};
+
+// "2", "2pm", "2:30 p.m.", "14:00", "noon"
+const CLOCK = '(\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|a\\.m\\.?|p\\.m\\.?)?|noon|midday|midnight)';
+const WEEKDAY = '(sunday|sun|monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thu|friday|fri|saturday|sat)';
+
+/**
+ * Recognises time ranges and windows in a reply ("between 2 and 4pm", "after lunch",
+ * "any evening next week", "weekdays after 6") so the scheduler can pick the first free
+ * slot inside them instead of a single parsed time.
+ *
+ * Settings (timeWindows in config.json):
+ *   periods: { morning: { start: '09:00', end: '12:00' }, lunch: ..., ... }
+ *   defaultSearchDays: days searched when a window names no days ("after 6")
+ *
+ * A window is a plain object, so it can be stored on the session:
+ *   { startDate, endDate,       // DD/MM/YYYY, inclusive; null when the reply names no days
+ *     weekdays,                 // e.g. [1, 2, 3, 4, 5], or null for every day
+ *     startTime, endTime,       // HH:mm on the contact's clock, end exclusive ('24:00' allowed)
+ *     hasTimeRange,             // false when only days were given
+ *     timeLabel, dayLabel }     // used to describe the window back to the lead: { key, ...values }
+ *                               // for the time, a list of those for the days (see describe())
+ */
+class TimeWindowParser {
+    constructor(settings = {}) {
+        this.periods = settings.periods || DEFAULT_PERIODS;
+        this.defaultSearchDays = settings.defaultSearchDays || 7;
+    }
+
+    /**
+     * Convert minutes since midnight to "HH:mm" (1440 becomes "24:00")
+     * @private
+     */
+    toTime(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Convert "HH:mm" to minutes since midnight
+     * @private
+     */
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    }
+
+    /**
+     * Read a clock time
+     * @private
+     * @returns {{minutes: number, meridiem: (string|null)}|null} meridiem is null for a bare hour like "4"
+     */
+    parseClock(raw) {
+        const text = raw.trim().replace(/\./g, '');
+
+        if (text === 'noon' || text === 'midday') {
+            return { minutes: 12 * 60, meridiem: 'pm' };
+        }
+        if (text === 'midnight') {
+            return { minutes: 24 * 60, meridiem: 'am' };
+        }
+
+        const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+        if (!match) {
+            return null;
+        }
+
+        let hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2] || '0', 10);
+        const meridiem = match[3] || (hours > 12 || hours === 0 ? 'am' : null); // "14:00" needs no am/pm
+
+        if (hours > 23 || minutes > 59 || (match[3] && hours > 12)) {
+            return null;
+        }
+        if (meridiem === 'pm' && hours !== 12) hours += 12;
+        if (match[3] === 'am' && hours === 12) hours = 0;
+
+        return { minutes: hours * 60 + minutes, meridiem };
+    }
+
+    /**
+     * Minutes for a bare hour ("after 6") - calls happen in the day, so 1-7 means afternoon
+     * @private
+     */
+    guessMeridiem(clock) {
+        if (clock.meridiem) {
+            return clock.minutes;
+        }
+        const hours = Math.floor(clock.minutes / 60);
+        return hours >= 1 && hours <= 7 ? clock.minutes + 12 * 60 : clock.minutes;
+    }
+
+    /**
+     * Resolve both ends of "2-4pm" / "10 to 2" so the range runs forwards
+     * @private
+     */
+    resolveRange(start, end) {
+        let startMinutes;
+        let endMinutes;
+
+        if (start.meridiem && end.meridiem) {
+            startMinutes = start.minutes;
+            endMinutes = end.minutes;
+        } else if (end.meridiem) {
+            // "2-4pm": the start shares the end's half of the day unless that makes it later
+            endMinutes = end.minutes;
+            startMinutes = end.meridiem === 'pm' && start.minutes < 12 * 60 && start.minutes + 12 * 60 < endMinutes
+                ? start.minutes + 12 * 60
+                : start.minutes;
+        } else {
+            startMinutes = this.guessMeridiem(start);
+            endMinutes = end.minutes;
+        }
+
+        // "11-1", "10 to 2": the end is the next occurrence of that hour after the start
+        if (!end.meridiem && endMinutes <= startMinutes && endMinutes + 12 * 60 <= 24 * 60) {
+            endMinutes += 12 * 60;
+        }
+
+        return endMinutes > startMinutes ? { startMinutes, endMinutes } : null;
+    }
+
+    /**
+     * Human readable clock time ("2:00 PM")
+     * @private
+     */
+    formatClock(minutes) {
+        return moment().startOf('day').add(minutes, 'minutes').format('h:mm A');
+    }
+
+    /**
+     * Find the time-of-day part of a reply
+     * @private
+     * @returns {{startMinutes, endMinutes, label, match}|null}
+     */
+    parseTimeRange(text) {
+        const periodNames = Object.keys(this.periods).join('|');
+        const rangePatterns = [
+            new RegExp(`\\b(?:between|btw|b/w)\\s+${CLOCK}\\s*(?:and|&|-|to)\\s*${CLOCK}`),
+            new RegExp(`\\bfrom\\s+${CLOCK}\\s*(?:to|till|til|until|-)\\s*${CLOCK}`),
+            // Bare "2-4pm" / "10am to 12" - one end must be unmistakably a time
+            new RegExp(`(?<![\\d/.-])\\b(\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)|\\d{1,2}:\\d{2})\\s*(?:-|–|to|till|until)\\s*${CLOCK}(?![\\d/.-])`),
+            new RegExp(`(?<![\\d/.-])\\b(\\d{1,2})\\s*(?:-|–|to|till|until)\\s*(\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)|\\d{1,2}:\\d{2})(?![\\d/.-])`)
+        ];
+
+        for (const pattern of rangePatterns) {
+            const match = text.match(pattern);
+            const start = match && this.parseClock(match[1]);
+            const end = match && this.parseClock(match[2]);
+            const range = start && end && this.resolveRange(start, end);
+
+            if (range) {
+                return {
+                    ...range,
+                    label: { key: 'between', start: range.startMinutes, end: range.endMinutes },
+                    match: match[0]
+                };
+            }
+        }
+
+        // "after lunch", "before the evening"
+        const periodBound = text.match(new RegExp(`\\b(after|before)\\s+(?:the\\s+)?(${periodNames})(?:time)?\\b`));
+        if (periodBound) {
+            const period = this.periods[periodBound[2]];
+            return periodBound[1] === 'after'
+                ? { startMinutes: this.toMinutes(period.end), endMinutes: 24 * 60, label: { key: 'afterPeriod', period: periodBound[2] }, match: periodBound[0] }
+                : { startMinutes: 0, endMinutes: this.toMinutes(period.start), label: { key: 'beforePeriod', period: periodBound[2] }, match: periodBound[0] };
+        }
+
+        // "after 6", "before 11am"
+        const clockBound = text.match(new RegExp(`\\b(after|before|not before|no earlier than|no later than|by)\\s+${CLOCK}(?![\\d/.-])`));
+        const boundClock = clockBound && this.parseClock(clockBound[2]);
+        if (boundClock) {
+            const minutes = this.guessMeridiem(boundClock);
+            const from = ['after', 'not before', 'no earlier than'].includes(clockBound[1]);
+            return from
+                ? { startMinutes: minutes, endMinutes: 24 * 60, label: { key: 'after', time: minutes }, match: clockBound[0] }
+                : { startMinutes: 0, endMinutes: minutes, label: { key: 'before', time: minutes }, match: clockBound[0] };
+        }
+
+        // "any evening", "in the morning" - unless the reply also gives an exact time ("morning at 10")
+        const period = text.match(new RegExp(`\\b(?:(this|any|some|one|an?|in the|during the)\\s+)?(${periodNames})(?:s|time)?\\b`));
+        const hasExactTime = /\b\d{1,2}(?::\d{2})?\s*(?:am|pm|a\.m|p\.m|o'?clock)|\b\d{1,2}:\d{2}\b|\bat\s+\d{1,2}\b/.test(text);
+        if (period && !hasExactTime) {
+            const bounds = this.periods[period[2]];
+            return {
+                startMinutes: this.toMinutes(bounds.start),
+                endMinutes: this.toMinutes(bounds.end),
+                label: { key: period[2] === 'lunch' ? 'aroundPeriod' : (period[1] === 'this' ? 'thisPeriod' : 'inPeriod'), period: period[2] },
+                today: period[1] === 'this', // "this evening"
+                match: period[0]
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Find a span of days ("next week", "in the next 3 days") or set of weekdays ("weekdays",
+     * "mondays or wednesdays") in a reply
+     * @private
+     * @returns {{startDate, endDate, weekdays, labels, matches}|null}
+     */
+    parseDays(text, now) {
+        const today = moment(now).startOf('day');
+        const result = { startDate: null, endDate: null, weekdays: null, labels: [], matches: [] };
+        let match;
+
+        // "next week wednesday" / "friday this week" name one day, which the date parser reads
+        const weekday = WEEKDAY.replace('(', '(?:');
+        const oneDay = `(?<!${weekday}\\s+(?:of\\s+)?)`;
+        const notOneDay = `(?!\\s+(?:on\\s+)?${weekday})`;
+
+        if ((match = text.match(new RegExp(`${oneDay}\\b(?:(later|rest of|sometime|some time)\\s+)?(?:this|the)\\s+week\\b${notOneDay}`)))) {
+            result.startDate = today.clone();
+            result.endDate = today.clone().isoWeekday(7);
+            result.labels.push({ key: match[1] === 'later' ? 'laterThisWeek' : 'thisWeek' });
+            result.matches.push(match[0]);
+        } else if ((match = text.match(new RegExp(`${oneDay}\\bnext\\s+week(?:end)?\\b${notOneDay}`)))) {
+            const nextMonday = today.clone().isoWeekday(1).add(1, 'week');
+            const weekend = match[0].endsWith('weekend');
+            result.startDate = weekend ? nextMonday.clone().isoWeekday(6) : nextMonday;
+            result.endDate = nextMonday.clone().isoWeekday(7);
+            result.labels.push({ key: weekend ? 'nextWeekend' : 'nextWeek' });
+            result.matches.push(match[0]);
+        } else if ((match = text.match(/\b(?:this|the)\s+weekend\b/))) {
+            result.startDate = today.isoWeekday() === 7 ? today.clone() : today.clone().isoWeekday(6);
+            result.endDate = today.clone().isoWeekday(7);
+            result.labels.push({ key: 'thisWeekend' });
+            result.matches.push(match[0]);
+        } else if ((match = text.match(/\b(?:in\s+|over\s+|within\s+)?(?:the\s+)?next\s+(\d{1,2}|a|one|two|three|four|five|six|seven|few|couple(?: of)?)\s+days\b/))) {
+            const count = NUMBER_WORDS[match[1]] || parseInt(match[1], 10);
+            result.startDate = today.clone();
+            result.endDate = today.clone().add(count, 'days');
+            result.labels.push(count === 1 ? { key: 'nextDay' } : { key: 'nextDays', count });
+            result.matches.push(match[0]);
+        } else if ((match = text.match(/\b(this|next)\s+month\b/))) {
+            const month = match[1] === 'next' ? today.clone().add(1, 'month') : today.clone();
+            result.startDate = match[1] === 'next' ? month.clone().startOf('month') : today.clone();
+            result.endDate = month.clone().endOf('month').startOf('day');
+            result.labels.push({ key: match[1] === 'next' ? 'nextMonth' : 'thisMonth' });
+            result.matches.push(match[0]);
+        }
+
+        if ((match = text.match(/\b(?:any\s+)?(?:week\s?days?|working\s+days?|business\s+days?)\b/))) {
+            result.weekdays = [1, 2, 3, 4, 5];
+            result.labels.push({ key: 'onWeekday' });
+            result.matches.push(match[0]);
+        } else if (!/\bweekend\b/.test(result.matches.join(' ')) && (match = text.match(/\b(?:any\s+|on\s+)?(?:the\s+)?weekends?\b/))) {
+            result.weekdays = [0, 6];
+            result.labels.push({ key: 'atWeekend' });
+            result.matches.push(match[0]);
+        } else {
+            // "mondays", "tuesday or thursday" - a single plain day name is an ordinary date
+            const days = [...text.matchAll(new RegExp(`\\b${WEEKDAY}(s)?\\b`, 'g'))];
+            if (days.length > 1 || (days.length === 1 && days[0][2])) {
+                result.weekdays = [...new Set(days.map(day => WEEKDAY_NAMES[day[1]]))];
+                result.labels.push({ key: result.weekdays.length > 1 ? 'onDays' : 'everyWeekday', days: result.weekdays });
+                result.matches.push(...days.map(day => day[0]));
+            }
+        }
+
+        if (!result.startDate && !result.weekdays) {
+            return null;
+        }
+
+        // A set of weekdays without a span means the coming ones
+        if (!result.startDate) {
+            result.startDate = today.clone();
+            result.endDate = today.clone().add(Math.max(this.defaultSearchDays, 7) - 1, 'days');
+        }
+
+        return {
+            startDate: result.startDate.format('DD/MM/YYYY'),
+            endDate: result.endDate.format('DD/MM/YYYY'),
+            weekdays: result.weekdays,
+            labels: result.labels.reverse(),
+            matches: result.matches
+        };
+    }
+
+    /**
+     * Look for a time range or window in a reply
+     * @param {string} text - The lead's reply
+     * @param {moment.Moment|Date} now - Current time on the contact's clock
+     * @returns {{window: Object, remainder: string}|null} The window (see class comment) and the
+     *          text left once it is removed, for reading a single date ("tomorrow between 2 and 4");
+     *          null when the reply names a single time
+     */
+    parse(text, now = new Date()) {
+        let remainder = text.toLowerCase().trim();
+
+        const timeRange = this.parseTimeRange(remainder);
+        if (timeRange) {
+            remainder = remainder.replace(timeRange.match, ' ');
+        }
+
+        const days = this.parseDays(remainder, now);
+        if (days) {
+            for (const match of days.matches) {
+                remainder = remainder.replace(match, ' ');
+            }
+        }
+
+        if (!timeRange && !days) {
+            return null;
+        }
+
+        const window = {
+            startDate: days ? days.startDate : null,
+            endDate: days ? days.endDate : null,
+            weekdays: days ? days.weekdays : null,
+            startTime: timeRange ? this.toTime(timeRange.startMinutes) : '00:00',
+            endTime: timeRange ? this.toTime(timeRange.endMinutes) : '24:00',
+            hasTimeRange: Boolean(timeRange),
+            timeLabel: timeRange ? timeRange.label : null,
+            dayLabel: days ? days.labels : null
+        };
+
+        return {
+            window: !days && timeRange.today ? this.onDate(window, moment(now).format('DD/MM/YYYY'), []) : window,
+            remainder: remainder.replace(/\s+/g, ' ').trim()
+        };
+    }
+
+    /**
+     * Window for a time range found some other way (the time parsing model), with no days yet
+     * @param {string} startTime - HH:mm
+     * @param {string} endTime - HH:mm
+     */
+    fromTimes(startTime, endTime) {
+        return {
+            startDate: null,
+            endDate: null,
+            weekdays: null,
+            startTime,
+            endTime,
+            hasTimeRange: true,
+            timeLabel: { key: 'between', start: this.toMinutes(startTime), end: this.toMinutes(endTime) },
+            dayLabel: null
+        };
+    }
+
+    /**
+     * Window limited to a single day, e.g. "tomorrow" given alongside "between 2 and 4"
+     * @param {Object} window - Window from parse()
+     * @param {string} date - DD/MM/YYYY
+     * @param {Array} labels - How to describe the day (defaults to "on Tuesday, October 20th")
+     */
+    onDate(window, date, labels = null) {
+        return {
+            ...window,
+            startDate: date,
+            endDate: date,
+            dayLabel: labels !== null ? labels : [{ key: 'onDate', date }]
+        };
+    }
+
+    /**
+     * Window with no days named, covering the coming defaultSearchDays from a date
+     * @param {Object} window - Window from parse()
+     * @param {moment.Moment|Date} now - Current time on the contact's clock
+     */
+    fromToday(window, now = new Date()) {
+        const today = moment(now).startOf('day');
+        return {
+            ...window,
+            startDate: today.format('DD/MM/YYYY'),
+            endDate: today.clone().add(this.defaultSearchDays - 1, 'days').format('DD/MM/YYYY')
+        };
+    }
+
+    /**
+     * Window limited to one time of day, e.g. "3pm" given alongside "next week"
+     * @param {Object} window - Window from parse()
+     * @param {string} time - HH:mm
+     */
+    atTime(window, time) {
+        const minutes = this.toMinutes(time);
+        return {
+            ...window,
+            startTime: time,
+            endTime: this.toTime(minutes + 1),
+            hasTimeRange: true,
+            timeLabel: { key: 'at', time: minutes }
+        };
+    }
+
+    /**
+     * Describe a window for messages ("between 2:00 PM and 4:00 PM next week")
+     * @param {Object} window - Window from parse()
+     * @param {Object} options - Wording for the contact's language, English by default:
+     *   labels: templates like DEFAULT_LABELS (periods: { evening: 'शाम' } names the periods)
+     *   formatTime(minutes), formatDate(DD/MM/YYYY), weekdayName(0-6)
+     */
+    describe(window, options = {}) {
+        const labels = { ...DEFAULT_LABELS, ...options.labels };
+        const formatTime = options.formatTime || (minutes => this.formatClock(minutes));
+        const formatDate = options.formatDate || (date => moment(date, 'DD/MM/YYYY').format('dddd, MMMM Do'));
+        const weekdayName = options.weekdayName || (day => moment().day(day).format('dddd'));
+        const fill = (template, values = {}) => template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            values[name] !== undefined ? values[name] : placeholder);
+
+        const describeLabel = label => {
+            // Windows stored by older versions carry English text
+            if (typeof label === 'string') {
+                return label;
+            }
+
+            const names = (label.days || []).map(weekdayName);
+            return fill(labels[label.key] || DEFAULT_LABELS[label.key] || '', {
+                start: label.start !== undefined ? formatTime(label.start) : undefined,
+                end: label.end !== undefined ? formatTime(label.end) : undefined,
+                time: label.time !== undefined ? formatTime(label.time) : undefined,
+                period: label.period ? ((labels.periods || {})[label.period] || label.period) : undefined,
+                count: label.count,
+                date: label.date ? formatDate(label.date) : undefined,
+                day: names[0],
+                days: names.length > 1 ? fill(labels.or, { list: names.slice(0, -1).join(', '), last: names[names.length - 1] }) : names[0]
+            });
+        };
+
+        const parts = [].concat(window.timeLabel || [], window.dayLabel || []).map(describeLabel).filter(Boolean);
+        return parts.join(' ') || labels.comingDays;
+    }
+}
+
+module.exports = TimeWindowParser;
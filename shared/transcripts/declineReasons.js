@@ -0,0 +1,51 @@
+/**
+ * Sorts the reasons leads give for saying no into categories, so they can be counted
+ * instead of read one by one.
+ *
+ * Settings (declineReasons in config.json):
+ *   default: category for reasons that match no keywords
+ *   categories: [{ id: 'too_expensive', keywords: ['expensive', 'fees', 'mehenga'] }]
+ *
+ * The first category with a matching keyword wins, so more specific ones go first.
+ */
+class DeclineReasons {
+    constructor(settings = {}) {
+        this.categories = settings.categories || [];
+        this.defaultCategory = settings.default || 'other';
+    }
+
+    /**
+     * Category of a decline reason
+     * @param {string} text - The reason as the lead wrote it
+     * @returns {string} Category id
+     */
+    classify(text) {
+        const lowerText = text.toLowerCase();
+
+        // Lookarounds instead of \b so accented and Devanagari keywords match as whole words
+        const category = this.categories.find(candidate => (candidate.keywords || []).some(keyword => {
+            const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`(?<![\\p{L}\\p{M}])${escaped}(?![\\p{L}\\p{M}])`, 'u').test(lowerText);
+        }));
+
+        return category ? category.id : this.defaultCategory;
+    }
+
+    /**
+     * A decline reason as structured data for the session
+     * @param {string} text - The reason as the lead wrote it
+     * @param {Object} details - { sentiment, language } of the reply
+     * @returns {Object} { text, category, sentiment, language, answeredAt }
+     */
+    describe(text, { sentiment = null, language = null } = {}) {
+        return {
+            text,
+            category: this.classify(text),
+            sentiment,
+            language,
+            answeredAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = DeclineReasons;
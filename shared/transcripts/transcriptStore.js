@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Per-contact record of everything said in a conversation.
+ *
+ * Each contact gets a JSON Lines file (<phone>.jsonl) in the transcripts directory, one entry per
+ * line so recording a message is an append rather than a rewrite:
+ *   { at, type: 'inbound', text, state, sentiment, keywords }
+ *   { at, type: 'outbound', text, state, filePath? }
+ *   { at, type: 'transition', from, to }
+ *
+ * Settings (transcripts in config.json):
+ *   enabled: record transcripts at all
+ *   directory: where transcript files go, relative to baseDir
+ */
+class TranscriptStore {
+    constructor(settings = {}, baseDir = process.cwd()) {
+        this.enabled = settings.enabled !== false;
+        this.directory = path.resolve(baseDir, settings.directory || 'transcripts');
+    }
+
+    /**
+     * @private
+     */
+    getFilePath(phoneNumber) {
+        return path.join(this.directory, `${phoneNumber}.jsonl`);
+    }
+
+    /**
+     * Append an entry to a contact's transcript
+     * @param {string} phoneNumber - Contact phone number
+     * @param {Object} entry - Entry without its timestamp (see the layout above)
+     */
+    record(phoneNumber, entry) {
+        if (!this.enabled) {
+            return;
+        }
+
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            fs.appendFileSync(this.getFilePath(phoneNumber), `${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`);
+        } catch (error) {
+            // A lost transcript line must never break the conversation itself
+            console.error(`❌ Error recording transcript for ${phoneNumber}:`, error.message);
+        }
+    }
+
+    /**
+     * A contact's transcript, oldest entry first
+     * @param {string} phoneNumber - Contact phone number
+     * @param {Object} [filter] - { since, until (ISO strings or Dates), types: ['inbound', ...] }
+     * @returns {Object[]} Matching entries
+     */
+    getTranscript(phoneNumber, filter = {}) {
+        const filePath = this.getFilePath(phoneNumber);
+        if (!fs.existsSync(filePath)) {
+            return [];
+        }
+
+        const since = filter.since ? new Date(filter.since) : null;
+        const until = filter.until ? new Date(filter.until) : null;
+
+        return fs.readFileSync(filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line))
+            .filter(entry => !since || new Date(entry.at) >= since)
+            .filter(entry => !until || new Date(entry.at) <= until)
+            .filter(entry => !filter.types || filter.types.includes(entry.type));
+    }
+
+    /**
+     * Phone numbers that have a transcript
+     * @returns {string[]}
+     */
+    listContacts() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.jsonl'))
+            .map(file => path.basename(file, '.jsonl'));
+    }
+
+    /**
+     * A contact's transcript as a JSON, CSV or plain text document
+     * @param {string} phoneNumber - Contact phone number
+     * @param {string} format - 'json', 'csv' or 'text'
+     * @param {Object} [filter] - Same as getTranscript
+     * @returns {string} The exported transcript
+     */
+    export(phoneNumber, format = 'json', filter = {}) {
+        const entries = this.getTranscript(phoneNumber, filter);
+
+        if (format === 'json') {
+            return JSON.stringify({ phoneNumber, entries }, null, 2);
+        }
+
+        if (format === 'csv') {
+            const quote = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+            const rows = entries.map(entry => [
+                entry.at,
+                entry.type,
+                entry.type === 'transition' ? `${entry.from} -> ${entry.to}` : entry.text,
+                entry.state || '',
+                entry.sentiment || ''
+            ].map(quote).join(','));
+            return ['at,type,text,state,sentiment', ...rows].join('\n');
+        }
+
+        if (format === 'text') {
+            return entries.map(entry => {
+                if (entry.type === 'transition') {
+                    return `[${entry.at}] -- ${entry.from || 'start'} -> ${entry.to}`;
+                }
+                const speaker = entry.type === 'inbound' ? phoneNumber : 'Bot';
+                return `[${entry.at}] ${speaker}: ${entry.text}`;
+            }).join('\n');
+        }
+
+        throw new Error(`Unknown transcript export format: ${format}`);
+    }
+}
+
+module.exports = TranscriptStore;
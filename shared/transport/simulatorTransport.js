@@ -0,0 +1,193 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+
+/**
+ * In-process WhatsApp simulator implementing the same surface as WhatsAppWebTransport.
+ *
+ * Inbound messages are injected with receive() (or played from a script), outbound
+ * messages and message.reply() calls are captured in the outbox instead of being sent.
+ * Unlike a real EventEmitter, listeners are awaited so callers know when the bot
+ * has finished handling a message.
+ */
+class SimulatorTransport extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.name = 'simulator';
+        this.selfId = options.selfId || '10000000000@c.us';
+        this.script = options.script || this.loadScript(options.scriptFile);
+        this.echo = options.echo !== false;
+        this.inbox = [];
+        this.outbox = [];
+        this.messageCounter = 0;
+        this.isReady = false;
+    }
+
+    /**
+     * Load a JSON script of inbound messages: [{ "from": "9198...", "body": "yes", "delayMs": 500 }]
+     * @private
+     */
+    loadScript(scriptFile) {
+        if (!scriptFile) {
+            return [];
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(scriptFile, 'utf8'));
+        } catch (error) {
+            console.error(`❌ Error loading simulator script ${scriptFile}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Run all listeners for an event sequentially, waiting for async ones
+     * @private
+     */
+    async dispatch(event, ...args) {
+        for (const listener of this.listeners(event)) {
+            await listener(...args);
+        }
+    }
+
+    /**
+     * Normalize a phone number or WhatsApp ID to the "<number>@c.us" form
+     * @private
+     */
+    toWhatsappId(id) {
+        return String(id).includes('@') ? String(id) : `${id}@c.us`;
+    }
+
+    /**
+     * "Connect": fire ready, then play the configured script if any
+     */
+    async initialize() {
+        this.isReady = true;
+        console.log('🧪 Simulator transport initialized (no real WhatsApp connection)');
+        await this.dispatch('ready');
+
+        if (this.script.length > 0) {
+            await this.runScript(this.script);
+        }
+    }
+
+    /**
+     * Build a fake whatsapp-web.js Message object
+     */
+    createMessage(from, body) {
+        const whatsappId = this.toWhatsappId(from);
+        const id = `sim_in_${++this.messageCounter}`;
+
+        return {
+            id: { _serialized: id },
+            from: whatsappId,
+            to: this.selfId,
+            body,
+            fromMe: false,
+            timestamp: Math.floor(Date.now() / 1000),
+            reply: (content, chatId = whatsappId, options = {}) =>
+                this.sendMessage(chatId, content, { ...options, quotedMessageId: id })
+        };
+    }
+
+    /**
+     * Inject an inbound message and wait for the bot to handle it
+     * @returns {Promise<Array>} Outbound messages produced while handling it
+     */
+    async receive(from, body) {
+        const message = this.createMessage(from, body);
+        const outboxStart = this.outbox.length;
+
+        this.inbox.push(message);
+        if (this.echo) {
+            console.log(`🧪 [simulator] ← ${message.from}: ${body}`);
+        }
+
+        await this.dispatch('message', message);
+        return this.outbox.slice(outboxStart);
+    }
+
+    /**
+     * Play a list of inbound messages in order
+     */
+    async runScript(script) {
+        for (const step of script) {
+            if (step.delayMs) {
+                await new Promise(resolve => setTimeout(resolve, step.delayMs));
+            }
+            await this.receive(step.from, step.body);
+        }
+    }
+
+    /**
+     * Capture an outbound message instead of sending it
+     */
+    async sendMessage(to, content, options = {}) {
+        const sent = {
+            id: { _serialized: `sim_out_${++this.messageCounter}` },
+            from: this.selfId,
+            to: this.toWhatsappId(to),
+            body: content,
+            options,
+            fromMe: true,
+            timestamp: Math.floor(Date.now() / 1000)
+        };
+
+        this.outbox.push(sent);
+        if (this.echo) {
+            console.log(`🧪 [simulator] → ${sent.to}: ${content}`);
+        }
+
+        return sent;
+    }
+
+    /**
+     * Capture an outbound file instead of sending it (body is the caption)
+     */
+    async sendFile(to, filePath, options = {}) {
+        const sent = await this.sendMessage(to, options.caption || '', { ...options, filePath });
+        sent.filePath = filePath;
+        return sent;
+    }
+
+    /**
+     * Fire a delivery/read receipt for a captured outbound message, like whatsapp-web.js's
+     * message_ack event (ack: -1 failed, 1 sent, 2 delivered, 3 read)
+     */
+    async acknowledge(messageId, ack) {
+        const sent = this.outbox.find(message => message.id._serialized === messageId);
+        if (!sent) {
+            throw new Error(`No outbound message ${messageId}`);
+        }
+
+        sent.ack = ack;
+        await this.dispatch('message_ack', sent, ack);
+    }
+
+    /**
+     * Get captured outbound messages, optionally for a single contact
+     */
+    getSentMessages(to = null) {
+        if (!to) {
+            return [...this.outbox];
+        }
+        const whatsappId = this.toWhatsappId(to);
+        return this.outbox.filter(sent => sent.to === whatsappId);
+    }
+
+    /**
+     * Forget captured inbound and outbound messages
+     */
+    clearOutbox() {
+        this.inbox = [];
+        this.outbox = [];
+    }
+
+    /**
+     * "Disconnect" the simulator
+     */
+    async destroy() {
+        this.isReady = false;
+    }
+}
+
+module.exports = SimulatorTransport;
@@ -0,0 +1,29 @@
+const WhatsAppWebTransport = require('./whatsappWebTransport');
+const SimulatorTransport = require('./simulatorTransport');
+
+const TRANSPORTS = {
+    'whatsapp-web': WhatsAppWebTransport,
+    simulator: SimulatorTransport
+};
+
+/**
+ * Create a messaging transport by type
+ * @param {string} type - 'whatsapp-web' (default) or 'simulator'
+ * @param {Object} options - Transport specific options
+ * @returns {WhatsAppWebTransport|SimulatorTransport} The transport instance
+ */
+function createTransport(type = 'whatsapp-web', options = {}) {
+    const Transport = TRANSPORTS[type];
+    if (!Transport) {
+        throw new Error(`Unknown messaging transport: ${type}`);
+    }
+
+    console.log(`🔌 Using ${type} messaging transport`);
+    return new Transport(options);
+}
+
+module.exports = {
+    createTransport,
+    WhatsAppWebTransport,
+    SimulatorTransport
+};
@@ -0,0 +1,66 @@
+const path = require('path');
+
+/**
+ * Messaging transport backed by a real whatsapp-web.js client (LocalAuth + puppeteer)
+ */
+class WhatsAppWebTransport {
+    constructor(options = {}) {
+        // Required lazily so the simulator transport works without puppeteer installed
+        const { Client, LocalAuth } = require('whatsapp-web.js');
+
+        this.name = 'whatsapp-web';
+        this.client = new Client({
+            authStrategy: new LocalAuth({
+                dataPath: options.authDataPath || path.join(process.cwd(), 'auth_data')
+            }),
+            puppeteer: {
+                headless: true,
+                args: ['--no-sandbox', '--disable-setuid-sandbox']
+            }
+        });
+    }
+
+    /**
+     * Register an event listener (qr, ready, message, disconnected, ...)
+     */
+    on(event, listener) {
+        this.client.on(event, listener);
+        return this;
+    }
+
+    /**
+     * Connect to WhatsApp
+     */
+    initialize() {
+        return this.client.initialize();
+    }
+
+    /**
+     * Send a message to a WhatsApp ID
+     */
+    sendMessage(to, content, options = {}) {
+        return this.client.sendMessage(to, content, options);
+    }
+
+    /**
+     * Send a file (e.g. a calendar invite) as a document with an optional caption
+     */
+    sendFile(to, filePath, options = {}) {
+        const { MessageMedia } = require('whatsapp-web.js');
+        const media = MessageMedia.fromFilePath(filePath);
+
+        return this.client.sendMessage(to, media, {
+            sendMediaAsDocument: true,
+            caption: options.caption
+        });
+    }
+
+    /**
+     * Close the underlying browser session
+     */
+    destroy() {
+        return this.client.destroy();
+    }
+}
+
+module.exports = WhatsAppWebTransport;
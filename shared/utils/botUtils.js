@@ -1,6 +1,5 @@
 const fs = require('fs');
 const path = require('path');
-const { pipeline } = require('@xenova/transformers');
 const moment = require('moment');
 
 /**
@@ -19,6 +18,9 @@ class BotUtils {
         try {
             console.log('🤖 Initializing shared AI models...');
             
+            // Loaded here rather than at the top so utilities can be used without the model runtime
+            const { pipeline } = require('@xenova/transformers');
+            
             // Initialize modern Twitter-trained sentiment analysis model
             this.sentimentAnalyzer = await pipeline('text-classification', 'Xenova/twitter-roberta-base-sentiment-latest');
             console.log('✅ Modern Twitter-trained sentiment analysis model loaded (RoBERTa)');
@@ -0,0 +1,122 @@
+const moment = require('moment');
+
+/**
+ * IANA time zone helpers built on Intl (moment on its own only knows the local zone)
+ */
+class TimeZoneUtils {
+    constructor() {
+        this.formatters = new Map();
+    }
+
+    /**
+     * Cached Intl formatter producing numeric wall-clock parts in a zone
+     * @private
+     */
+    getFormatter(timeZone) {
+        if (!this.formatters.has(timeZone)) {
+            this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }));
+        }
+        return this.formatters.get(timeZone);
+    }
+
+    /**
+     * Whether a string is a time zone name Intl understands (e.g. "Asia/Kolkata")
+     */
+    isValidTimeZone(timeZone) {
+        if (!timeZone) {
+            return false;
+        }
+
+        try {
+            this.getFormatter(timeZone);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Wall-clock parts of an instant in a zone
+     * @param {Date|number} instant - Point in time
+     * @param {string} timeZone - IANA zone name
+     * @returns {{year, month, day, hour, minute, second}} month is 1-12
+     */
+    getZonedParts(instant, timeZone) {
+        const parts = {};
+        for (const part of this.getFormatter(timeZone).formatToParts(new Date(instant))) {
+            if (part.type !== 'literal') {
+                parts[part.type] = parseInt(part.value, 10);
+            }
+        }
+        return parts;
+    }
+
+    /**
+     * UTC offset of a zone at an instant, in minutes (e.g. 330 for Asia/Kolkata)
+     */
+    getOffsetMinutes(instant, timeZone) {
+        const parts = this.getZonedParts(instant, timeZone);
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return Math.round((asUtc - Math.floor(new Date(instant).getTime() / 1000) * 1000) / 60000);
+    }
+
+    /**
+     * Instant at which a zone's wall clock shows the given time
+     * @param {{year, month, day, hour, minute, second}} wallTime - month is 1-12
+     * @param {string} timeZone - IANA zone name
+     * @returns {Date} The instant
+     */
+    fromZonedTime(wallTime, timeZone) {
+        const asUtc = Date.UTC(wallTime.year, wallTime.month - 1, wallTime.day,
+            wallTime.hour || 0, wallTime.minute || 0, wallTime.second || 0);
+
+        // Guess with the offset at the wall time, then correct once for DST changes in between
+        let instant = asUtc - this.getOffsetMinutes(asUtc, timeZone) * 60000;
+        instant = asUtc - this.getOffsetMinutes(instant, timeZone) * 60000;
+        return new Date(instant);
+    }
+
+    /**
+     * Short name of a zone at an instant ("EDT", "GMT+5:30")
+     */
+    getZoneAbbreviation(instant, timeZone) {
+        const zonePart = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+            .formatToParts(new Date(instant))
+            .find(part => part.type === 'timeZoneName');
+        return zonePart ? zonePart.value : timeZone;
+    }
+
+    /**
+     * Time zone for a phone number from its country calling code (longest prefix wins)
+     * @param {string} phoneNumber - Number in international format without "+" (e.g. 918178487852)
+     * @param {Object} countryCodes - Calling code to zone map, e.g. { "91": "Asia/Kolkata" }
+     * @returns {string|null} The zone, or null when no calling code matches
+     */
+    getTimeZoneForPhoneNumber(phoneNumber, countryCodes = {}) {
+        const digits = String(phoneNumber).replace(/\D/g, '');
+        const match = Object.keys(countryCodes)
+            .filter(code => digits.startsWith(code))
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? countryCodes[match] : null;
+    }
+
+    /**
+     * Show an instant in a zone as a moment whose local fields are that zone's wall clock.
+     * Only use the result for formatting and calendar arithmetic, not as an instant.
+     */
+    toZonedMoment(instant, timeZone) {
+        const parts = this.getZonedParts(instant, timeZone);
+        return moment([parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second]);
+    }
+}
+
+module.exports = new TimeZoneUtils();
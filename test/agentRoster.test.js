@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const moment = require('moment');
+const AgentRoster = require('../shared/scheduling/agentRoster');
+
+const roster = new AgentRoster({
+    roster: [
+        { id: 'mornings', availability: { monday: [{ start: '09:00', end: '13:00' }] } },
+        { id: 'anytime' }
+    ]
+});
+const monday = time => moment(`2030-01-07 ${time}`, 'YYYY-MM-DD HH:mm');
+const counselling = { durationMinutes: 45, bufferBeforeMinutes: 5, bufferAfterMinutes: 10 };
+const freeAgentIds = (time, callType) => roster.getFreeAgents(monday(time), [], [], callType).map(agent => agent.id);
+
+test('an agent only gets calls that end, buffers included, within their hours', () => {
+    assert.deepStrictEqual(freeAgentIds('12:55', counselling), ['anytime']);
+    assert.deepStrictEqual(freeAgentIds('12:05', counselling), ['mornings', 'anytime']);
+});
+
+test('the buffer before a call has to fall inside the agent\'s hours too', () => {
+    assert.deepStrictEqual(freeAgentIds('09:00', counselling), ['anytime']);
+    assert.deepStrictEqual(freeAgentIds('09:05', counselling), ['mornings', 'anytime']);
+});
+
+test('without a call type only the start of the call is checked', () => {
+    assert.deepStrictEqual(freeAgentIds('12:55'), ['mornings', 'anytime']);
+    assert.deepStrictEqual(freeAgentIds('13:00'), ['anytime']);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const moment = require('moment');
+const BusinessHours = require('../shared/scheduling/businessHours');
+
+const businessHours = new BusinessHours({
+    openingHours: { monday: [{ start: '09:00', end: '18:00' }] }
+});
+const monday = time => moment(`2030-01-07 ${time}`, 'YYYY-MM-DD HH:mm');
+const now = new Date('2030-01-01T00:00:00');
+const counselling = { durationMinutes: 45, bufferBeforeMinutes: 5, bufferAfterMinutes: 10 };
+
+test('a call has to end, buffers included, before closing time', () => {
+    assert.strictEqual(businessHours.checkSlot(monday('17:45'), now).allowed, true);
+    assert.strictEqual(businessHours.checkSlot(monday('17:45'), now, { callType: counselling }).reason, 'outside_hours');
+    assert.strictEqual(businessHours.checkSlot(monday('17:05'), now, { callType: counselling }).allowed, true);
+});
+
+test('the buffer before a call has to fall inside opening hours too', () => {
+    assert.strictEqual(businessHours.checkSlot(monday('09:00'), now, { callType: counselling }).allowed, false);
+    assert.strictEqual(businessHours.checkSlot(monday('09:05'), now, { callType: counselling }).allowed, true);
+});
+
+test('suggested alternatives leave room for the whole call', () => {
+    const slots = businessHours.findAlternatives(monday('17:45'), now, { count: 2, callType: counselling });
+    assert.deepStrictEqual(slots.map(slot => slot.format('HH:mm')), ['16:30', '17:00']);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FollowUpScheduler = require('../shared/scheduling/followUpScheduler');
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date('2026-10-21T10:00:00Z');
+const at = hours => new Date(start.getTime() + hours * HOUR);
+
+function createScheduler(sessions, sent) {
+    return new FollowUpScheduler({
+        ladders: {
+            asking_call_time: [
+                { afterHours: 4, message: 'first' },
+                { afterHours: 24, message: 'second' },
+                { afterHours: 48, close: true, message: 'closed' }
+            ]
+        },
+        maxNudges: 2,
+        getSessions: () => sessions.entries(),
+        sendFollowUp: async (whatsappId, session, step) => sent.push(step.message),
+        saveSession: () => {}
+    });
+}
+
+// What a restart does to a session: saved to JSON, loaded back, lastActivity reset to now
+function restart(session, now) {
+    return { ...JSON.parse(JSON.stringify(session)), lastActivity: now };
+}
+
+test('nudges are neither repeated nor pushed back by a restart', async () => {
+    const sent = [];
+    const sessions = new Map();
+    const scheduler = createScheduler(sessions, sent);
+    const session = { state: 'asking_call_time', lastActivity: start };
+    scheduler.resetLadder(session, start);
+    sessions.set('lead', session);
+
+    await scheduler.checkDueFollowUps(at(5));
+    assert.deepStrictEqual(sent, ['first']);
+
+    sessions.set('lead', restart(sessions.get('lead'), at(6)));
+    await scheduler.checkDueFollowUps(at(7));
+    assert.deepStrictEqual(sent, ['first'], 'nudge #1 is not sent again after the restart');
+
+    await scheduler.checkDueFollowUps(at(25));
+    assert.deepStrictEqual(sent, ['first', 'second']);
+
+    sessions.set('lead', restart(sessions.get('lead'), at(40)));
+    await scheduler.checkDueFollowUps(at(49));
+    assert.deepStrictEqual(sent, ['first', 'second', 'closed'], 'closing is not pushed back by the restart');
+});
+
+test('a reply starts the ladder again, within the cap on nudges', async () => {
+    const sent = [];
+    const sessions = new Map();
+    const scheduler = createScheduler(sessions, sent);
+    const session = { state: 'asking_call_time', lastActivity: start };
+    scheduler.resetLadder(session, start);
+    sessions.set('lead', session);
+
+    await scheduler.checkDueFollowUps(at(5));
+    scheduler.resetLadder(session, at(6));
+    await scheduler.checkDueFollowUps(at(8));
+    assert.deepStrictEqual(sent, ['first'], 'silence counts from the reply');
+
+    await scheduler.checkDueFollowUps(at(11));
+    assert.deepStrictEqual(sent, ['first', 'first']);
+
+    // Both nudges used up: only the closing message is left
+    await scheduler.checkDueFollowUps(at(31));
+    assert.deepStrictEqual(sent, ['first', 'first']);
+    await scheduler.checkDueFollowUps(at(55));
+    assert.deepStrictEqual(sent, ['first', 'first', 'closed']);
+});
+
+test('quiet hours hold follow-ups back even when send windows are off', async () => {
+    const sent = [];
+    const sessions = new Map();
+    let localTime = new Date(2026, 9, 21, 23, 30);
+    const scheduler = new FollowUpScheduler({
+        ladders: { asking_call_time: [{ afterHours: 4, message: 'first' }] },
+        quietHours: { start: '21:00', end: '09:00' },
+        getSessions: () => sessions.entries(),
+        getLocalTime: () => localTime,
+        sendFollowUp: async (whatsappId, session, step) => sent.push(step.message),
+        saveSession: () => {}
+    });
+    const session = { state: 'asking_call_time', lastActivity: start };
+    scheduler.resetLadder(session, start);
+    sessions.set('lead', session);
+
+    await scheduler.checkDueFollowUps(at(5));
+    assert.deepStrictEqual(sent, [], 'nothing sent at night');
+
+    localTime = new Date(2026, 9, 22, 9, 0);
+    await scheduler.checkDueFollowUps(at(15));
+    assert.deepStrictEqual(sent, ['first']);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const icsParser = require('../shared/calendar/icsParser');
+
+function calendar(...events) {
+    return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+}
+
+// Busy blocks of every event in the range, as UTC ISO strings
+function busyBlocks(text, from, to) {
+    return icsParser.parse(text)
+        .flatMap(event => icsParser.expand(event, new Date(from), new Date(to)))
+        .sort((a, b) => a.start - b.start)
+        .map(block => `${block.start.toISOString()} - ${block.end.toISOString()}`);
+}
+
+// Mondays and Wednesdays 9-10 in New York until 11 November; US clocks go back on 1 November
+const WEEKLY_STANDUP = [
+    'BEGIN:VEVENT',
+    'UID:standup@example.com',
+    'SUMMARY:Team standup',
+    'DTSTART;TZID=America/New_York:20261019T090000',
+    'DTEND;TZID=America/New_York:20261019T100000',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20261111T235959Z',
+    'EXDATE;TZID=America/New_York:20261021T090000',
+    'BEGIN:VALARM',
+    'TRIGGER:-PT15M',
+    'ACTION:DISPLAY',
+    'END:VALARM',
+    'END:VEVENT',
+    // Monday 26 October moved to Tuesday afternoon
+    'BEGIN:VEVENT',
+    'UID:standup@example.com',
+    'SUMMARY:Team standup (moved)',
+    'RECURRENCE-ID;TZID=America/New_York:20261026T090000',
+    'DTSTART;TZID=America/New_York:20261027T140000',
+    'DTEND;TZID=America/New_York:20261027T150000',
+    'END:VEVENT'
+];
+
+test('a weekly BYDAY series skips its EXDATE, moves its overridden instance and keeps to its TZID across DST', () => {
+    assert.deepStrictEqual(busyBlocks(calendar(WEEKLY_STANDUP), '2026-10-01T00:00:00Z', '2026-12-01T00:00:00Z'), [
+        '2026-10-19T13:00:00.000Z - 2026-10-19T14:00:00.000Z',
+        '2026-10-27T18:00:00.000Z - 2026-10-27T19:00:00.000Z',
+        '2026-10-28T13:00:00.000Z - 2026-10-28T14:00:00.000Z',
+        '2026-11-02T14:00:00.000Z - 2026-11-02T15:00:00.000Z',
+        '2026-11-04T14:00:00.000Z - 2026-11-04T15:00:00.000Z',
+        '2026-11-09T14:00:00.000Z - 2026-11-09T15:00:00.000Z',
+        '2026-11-11T14:00:00.000Z - 2026-11-11T15:00:00.000Z'
+    ]);
+});
+
+test('only occurrences overlapping the range are returned', () => {
+    assert.deepStrictEqual(busyBlocks(calendar(WEEKLY_STANDUP), '2026-10-28T13:30:00Z', '2026-11-03T00:00:00Z'), [
+        '2026-10-28T13:00:00.000Z - 2026-10-28T14:00:00.000Z',
+        '2026-11-02T14:00:00.000Z - 2026-11-02T15:00:00.000Z'
+    ]);
+});
+
+test('COUNT limits a monthly BYMONTHDAY series, and months without the day are skipped', () => {
+    const monthEnd = [
+        'BEGIN:VEVENT',
+        'UID:month-end@example.com',
+        'SUMMARY:Month-end review',
+        'DTSTART:20261031T100000Z',
+        'DURATION:PT30M',
+        'RRULE:FREQ=MONTHLY;BYMONTHDAY=31,-1;COUNT=4',
+        'END:VEVENT'
+    ];
+
+    assert.deepStrictEqual(busyBlocks(calendar(monthEnd), '2026-10-01T00:00:00Z', '2027-12-31T00:00:00Z'), [
+        '2026-10-31T10:00:00.000Z - 2026-10-31T10:30:00.000Z',
+        '2026-11-30T10:00:00.000Z - 2026-11-30T10:30:00.000Z',
+        '2026-12-31T10:00:00.000Z - 2026-12-31T10:30:00.000Z',
+        '2027-01-31T10:00:00.000Z - 2027-01-31T10:30:00.000Z'
+    ]);
+});
+
+test('an ordinal BYDAY picks one weekday of the month', () => {
+    const lastFriday = [
+        'BEGIN:VEVENT',
+        'UID:last-friday@example.com',
+        'SUMMARY:Town hall',
+        'DTSTART:20261001T150000Z',
+        'DTEND:20261001T160000Z',
+        'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3',
+        'END:VEVENT'
+    ];
+
+    assert.deepStrictEqual(busyBlocks(calendar(lastFriday), '2026-10-01T00:00:00Z', '2027-06-01T00:00:00Z'), [
+        '2026-10-30T15:00:00.000Z - 2026-10-30T16:00:00.000Z',
+        '2026-11-27T15:00:00.000Z - 2026-11-27T16:00:00.000Z',
+        '2026-12-25T15:00:00.000Z - 2026-12-25T16:00:00.000Z'
+    ]);
+});
+
+test('an INTERVAL skips periods, and a date-only UNTIL includes its last day', () => {
+    const fortnightly = [
+        'BEGIN:VEVENT',
+        'UID:fortnightly@example.com',
+        'DTSTART:20261005T080000Z',
+        'DTEND:20261005T083000Z',
+        'RRULE:FREQ=WEEKLY;INTERVAL=2;UNTIL=20261102',
+        'END:VEVENT'
+    ];
+
+    assert.deepStrictEqual(busyBlocks(calendar(fortnightly), '2026-10-01T00:00:00Z', '2026-12-01T00:00:00Z'), [
+        '2026-10-05T08:00:00.000Z - 2026-10-05T08:30:00.000Z',
+        '2026-10-19T08:00:00.000Z - 2026-10-19T08:30:00.000Z',
+        '2026-11-02T08:00:00.000Z - 2026-11-02T08:30:00.000Z'
+    ]);
+});
+
+test('cancelled and free events don\'t block time, and folded lines are unfolded', () => {
+    const events = [
+        'BEGIN:VEVENT',
+        'UID:cancelled@example.com',
+        'DTSTART:20261020T100000Z',
+        'DTEND:20261020T110000Z',
+        'STATUS:CANCELLED',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:free@example.com',
+        'DTSTART:20261020T120000Z',
+        'DTEND:20261020T130000Z',
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:folded@example.com',
+        'SUMMARY:Parent-teacher\\, meeting with a very long',
+        '  title',
+        'DTSTART:20261020T140000Z',
+        'DTEND:20261020T150000Z',
+        'END:VEVENT'
+    ];
+
+    const parsed = icsParser.parse(calendar(events));
+    assert.deepStrictEqual(parsed.map(event => event.summary), ['Parent-teacher, meeting with a very long title']);
+});
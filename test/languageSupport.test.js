@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LanguageSupport = require('../shared/language/languageSupport');
+const RelativeDateResolver = require('../shared/scheduling/relativeDateResolver');
+
+const languageSupport = new LanguageSupport({ default: 'en', supported: ['en', 'hi', 'es'] });
+const dateResolver = new RelativeDateResolver();
+const WEDNESDAY = new Date(2026, 9, 21, 10, 0);
+
+// Replies as leads actually send them, labeled with what they mean
+const YES_NO = [
+    ['haan', 'positive'],
+    ['haan ji', 'positive'],
+    ['ji bilkul', 'positive'],
+    ['theek hai', 'positive'],
+    ['kyun nahi', 'positive'],
+    ['kyu nahi, bataiye', 'positive'],
+    ['हाँ', 'positive'],
+    ['जी हाँ', 'positive'],
+    ['क्यों नहीं', 'positive'],
+    ['nahi', 'negative'],
+    ['abhi nahi', 'negative'],
+    ['haan but abhi nahi', 'negative'],
+    ['nahi chahiye', 'negative'],
+    ['baad mein', 'negative'],
+    ['नहीं', 'negative'],
+    ['अभी नहीं', 'negative'],
+    ['shayad', 'neutral'],
+    ['pata nahi', 'neutral'],
+    ['पता नहीं', 'neutral']
+];
+
+// [reply, English the parsers read, date it resolves to on WEDNESDAY (null: none)]
+const DATE_TIME = [
+    ['kal shaam 5 baje', "tomorrow evening 5 o'clock", '22/10/2026'],
+    ['haan kal shaam 5 baje', "haan tomorrow evening 5 o'clock", '22/10/2026'],
+    ['कल शाम 5 बजे', "tomorrow evening 5 o'clock", '22/10/2026'],
+    ['कल शाम ५ बजे', "tomorrow evening 5 o'clock", '22/10/2026'],
+    ['saade 4', '4:30', null],
+    ['kal saade 4 baje', "tomorrow 4:30 o'clock", '22/10/2026'],
+    ['sava 11 baje', "11:15 o'clock", null],
+    ['paune 5 baje', "4:45 o'clock", null],
+    ['do baje', "2 o'clock", null],
+    ['parso subah 10 baje', "day after tomorrow morning 10 o'clock", '23/10/2026'],
+    ['somvar ko dopahar 2 baje', "monday afternoon 2 o'clock", '26/10/2026'],
+    ['3 se 5 baje ke beech', 'between 3 and 5', null],
+    ['abhi nahi, kal', 'tomorrow', '22/10/2026'],
+    ['abhi call karo', 'now call karo', null],
+    ['abhi 5 baje', "abhi 5 o'clock", null],
+    ['abhi kal', 'abhi tomorrow', '22/10/2026']
+];
+
+// [reply, whether it opts the contact out]
+const OPT_OUT = [
+    ['stop', true],
+    ['STOP!', true],
+    ['unsubscribe', true],
+    ['please stop messaging me', true],
+    ['message mat bhejo', true],
+    ['band karo', true],
+    ['बस करो', true],
+    ['darme de baja', true],
+    ['baja', true],
+    ['bas', false],
+    ['बस', false],
+    ['end', false],
+    ['quit', false],
+    ['para', false],
+    ['alto', false],
+    ['para mañana', false],
+    ['the end of the month', false]
+];
+
+for (const [reply, expected] of YES_NO) {
+    test(`"${reply}" is ${expected}`, () => {
+        assert.strictEqual(languageSupport.matchYesNo(reply, 'hi'), expected);
+    });
+}
+
+for (const [reply, english, date] of DATE_TIME) {
+    test(`"${reply}" reads as "${english}"`, () => {
+        const normalized = languageSupport.normalizeDateTime(reply, 'hi');
+        assert.strictEqual(normalized, english);
+
+        const resolved = dateResolver.resolve(normalized, WEDNESDAY);
+        assert.strictEqual(resolved ? resolved.date : null, date);
+    });
+}
+
+for (const [reply, optsOut] of OPT_OUT) {
+    test(`"${reply}" ${optsOut ? 'opts out' : 'does not opt out'}`, () => {
+        assert.strictEqual(languageSupport.wantsOptOut(reply), optsOut);
+    });
+}
+
+test('Hinglish and Devanagari replies are detected as Hindi', () => {
+    assert.strictEqual(languageSupport.detect('haan kal shaam 5 baje'), 'hi');
+    assert.strictEqual(languageSupport.detect('कल शाम 5 बजे'), 'hi');
+    assert.strictEqual(languageSupport.detect('5pm'), null);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LlmTimeExtractor = require('../shared/scheduling/llmTimeExtractor');
+
+// Wednesday 21 October 2026, 10 AM on the contact's clock
+const NOW = new Date(2026, 9, 21, 10, 0);
+
+// The extractor logs every answer; keep the test output readable
+console.log = () => {};
+
+// A text-generation pipeline that answers with fixed text
+const answering = text => async () => [{ generated_text: text }];
+
+// [model output, expected result]
+const OUTPUTS = [
+    ['{"date": "2026-10-22", "time": "17:00", "range": null}', { date: '22/10/2026', time: '17:00', range: null }],
+    ['Sure! Here you go: {"date": "2026-10-22", "time": null, "range": null} Let me know.', { date: '22/10/2026', time: null, range: null }],
+    ['{"date": null, "time": null, "range": {"start": "14:00", "end": "16:00"}}', { date: null, time: null, range: { start: '14:00', end: '16:00' } }],
+
+    // Dates in the past or implausibly far ahead are dropped
+    ['{"date": "2026-10-20", "time": null}', null],
+    ['{"date": "2026-10-20", "time": "17:00"}', { date: null, time: '17:00', range: null }],
+    ['{"date": "2028-01-01", "time": null}', null],
+    ['{"date": "2026-10-21", "time": null}', { date: '21/10/2026', time: null, range: null }],
+    ['{"date": "22/10/2026", "time": null}', null],
+
+    // Only strict HH:mm times
+    ['{"time": "5pm"}', null],
+    ['{"time": "25:00"}', null],
+    ['{"time": "14:00:00"}', null],
+    ['{"time": "9:30"}', null],
+
+    // Backwards or half-given ranges
+    ['{"range": {"start": "16:00", "end": "14:00"}}', null],
+    ['{"range": {"start": "14:00", "end": "14:00"}}', null],
+    ['{"range": {"start": "14:00"}}', null],
+
+    // Not JSON at all
+    ['I think tomorrow evening works', null],
+    ['{"date": "2026-10-22", "time": ', null],
+    ['{date: 2026-10-22}', null],
+    ['', null]
+];
+
+for (const [output, expected] of OUTPUTS) {
+    test(`model output ${JSON.stringify(output)} gives ${expected ? JSON.stringify(expected) : 'nothing'}`, async () => {
+        const extractor = new LlmTimeExtractor({ maxDaysAhead: 365 });
+        assert.deepStrictEqual(await extractor.extract(answering(output), 'any reply', NOW), expected);
+    });
+}
+
+test('a model that hangs is abandoned after timeoutMs', async () => {
+    const extractor = new LlmTimeExtractor({ timeoutMs: 50 });
+    const hanging = () => new Promise(() => {});
+
+    const started = Date.now();
+    assert.strictEqual(await extractor.extract(hanging, 'kal shaam 5 baje', NOW), null);
+    assert.ok(Date.now() - started < 1000, 'resolved soon after the timeout');
+});
+
+test('while an abandoned generation is still running, further replies skip the model', async () => {
+    const extractor = new LlmTimeExtractor({ timeoutMs: 50 });
+    let finish;
+    const slow = () => new Promise(resolve => { finish = resolve; });
+
+    assert.strictEqual(await extractor.extract(slow, 'kal shaam 5 baje', NOW), null);
+
+    let called = false;
+    const quick = async () => { called = true; return [{ generated_text: '{"time": "17:00"}' }]; };
+    assert.strictEqual(await extractor.extract(quick, 'kal shaam 5 baje', NOW), null);
+    assert.strictEqual(called, false);
+
+    // Once the slow one finishes, the model is used again
+    finish([{ generated_text: '{}' }]);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(await extractor.extract(quick, 'kal shaam 5 baje', NOW), { date: null, time: '17:00', range: null });
+});
+
+test('a model that throws gives nothing', async () => {
+    const extractor = new LlmTimeExtractor();
+    const failing = async () => { throw new Error('model crashed'); };
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        assert.strictEqual(await extractor.extract(failing, 'tomorrow at 5', NOW), null);
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('the prompt is stripped from outputs that repeat it', async () => {
+    const extractor = new LlmTimeExtractor();
+    const echoing = async prompt => [{ generated_text: `${prompt}{"time": "17:00"}` }];
+
+    assert.deepStrictEqual(await extractor.extract(echoing, 'at 5pm', NOW), { date: null, time: '17:00', range: null });
+});
+
+test('regex mode never calls the model', async () => {
+    const extractor = new LlmTimeExtractor({ mode: 'regex' });
+    let called = false;
+    const generator = async () => { called = true; return [{ generated_text: '{"time": "17:00"}' }]; };
+
+    assert.strictEqual(await extractor.extract(generator, 'at 5pm', NOW), null);
+    assert.strictEqual(called, false);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OutboundQueue = require('../shared/messaging/outboundQueue');
+
+const CONTACT = '919876543210';
+const now = new Date('2026-10-21T10:00:00Z');
+const later = new Date(now.getTime() + 60 * 60 * 1000);
+
+function createQueue() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbound-queue-'));
+    test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    return new OutboundQueue({}, dataDir);
+}
+
+test('a contact\'s messages go out in the order they were queued', () => {
+    const queue = createQueue();
+    const first = queue.enqueue(CONTACT, { text: 'first', sendAt: now });
+    queue.enqueue(CONTACT, { text: 'second', sendAt: now });
+
+    assert.strictEqual(queue.getNext(now.getTime()).id, first.id);
+});
+
+test('a message held for later doesn\'t block the ones queued after it', () => {
+    const queue = createQueue();
+    queue.enqueue(CONTACT, { text: 'welcome', reason: 'welcome', sendAt: later });
+    const reminder = queue.enqueue(CONTACT, { text: 'reminder', reason: 'reminder', priority: 'high', sendAt: now });
+
+    assert.strictEqual(queue.getNext(now.getTime()).id, reminder.id);
+});
+
+test('a message waiting to be retried keeps its place ahead of later ones', () => {
+    const queue = createQueue();
+    const failed = queue.enqueue(CONTACT, { text: 'first' });
+    queue.enqueue(CONTACT, { text: 'second' });
+    queue.handleFailure(failed, new Error('offline'));
+
+    assert.strictEqual(queue.getNext(Date.now()), null);
+});
+
+test('released messages are due straight away', () => {
+    const queue = createQueue();
+    const held = queue.enqueue(CONTACT, { text: 'welcome', sendAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+    assert.strictEqual(queue.release(CONTACT), 1);
+    assert.strictEqual(queue.getNext(Date.now()).id, held.id);
+});
+
+test('the queue keeps going when saving it fails', async () => {
+    const queue = createQueue();
+    const sent = [];
+    const scheduled = [];
+    queue.enqueue(CONTACT, { text: 'first' });
+    queue.send = async message => sent.push(message.text);
+    queue.save = () => { throw new Error('disk full'); };
+    queue.scheduleNext = delayMs => scheduled.push(delayMs);
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await queue.processNext();
+    } finally {
+        console.error = originalError;
+    }
+
+    assert.deepStrictEqual(sent, ['first']);
+    assert.strictEqual(scheduled.length, 1);
+    assert.strictEqual(queue.messages.length, 0, 'a sent message is not sent again');
+});
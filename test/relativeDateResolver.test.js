@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RelativeDateResolver = require('../shared/scheduling/relativeDateResolver');
+
+// Wednesday 21 October 2026, and a December day for year rollover
+const WEDNESDAY = new Date(2026, 9, 21, 10, 0);
+const DECEMBER = new Date(2026, 11, 20, 10, 0);
+const NOVEMBER = new Date(2026, 10, 5, 10, 0);
+
+const dayFirst = new RelativeDateResolver({ numericDateOrder: 'day-first' });
+const monthFirst = new RelativeDateResolver({ numericDateOrder: 'month-first' });
+
+// [reply, today, expected date (DD/MM/YYYY or null), resolver, alternative reading]
+const CASES = [
+    // Weekdays: plain, "this" and "next"
+    ['friday', WEDNESDAY, '23/10/2026'],
+    ['this friday', WEDNESDAY, '23/10/2026'],
+    ['next friday', WEDNESDAY, '30/10/2026'],
+    ['monday', WEDNESDAY, '26/10/2026'],
+    ['this monday', WEDNESDAY, '26/10/2026'],
+    ['next monday', WEDNESDAY, '26/10/2026'],
+    ['monday next week', WEDNESDAY, '26/10/2026'],
+    ['wednesday', WEDNESDAY, '28/10/2026', dayFirst, '21/10/2026'],
+    ['next wednesday', WEDNESDAY, '28/10/2026'],
+
+    // Relative days
+    ['tomorrow', WEDNESDAY, '22/10/2026'],
+    ['day after tomorrow', WEDNESDAY, '23/10/2026'],
+    ['in 3 days', WEDNESDAY, '24/10/2026'],
+    ['in three days', WEDNESDAY, '24/10/2026'],
+    ['in a couple of weeks', WEDNESDAY, '04/11/2026'],
+    ['two days from now', WEDNESDAY, '23/10/2026'],
+
+    // Month ends
+    ['end of the month', WEDNESDAY, '31/10/2026'],
+    ['end of next month', WEDNESDAY, '30/11/2026'],
+    ['the last day of the month', NOVEMBER, '30/11/2026'],
+
+    // Days of the month roll into the next month (skipping months that are too short)
+    ['the 25th', WEDNESDAY, '25/10/2026'],
+    ['the 15th', WEDNESDAY, '15/11/2026'],
+    ['on the 21st', WEDNESDAY, '21/10/2026'],
+    ['the 31st', NOVEMBER, '31/12/2026'],
+    ['the 5th', DECEMBER, '05/01/2027'],
+
+    // Ordinal words
+    ['the twenty-fifth', WEDNESDAY, '25/10/2026'],
+    ['on the third', WEDNESDAY, '03/11/2026'],
+    ['the thirty first', NOVEMBER, '31/12/2026'],
+    ['fifth of january', WEDNESDAY, '05/01/2027'],
+
+    // Year rollover for dates without a year
+    ['5th January', DECEMBER, '05/01/2027'],
+    ['jan 2', DECEMBER, '02/01/2027'],
+    ['25th december', DECEMBER, '25/12/2026'],
+    ['25/12', DECEMBER, '25/12/2026'],
+    ['1/1', DECEMBER, '01/01/2027', dayFirst, null],
+    ['5th January 2026', DECEMBER, '05/01/2026'],
+
+    // Day-first vs month-first numeric dates
+    ['3/4', WEDNESDAY, '03/04/2027', dayFirst, '04/03/2027'],
+    ['3/4', WEDNESDAY, '04/03/2027', monthFirst, '03/04/2027'],
+    ['25/12', WEDNESDAY, '25/12/2026', monthFirst, null],
+    ['12/25', WEDNESDAY, '25/12/2026', dayFirst, null],
+    ['3/4/2027', WEDNESDAY, '03/04/2027', dayFirst, '04/03/2027'],
+    ['2027-04-03', WEDNESDAY, '03/04/2027'],
+
+    // Times and list choices are not days
+    ['2pm', WEDNESDAY, null],
+    ['call me at 2 pm', WEDNESDAY, null],
+    ['at 10.30', WEDNESDAY, null],
+    ['between 2-4', WEDNESDAY, null],
+    ['the 2nd option', WEDNESDAY, null],
+    ['2', WEDNESDAY, null]
+];
+
+for (const [reply, today, expected, resolver = dayFirst, alternative] of CASES) {
+    const order = resolver === monthFirst ? 'month-first' : 'day-first';
+
+    test(`"${reply}" on ${today.toDateString()} (${order}) is ${expected || 'not a date'}`, () => {
+        const resolved = resolver.resolve(reply, today);
+
+        if (expected === null) {
+            assert.strictEqual(resolved, null);
+            return;
+        }
+        assert.ok(resolved, 'no date found');
+        assert.strictEqual(resolved.date, expected);
+        if (alternative !== undefined) {
+            assert.strictEqual(resolved.alternative, alternative);
+        }
+    });
+}
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SendWindow = require('../shared/scheduling/sendWindow');
+
+const sendWindow = new SendWindow({
+    hours: { monday: [{ start: '09:00', end: '20:00' }], tuesday: [{ start: '09:00', end: '20:00' }] }
+});
+// Monday 19 October 2026 on the contact's clock
+const monday = (hours, minutes, seconds = 0) => new Date(2026, 9, 19, hours, minutes, seconds);
+
+test('a held message waits until the window opens to the second', () => {
+    assert.strictEqual(sendWindow.msUntilOpen(monday(8, 59, 30)), 30 * 1000);
+    assert.strictEqual(sendWindow.msUntilOpen(monday(8, 0)), 60 * 60 * 1000);
+    assert.strictEqual(sendWindow.isOpen(monday(8, 59, 59)), false);
+    assert.strictEqual(sendWindow.isOpen(monday(9, 0)), true);
+});
+
+test('after closing time the window opens again the next open day', () => {
+    assert.strictEqual(sendWindow.isOpen(monday(19, 59, 59)), true);
+    assert.strictEqual(sendWindow.msUntilOpen(monday(20, 0)), 13 * 60 * 60 * 1000);
+    assert.strictEqual(sendWindow.msUntilOpen(monday(20, 0, 30)), 13 * 60 * 60 * 1000 - 30 * 1000);
+});
+
+test('without hours every day is open, and with no open hours at all it never opens', () => {
+    assert.strictEqual(new SendWindow({}).isOpen(monday(3, 0)), true);
+    assert.strictEqual(new SendWindow({ hours: {} }).msUntilOpen(monday(10, 0)), Infinity);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment');
+
+// The bot keeps its data files in a scratch directory and talks to the in-process simulator
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-simulator-'));
+const CONTACT = '919876543210';
+fs.writeFileSync(path.join(dataDir, 'target_numbers.json'), JSON.stringify({ targetPhoneNumbers: [CONTACT] }));
+process.env.BOT_TRANSPORT = 'simulator';
+process.env.BOT_DATA_DIR = dataDir;
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// The bot logs every step; keep the test output readable
+console.log = () => {};
+console.warn = () => {};
+
+const bot = require('../outbound/bot');
+const config = require('../shared/config/config.json');
+
+// First day from tomorrow on which an 11 AM call is inside business hours
+function nextBookableDay() {
+    const day = moment().add(1, 'day').hours(11).minutes(0).seconds(0).milliseconds(0);
+    while (!bot.businessHours.checkSlot(day).allowed) {
+        day.add(1, 'day');
+    }
+    return day;
+}
+
+async function setTargets(targetPhoneNumbers, contacts = {}) {
+    fs.writeFileSync(path.join(dataDir, 'target_numbers.json'), JSON.stringify({ targetPhoneNumbers, contacts }));
+    await bot.reloadTargetNumbers();
+}
+
+function startSession(phoneNumber, state, updates = {}) {
+    const step = bot.conversationFlow.getState(state);
+    bot.createOrUpdateSession(`${phoneNumber}@c.us`, { state: step.name, currentQuestion: step.question, ...updates });
+}
+
+async function say(body) {
+    const replies = await bot.client.receive(CONTACT, body);
+    return replies.map(reply => reply.body);
+}
+
+test('a lead books a call through the simulator from the welcome to the confirmation', async () => {
+    bot.client.echo = false;
+    await setTargets([CONTACT]);
+
+    // The welcome went out earlier; the contact answers it
+    startSession(CONTACT, bot.conversationFlow.getInitialState().name);
+
+    assert.match((await say('yes'))[0], /Which kind of call/);
+    assert.match((await say('1'))[0], /Which course/);
+    assert.match((await say('ug'))[0], /level of education/);
+    assert.match((await say('3'))[0], /budget/);
+    assert.match((await say('2 lakh'))[0], /best time to call you/);
+
+    const day = nextBookableDay();
+    const [confirmation] = await say(`${day.format('Do MMMM')} at 11am`);
+    assert.match(confirmation, /Just to confirm/);
+    assert.ok(confirmation.includes(day.format('MMMM Do [at] h:mm A')), confirmation);
+
+    assert.match((await say('yes'))[0], /scheduled the call/);
+    assert.strictEqual(bot.userSessions.get(`${CONTACT}@c.us`).state, 'completed');
+
+    const booking = bot.getActiveBooking(CONTACT);
+    assert.ok(booking, 'booking saved to call_schedule.json');
+    assert.strictEqual(moment(booking.startUtc).valueOf(), day.valueOf());
+});
+
+test('a booked lead can move their call giving the day and the time separately', async () => {
+    // Runs after the booking above
+    assert.ok(bot.getActiveBooking(CONTACT), 'booking from the previous test');
+
+    assert.match((await say('can I reschedule my call?'))[0], /find a new time/);
+
+    const day = nextBookableDay().add(1, 'day');
+    while (!bot.businessHours.checkSlot(day).allowed) {
+        day.add(1, 'day');
+    }
+    assert.match((await say(day.format('Do MMMM')))[0], /What time would work best/);
+
+    const [confirmation] = await say('11am');
+    assert.match(confirmation, /move your call to/);
+    assert.strictEqual(bot.userSessions.get(`${CONTACT}@c.us`).state, 'confirming_reschedule');
+});
+
+test('a lead who says no is asked why and the conversation ends', async () => {
+    const other = '919812345678';
+    await setTargets([CONTACT, other]);
+    startSession(other, bot.conversationFlow.getInitialState().name);
+
+    assert.match((await bot.client.receive(other, 'no'))[0].body, /reason/);
+    assert.match((await bot.client.receive(other, 'it is too expensive for me'))[0].body, /Thank you for sharing/);
+    assert.strictEqual(bot.userSessions.get(`${other}@c.us`).state, 'completed');
+});
+
+test('a Spanish-speaking contact is answered in Spanish throughout', async () => {
+    const spanish = '919811112222';
+    await setTargets([spanish], { [spanish]: { language: 'es' } });
+
+    // Coming back after saying no restarts with the flow's own greeting
+    bot.createOrUpdateSession(`${spanish}@c.us`, { state: bot.CONVERSATION_STATES.IDLE });
+    const [greeting] = (await bot.client.receive(spanish, 'hola')).map(reply => reply.body);
+    assert.strictEqual(greeting, config.messages.es.welcome.initial);
+
+    // Time windows are described in Spanish too
+    startSession(spanish, 'asking_call_time', { callType: 'intro' });
+    const [proposal] = (await bot.client.receive(spanish, 'next week between 2 and 4pm')).map(reply => reply.body);
+    assert.match(proposal, /^El primer momento libre entre las 14:00 y las 16:00 la próxima semana es el /);
+});
+
+test('a contact with messages held for their send window still gets an answer', async () => {
+    const held = '919833334444';
+    await setTargets([held]);
+    startSession(held, bot.conversationFlow.getInitialState().name);
+    const queued = bot.outboundQueue.enqueue(held, { text: 'held welcome', sendAt: moment().add(1, 'day').toDate() });
+
+    assert.match((await bot.client.receive(held, 'yes'))[0].body, /Which kind of call/);
+    const released = bot.outboundQueue.list().find(message => message.id === queued.id);
+    assert.ok(new Date(released.sendAt) <= new Date(), 'held message released');
+});
+
+test('suggesting other slots reads the booked calls once, not once per slot', async () => {
+    const late = '919855556666';
+    await setTargets([late]);
+    startSession(late, 'asking_call_time', { callType: 'intro' });
+
+    const readFileSync = fs.readFileSync;
+    let scheduleReads = 0;
+    fs.readFileSync = (file, ...args) => {
+        if (String(file).endsWith('call_schedule.json')) {
+            scheduleReads++;
+        }
+        return readFileSync(file, ...args);
+    };
+
+    try {
+        const [reply] = (await bot.client.receive(late, `${nextBookableDay().format('Do MMMM')} at 11pm`)).map(reply => reply.body);
+        assert.match(reply, /\n1\. /, 'alternatives offered');
+    } finally {
+        fs.readFileSync = readFileSync;
+    }
+    assert.strictEqual(scheduleReads, 1, 'call_schedule.json read once for the whole search');
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TimeWindowParser = require('../shared/scheduling/timeWindowParser');
+
+// Wednesday 21 October 2026
+const WEDNESDAY = new Date(2026, 9, 21, 10, 0);
+const parser = new TimeWindowParser();
+
+const ANY_TIME = ['00:00', '24:00'];
+const COMING_WEEK = ['21/10/2026', '27/10/2026'];
+
+// [reply, [startTime, endTime], [startDate, endDate] or null, weekdays or null, remainder]
+const CASES = [
+    // Ranges: am/pm guessed from the other end, or from calls happening in the day
+    ['between 2 and 4', ['14:00', '16:00'], null, null, ''],
+    ['between 2 and 4pm', ['14:00', '16:00'], null, null, ''],
+    ['2-4pm', ['14:00', '16:00'], null, null, ''],
+    ['9-11am', ['09:00', '11:00'], null, null, ''],
+    ['between 10am and 2pm', ['10:00', '14:00'], null, null, ''],
+    ['between 8 and 10', ['08:00', '10:00'], null, null, ''],
+    ['between 12 and 2', ['12:00', '14:00'], null, null, ''],
+    ['btw 3 & 5', ['15:00', '17:00'], null, null, ''],
+    ['10:30-12', ['10:30', '12:00'], null, null, ''],
+
+    // The end is the next time that hour comes round after the start
+    ['between 11 and 1', ['11:00', '13:00'], null, null, ''],
+    ['from 10 to 2', ['10:00', '14:00'], null, null, ''],
+    ['10am-1', ['10:00', '13:00'], null, null, ''],
+    ['11am to 1', ['11:00', '13:00'], null, null, ''],
+    ['from 10am to 12', ['10:00', '12:00'], null, null, ''],
+
+    // Open-ended and named periods
+    ['after 6', ['18:00', '24:00'], null, null, ''],
+    ['before 11am', ['00:00', '11:00'], null, null, ''],
+    ['after lunch', ['13:30', '24:00'], null, null, ''],
+    ['before lunch', ['00:00', '12:30'], null, null, ''],
+    ['after the evening', ['21:00', '24:00'], null, null, ''],
+    ['in the evening', ['17:00', '21:00'], null, null, ''],
+    ['this evening', ['17:00', '21:00'], ['21/10/2026', '21/10/2026'], null, ''],
+
+    // Spans of days
+    ['next week', ANY_TIME, ['26/10/2026', '01/11/2026'], null, ''],
+    ['any evening next week', ['17:00', '21:00'], ['26/10/2026', '01/11/2026'], null, ''],
+    ['sometime this week', ANY_TIME, ['21/10/2026', '25/10/2026'], null, ''],
+    ['this weekend', ANY_TIME, ['24/10/2026', '25/10/2026'], null, ''],
+    ['next weekend', ANY_TIME, ['31/10/2026', '01/11/2026'], null, ''],
+    ['in the next 3 days', ANY_TIME, ['21/10/2026', '24/10/2026'], null, ''],
+    ['next month', ANY_TIME, ['01/11/2026', '30/11/2026'], null, ''],
+
+    // Sets of weekdays, searched over the coming week
+    ['weekdays after 6', ['18:00', '24:00'], COMING_WEEK, [1, 2, 3, 4, 5], ''],
+    ['between 5 and 7 any weekday', ['17:00', '19:00'], COMING_WEEK, [1, 2, 3, 4, 5], ''],
+    ['weekends before noon', ['00:00', '12:00'], COMING_WEEK, [0, 6], ''],
+    ['mondays or wednesdays', ANY_TIME, COMING_WEEK, [1, 3], 'or'],
+    ['tuesday or thursday morning', ['09:00', '12:00'], COMING_WEEK, [2, 4], 'or'],
+    ['saturdays', ANY_TIME, COMING_WEEK, [6], ''],
+
+    // A single day is left for the date parser
+    ['tomorrow between 2 and 4', ['14:00', '16:00'], null, null, 'tomorrow'],
+    ['friday after 5', ['17:00', '24:00'], null, null, 'friday'],
+    ['friday 2-4pm', ['14:00', '16:00'], null, null, 'friday'],
+    ['on 12/11 between 3 and 5', ['15:00', '17:00'], null, null, 'on 12/11'],
+
+    // Not windows: single times, and numbers that may be dates
+    ['5pm', null],
+    ['at 5', null],
+    ['morning at 10', null],
+    ['11-1', null],
+    ['call me on 3-4', null],
+    ['between 4pm and 2pm', null]
+];
+
+for (const [reply, times, dates, weekdays, remainder] of CASES) {
+    test(`"${reply}" is ${times ? `${times.join('-')}${dates ? ` from ${dates.join(' to ')}` : ''}` : 'not a window'}`, () => {
+        const parsed = parser.parse(reply, WEDNESDAY);
+
+        if (times === null) {
+            assert.strictEqual(parsed, null);
+            return;
+        }
+        assert.ok(parsed, 'no window found');
+
+        const { window } = parsed;
+        assert.deepStrictEqual([window.startTime, window.endTime], times);
+        assert.strictEqual(window.hasTimeRange, times !== ANY_TIME);
+        assert.deepStrictEqual(window.startDate ? [window.startDate, window.endDate] : null, dates);
+        assert.deepStrictEqual(window.weekdays, weekdays);
+        assert.strictEqual(parsed.remainder, remainder);
+    });
+}